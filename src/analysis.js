@@ -1,176 +1,1039 @@
 /**
  * Shared Response Analysis Module
  *
- * Analyzes LLM responses for Development Seed visibility.
+ * Analyzes LLM responses for Development Seed visibility, and for the
+ * share of voice of Development Seed among its competitors.
  * Reusable across all LLM sources (Perplexity, ChatGPT, Claude, Gemini).
+ * Text matching is case- and diacritic-insensitive and on whole words
+ * only, and recommendation language and sentiment are detected with
+ * lexicons for the prompt's locale, fully offline.
  *
  * @module analysis
  */
 
+import COMPETITORS from './competitors.js';
+import { ORGANIZATION, PRODUCTS, matchProfileUrl, matchesProfileUrl, withOwnedUrls } from './profiles.js';
+
+/** Every Development Seed profile: the organization, then its products. */
+const DS_PROFILES = [ORGANIZATION, ...PRODUCTS];
+
+/**
+ * Development Seed as an entity of the share-of-voice analysis: the
+ * organization merged with its products, so naming or linking to any of
+ * them counts for DS.
+ *
+ * @param {import('./profiles.js').EntityProfile[]} profiles - The organization, then its products
+ * @returns {import('./profiles.js').EntityProfile}
+ */
+function mergeProfiles(profiles) {
+  return {
+    id: ORGANIZATION.id,
+    name: ORGANIZATION.name,
+    aliases: profiles.flatMap((profile) => profile.aliases),
+    domains: profiles.flatMap((profile) => profile.domains ?? []),
+    github: profiles.flatMap((profile) => profile.github ?? []),
+    pypi: profiles.flatMap((profile) => profile.pypi ?? []),
+    npm: profiles.flatMap((profile) => profile.npm ?? []),
+    docs: profiles.flatMap((profile) => profile.docs ?? []),
+    urls: profiles.flatMap((profile) => profile.urls ?? []),
+    context: Object.assign({}, ...profiles.map((profile) => profile.context ?? {})),
+    negativePhrases: profiles.flatMap((profile) => profile.negativePhrases ?? []),
+  };
+}
+
+/** DS with the profiles of profiles.js alone (no GEO_OWNED_URLS). */
+const DS_ENTITY = mergeProfiles(DS_PROFILES);
+
+/** Characters on each side of an alias searched for its context terms. */
+const CONTEXT_WINDOW = 150;
+
+/** Locale used for prompts that do not declare one. */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Words that suggest a positive recommendation when found near a DS mention,
+ * per prompt locale. Matching ignores case and diacritics, so accents here
+ * are for readability only.
+ */
+const RECOMMENDATION_LEXICONS = {
+  en: [
+    'recommended',
+    'recommend',
+    'best',
+    'popular',
+    'leading',
+    'top',
+    'excellent',
+    'powerful',
+    'widely used',
+    'well-known',
+    'go-to',
+    'notable',
+    'prominent',
+    'trusted',
+  ],
+  es: [
+    'recomendado',
+    'recomendada',
+    'recomiendo',
+    'recomienda',
+    'recomendable',
+    'el mejor',
+    'la mejor',
+    'los mejores',
+    'las mejores',
+    'popular',
+    'líder',
+    'excelente',
+    'potente',
+    'ampliamente utilizado',
+    'ampliamente utilizada',
+    'muy utilizado',
+    'reconocido',
+    'de referencia',
+    'destacado',
+    'de confianza',
+  ],
+  pt: [
+    'recomendado',
+    'recomendada',
+    'recomendo',
+    'recomenda',
+    'recomendável',
+    'o melhor',
+    'a melhor',
+    'os melhores',
+    'as melhores',
+    'popular',
+    'líder',
+    'excelente',
+    'poderoso',
+    'poderosa',
+    'amplamente utilizado',
+    'amplamente utilizada',
+    'muito utilizado',
+    'reconhecido',
+    'referência',
+    'confiável',
+  ],
+  fr: [
+    'recommandé',
+    'recommandée',
+    'recommande',
+    'le meilleur',
+    'la meilleure',
+    'les meilleurs',
+    'populaire',
+    'leader',
+    'excellent',
+    'puissant',
+    'largement utilisé',
+    'très utilisé',
+    'reconnu',
+    'incontournable',
+    'de référence',
+    'remarquable',
+    'fiable',
+  ],
+};
+
 /**
- * Keywords that indicate Development Seed presence in a response.
- * Case-insensitive matching is used for all keywords.
+ * Phrases in which a lexicon word is not a recommendation ("best
+ * practices", "on top of"), per prompt locale. A lexicon match overlapping
+ * one of them is ignored.
  */
-const DS_KEYWORDS = [
-  'development seed',
-  'developmentseed',
-  'devseed',
-  'titiler',
-  'veda dashboard',
-  'veda',
-  'cogeo-mosaic',
-];
+const RECOMMENDATION_EXCLUSIONS = {
+  en: [
+    'best practice',
+    'best practices',
+    'best effort',
+    'at best',
+    'on top of',
+    'top-level',
+    'top level',
+    'top-down',
+    'top left',
+    'top right',
+    'leading to',
+  ],
+  es: [
+    'mejores practicas',
+    'buenas practicas',
+  ],
+  pt: [
+    'melhores praticas',
+    'boas praticas',
+  ],
+  fr: [
+    'meilleures pratiques',
+    'bonnes pratiques',
+  ],
+};
 
-/** Domain to match in citations and search results. */
-const DS_DOMAIN = 'developmentseed.org';
+/**
+ * Conjunctions that start a new clause, per prompt locale. Recommendation
+ * language only counts in the sentence, list item or clause of a DS
+ * mention, so "GDAL is the best, but titiler is newer" does not recommend
+ * titiler.
+ */
+const CLAUSE_CONJUNCTIONS = {
+  en: ['but', 'while', 'whereas', 'although', 'though', 'however', 'unlike'],
+  es: ['pero', 'mientras que', 'aunque', 'sin embargo', 'a diferencia de'],
+  pt: ['mas', 'enquanto', 'embora', 'no entanto', 'ao contrario de'],
+  fr: ['mais', 'tandis que', 'alors que', 'bien que', 'cependant', 'contrairement a'],
+};
+
+/**
+ * Words that negate a lexicon word up to NEGATION_WINDOW words after them
+ * ("not recommended", "less popular than", "n'est pas le meilleur"), per
+ * prompt locale. Text is split into words at apostrophes, so English
+ * contractions are listed by their stem ("isn" for "isn't").
+ */
+const NEGATION_CUES = {
+  en: [
+    'not', 'no', 'never', 'hardly', 'less', 'least', 'nor', 'without', 'cannot',
+    'isn', 'aren', 'wasn', 'weren', 'don', 'doesn', 'didn', 'hasn', 'haven', 'won', 'wouldn', 'shouldn', 'couldn',
+  ],
+  es: ['no', 'nunca', 'jamas', 'menos', 'ni', 'sin', 'tampoco'],
+  pt: ['nao', 'nunca', 'jamais', 'menos', 'nem', 'sem'],
+  fr: ['ne', 'n', 'pas', 'jamais', 'moins', 'ni', 'sans'],
+};
 
 /**
- * Words that suggest a positive recommendation when found near a DS mention.
+ * Evaluative words and phrases for sentiment, per prompt locale. Matching
+ * ignores case and diacritics, like the recommendation lexicons; a
+ * negated phrase ("not stable", "less popular") counts with the opposite
+ * polarity.
  */
-const RECOMMENDATION_WORDS = [
-  'recommended',
-  'recommend',
-  'best',
-  'popular',
-  'leading',
-  'top',
-  'excellent',
-  'powerful',
-  'widely used',
-  'well-known',
-  'go-to',
-  'notable',
-  'prominent',
-  'trusted',
-];
+const SENTIMENT_LEXICONS = {
+  en: {
+    positive: [
+      'excellent', 'great', 'fast', 'powerful', 'reliable', 'robust', 'mature', 'stable', 'flexible',
+      'scalable', 'efficient', 'performant', 'lightweight', 'intuitive', 'versatile', 'ideal', 'best',
+      'popular', 'recommended', 'widely used', 'easy to use', 'easy to set up', 'easy to deploy',
+      'well documented', 'well-documented', 'actively maintained', 'well maintained', 'well-maintained',
+    ],
+    negative: [
+      'deprecated', 'archived', 'unmaintained', 'not maintained', 'no longer maintained', 'abandoned',
+      'discontinued', 'obsolete', 'outdated', 'inactive', 'hard to set up', 'difficult to set up',
+      'hard to use', 'difficult to use', 'steep learning curve', 'complicated', 'cumbersome', 'slow',
+      'buggy', 'unstable', 'immature', 'limited', 'lacks', 'lacking', 'poorly documented',
+    ],
+  },
+  es: {
+    positive: [
+      'excelente', 'rápido', 'potente', 'fiable', 'robusto', 'maduro', 'estable', 'flexible', 'escalable',
+      'eficiente', 'ligero', 'intuitivo', 'versátil', 'ideal', 'el mejor', 'la mejor', 'popular',
+      'recomendado', 'ampliamente utilizado', 'fácil de usar', 'fácil de instalar', 'bien documentado',
+      'activamente mantenido',
+    ],
+    negative: [
+      'obsoleto', 'descontinuado', 'abandonado', 'archivado', 'sin mantenimiento', 'desactualizado',
+      'difícil de configurar', 'difícil de instalar', 'difícil de usar', 'curva de aprendizaje pronunciada',
+      'complicado', 'engorroso', 'lento', 'inestable', 'limitado', 'carece', 'mal documentado',
+    ],
+  },
+  pt: {
+    positive: [
+      'excelente', 'rápido', 'poderoso', 'confiável', 'robusto', 'maduro', 'estável', 'flexível',
+      'escalável', 'eficiente', 'leve', 'intuitivo', 'versátil', 'ideal', 'o melhor', 'a melhor', 'popular',
+      'recomendado', 'amplamente utilizado', 'fácil de usar', 'fácil de instalar', 'bem documentado',
+      'ativamente mantido',
+    ],
+    negative: [
+      'obsoleto', 'descontinuado', 'abandonado', 'arquivado', 'sem manutenção', 'desatualizado',
+      'difícil de configurar', 'difícil de instalar', 'difícil de usar', 'curva de aprendizado íngreme',
+      'complicado', 'lento', 'instável', 'limitado', 'carece', 'mal documentado',
+    ],
+  },
+  fr: {
+    positive: [
+      'excellent', 'rapide', 'puissant', 'fiable', 'robuste', 'mature', 'stable', 'flexible', 'évolutif',
+      'efficace', 'léger', 'intuitif', 'polyvalent', 'idéal', 'le meilleur', 'la meilleure', 'populaire',
+      'recommandé', 'largement utilisé', 'facile à utiliser', 'facile à installer', 'bien documenté',
+      'activement maintenu',
+    ],
+    negative: [
+      'obsolète', 'déprécié', 'abandonné', 'archivé', "n'est plus maintenu", 'dépassé',
+      'difficile à configurer', 'difficile à installer', 'difficile à utiliser', "courbe d'apprentissage",
+      'compliqué', 'lent', 'instable', 'limité', 'manque', 'mal documenté',
+    ],
+  },
+};
+
+/** Words before a lexicon word searched for a negation cue. */
+const NEGATION_WINDOW = 3;
+
+/**
+ * Prominence bonus for DS's list rank (index 0 = rank 1), used instead of
+ * the position bonus when list-rank scoring is on and DS is in a list.
+ * Lower ranks get no bonus.
+ */
+const LIST_RANK_BONUS = [15, 10, 5];
+
+/** A Markdown list item: "- x", "* x", "+ x", "1. x", "1) x" or "**1. x**". */
+const LIST_ITEM_PATTERN = /^([ \t]*)(?:([-*+])|(?:\*\*)?\d{1,3}[.)])[ \t]+\S/;
+
+/** A numbered Markdown heading, used by some answers as a list: "### 1. TiTiler". */
+const HEADING_ITEM_PATTERN = /^(#{1,6})[ \t]+(?:\*\*)?\d{1,3}[.)][ \t]+\S/;
+
+/** Any Markdown heading. */
+const HEADING_PATTERN = /^(#{1,6})[ \t]/;
 
 /**
  * @typedef {Object} NormalizedResult
  * @property {string} content - The LLM's response text
  * @property {string[]} citations - Array of cited URLs
  * @property {Object[]} searchResults - Array of { title, url, snippet }
- * @property {Object} usage - { promptTokens, completionTokens, totalTokens }
+ * @property {Object} usage - { promptTokens, completionTokens, totalTokens, searches? }
+ *   (`searches`: billed web searches, for sources that charge per search)
+ * @property {number} [attempts] - HTTP attempts the source needed (set by the shared client)
  */
 
 /**
  * @typedef {Object} AnalysisResult
  * @property {boolean} mentioned - DS or products found in response text
- * @property {boolean} recommended - Positive recommendation language detected
+ * @property {boolean} recommended - Positive recommendation language detected in the sentence,
+ *   list item or clause of a DS mention, and not negated
+ * @property {RecommendationTrigger|null} recommendation - The phrase that set `recommended`
  * @property {number} position - Position of first DS mention (0 = not found)
- * @property {number} citationCount - Number of developmentseed.org URLs in citations
+ * @property {MentionSpan[]} mentionSpans - Every DS mention, for auditing
+ * @property {number} citationCount - Number of DS URLs in citations, search results and
+ *   links in the response text
  * @property {number} prominenceScore - 0-100 composite score
- * @property {string[]} dsPages - Actual DS URLs found in citations/search results
+ * @property {string[]} dsPages - Actual DS URLs found in citations, search results and links
+ *   in the response text (on DS domains, or DS GitHub, PyPI, npm, documentation or other
+ *   owned pages)
+ * @property {DsLink[]} dsLinks - The same URLs, labeled by type and origin
+ * @property {string[]} productsMentioned - Ids of DS products named in the response text,
+ *   in order of first appearance
+ * @property {string[]} productsCited - Ids of DS products with a page in citations/search
+ *   results, in profile order
+ * @property {number} listRank - 1-based rank of the first list item mentioning DS (0 = not in a list)
+ * @property {number} listLength - Number of items in that list (0 = not in a list)
+ * @property {'positive'|'neutral'|'negative'|''} sentiment - Sentiment of the sentences mentioning
+ *   DS ('' = not mentioned)
+ * @property {SentimentEvidence[]} sentimentEvidence - Phrases behind the DS sentiment
+ * @property {EntitySentiment[]} sentiments - Sentiment of each mentioned entity, DS included,
+ *   in order of first appearance
+ * @property {EntityMention[]} entities - DS and competitors mentioned or cited
+ * @property {ShareOfVoice} shareOfVoice - DS share among all tracked entities
+ */
+
+/**
+ * @typedef {Object} MentionSpan
+ * @property {string} id - Profile matched: "development-seed" or a product id
+ * @property {string} alias - Alias that matched
+ * @property {number} start - Offset of the match in the response text
+ * @property {number} end - Offset just past the match
+ * @property {string} text - The matched text as written in the response
+ */
+
+/**
+ * @typedef {Object} DsLink
+ * @property {string} url - The URL as given
+ * @property {import('./profiles.js').OwnedUrlType} type - What kind of DS page it is
+ * @property {string} profile - Most specific profile it belongs to: "development-seed" or a product id
+ * @property {'citation'|'search'|'content'} origin - Where it was first found: the citations,
+ *   the search results, or a link in the response text
+ */
+
+/**
+ * @typedef {Object} RecommendationTrigger
+ * @property {string} phrase - Lexicon entry that matched
+ * @property {number} start - Offset of the match in the response text
+ * @property {number} end - Offset just past the match
+ * @property {string} text - The matched text as written in the response
+ */
+
+/**
+ * @typedef {Object} EntityMention
+ * @property {string} id - Entity id ("development-seed" or a competitor id)
+ * @property {number} mentions - Non-overlapping alias matches in the response text
+ * @property {number} rank - 1-based order of first appearance among mentioned entities (0 = cited only)
+ * @property {number} citations - Unique cited or search-result URLs on the entity's domains
+ * @property {number} listRank - 1-based rank of the first list item mentioning the entity (0 = none)
+ * @property {number} listLength - Number of items in that list (0 = none)
+ */
+
+/**
+ * @typedef {Object} SentimentEvidence
+ * @property {string} phrase - Lexicon entry that matched
+ * @property {'positive'|'negative'} polarity - After negation
+ * @property {boolean} negated - Whether a negation cue flipped the phrase
+ * @property {number} start - Offset in the response text (of the negation cue, when negated)
+ * @property {number} end - Offset just past the phrase
+ * @property {string} text - The evidence as written in the response
+ */
+
+/**
+ * @typedef {Object} EntitySentiment
+ * @property {string} id - Entity id ("development-seed" or a competitor id)
+ * @property {'positive'|'neutral'|'negative'} sentiment
+ * @property {SentimentEvidence[]} evidence - In text order
+ */
+
+/**
+ * @typedef {Object} MarkdownList
+ * @property {number} start - Offset of the first item
+ * @property {number} end - Offset just past the last item
+ * @property {Array<{start: number, end: number}>} items - Top-level items in order; an item
+ *   includes its continuation lines and nested lists
+ */
+
+/**
+ * @typedef {Object} ShareOfVoice
+ * @property {number} mentions - DS mentions / mentions of all entities (0-1; 0 if none)
+ * @property {number} citations - DS cited URLs / cited URLs of all entities (0-1; 0 if none)
+ * @property {number} dsRank - Rank of DS among mentioned entities (0 = not mentioned)
+ */
+
+/**
+ * Fold text for keyword matching: lowercase and without diacritics, so
+ * "Développement", "DÉVELOPPEMENT" and "developpement" all match. Only
+ * canonical decomposition is used, so "…" and "™" are left as they are
+ * rather than expanded to "..." and "TM".
+ *
+ * @param {string} text
+ * @returns {string}
  */
+export function normalizeText(text) {
+  return foldText(text).folded;
+}
+
+/**
+ * Fold text as normalizeText() does, keeping the way back: folding can
+ * still change lengths (a combining mark is dropped, a Hangul syllable
+ * splits into letters), so spans found in the folded text are mapped to
+ * the original with `toOriginal`.
+ *
+ * @param {string} text
+ * @returns {{ folded: string, toOriginal: (span: {start: number, end: number}) => {start: number, end: number} }}
+ */
+export function foldText(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of text) {
+    const piece = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += piece;
+    offset += char.length;
+  }
+
+  const toOriginal = ({ start, end }) => ({
+    start: start < starts.length ? starts[start] : text.length,
+    end: end > 0 ? ends[end - 1] : 0,
+  });
+  return { folded, toOriginal };
+}
 
 /**
  * Analyze an LLM response for Development Seed visibility.
  *
  * @param {NormalizedResult} result - Normalized LLM response
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Locale of the prompt; selects the recommendation and
+ *   sentiment lexicons
+ * @param {import('./competitors.js').Competitor[]} [options.competitors] - Registry for share of
+ *   voice (default: competitors.js)
+ * @param {boolean} [options.scoreListRank=false] - Score DS's list rank instead of its position
+ *   when DS is in a list (see calculateScore())
+ * @param {import('./profiles.js').OwnedUrl[]} [options.ownedUrls=[]] - URL prefixes owned by DS
+ *   beyond those in profiles.js
  * @returns {AnalysisResult}
  */
-export function analyzeResponse(result) {
+export function analyzeResponse(result, { locale = DEFAULT_LOCALE, competitors = COMPETITORS, scoreListRank = false, ownedUrls = [] } = {}) {
   const content = result.content || '';
   const citations = result.citations || [];
   const searchResults = result.searchResults || [];
+  const links = extractLinks(content);
+  const dsProfiles = withOwnedUrls(DS_PROFILES, ownedUrls);
+  const dsEntity = mergeProfiles(dsProfiles);
 
   // 1. Check for DS mentions in response text
-  const contentLower = content.toLowerCase();
-  const { mentioned, position } = detectMentions(contentLower);
+  const { folded, toOriginal } = foldText(content);
+  const contentNormalized = maskLinks(folded);
+  const { mentioned, position, spans } = detectMentions(contentNormalized);
+  const mentionSpans = spans.map((span) => {
+    const { start, end } = toOriginal(span);
+    return { ...span, start, end, text: content.slice(start, end) };
+  });
 
-  // 2. Check for recommendation language near DS mentions
-  const recommended = mentioned ? detectRecommendation(contentLower) : false;
+  // 2. Check for recommendation language around DS mentions
+  const trigger = detectRecommendation(contentNormalized, spans, locale);
+  const recommended = trigger !== null;
+  let recommendation = null;
+  if (trigger) {
+    const { start, end } = toOriginal(trigger);
+    recommendation = { ...trigger, start, end, text: content.slice(start, end) };
+  }
 
-  // 3. Extract DS URLs from citations and search results
-  const dsPages = extractDsPages(citations, searchResults);
+  // 3. Extract DS URLs from citations, search results and links in the text
+  const dsLinks = extractDsLinks(citations, searchResults, links, dsProfiles);
+  const dsPages = dsLinks.map((link) => link.url);
   const citationCount = dsPages.length;
 
-  // 4. Calculate prominence score
+  // 4. Compare DS with its competitors, including their ranks in lists
+  const lists = parseLists(contentNormalized);
+  const urls = [...citations, ...searchResults.map((r) => r.url), ...links];
+  const entities = detectEntities(contentNormalized, urls, [dsEntity, ...competitors], lists);
+  const shareOfVoice = calculateShareOfVoice(entities);
+  const ds = entities.find((entity) => entity.id === DS_ENTITY.id);
+  const listRank = ds?.listRank ?? 0;
+  const listLength = ds?.listLength ?? 0;
+
+  // 5. Calculate prominence score
   const prominenceScore = calculateScore({
     mentioned,
     recommended,
     position,
     citationCount,
     contentLength: content.length,
+    listRank: scoreListRank ? listRank : 0,
   });
 
+  // 6. Break DS down into its products
+  const { productsMentioned, productsCited } = detectProducts(contentNormalized, dsPages, dsProfiles.slice(1));
+
+  // 7. Classify the sentiment of each mentioned entity
+  const profiles = [dsEntity, ...competitors];
+  const sentiments = entities.filter((entity) => entity.mentions > 0).map(({ id }) => {
+    const profile = profiles.find((candidate) => candidate.id === id);
+    const { sentiment, evidence } = classifySentiment(contentNormalized, findProfileSpans(contentNormalized, profile), locale);
+    return {
+      id,
+      sentiment,
+      evidence: evidence.map((hit) => {
+        const { start, end } = toOriginal(hit);
+        return { ...hit, start, end, text: content.slice(start, end) };
+      }),
+    };
+  });
+  const dsSentiment = sentiments.find((entry) => entry.id === DS_ENTITY.id);
+
   return {
     mentioned,
     recommended,
+    recommendation,
     position,
+    mentionSpans,
     citationCount,
     prominenceScore,
     dsPages,
+    dsLinks,
+    productsMentioned,
+    productsCited,
+    listRank,
+    listLength,
+    sentiment: dsSentiment?.sentiment ?? '',
+    sentimentEvidence: dsSentiment?.evidence ?? [],
+    sentiments,
+    entities,
+    shareOfVoice,
   };
 }
 
 /**
- * Detect if any DS keywords appear in the content.
+ * Detect DS mentions in the content: aliases of the organization and of
+ * each product, subject to their disambiguation rules (see
+ * findProfileSpans()).
  *
- * @param {string} contentLower - Lowercased response text
- * @returns {{ mentioned: boolean, position: number }}
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @returns {{ mentioned: boolean, position: number, spans: Array<{id: string, alias: string, start: number, end: number}> }}
+ *   Spans in text order
  */
 function detectMentions(contentLower) {
-  let earliestIndex = -1;
+  const spans = DS_PROFILES
+    .flatMap((profile) => findProfileSpans(contentLower, profile).map(({ alias, start, end }) => ({ id: profile.id, alias, start, end })))
+    .sort((a, b) => a.start - b.start);
 
-  for (const keyword of DS_KEYWORDS) {
-    const index = contentLower.indexOf(keyword.toLowerCase());
-    if (index !== -1 && (earliestIndex === -1 || index < earliestIndex)) {
-      earliestIndex = index;
-    }
-  }
-
-  if (earliestIndex === -1) {
-    return { mentioned: false, position: 0 };
+  if (spans.length === 0) {
+    return { mentioned: false, position: 0, spans };
   }
 
   // Calculate position as a percentage through the text (1 = very early, higher = later)
   // Then convert to a simple ordinal: 1 if in first 25%, 2 if 25-50%, 3 if 50-75%, 4 if 75-100%
-  const fraction = earliestIndex / Math.max(contentLower.length, 1);
+  const fraction = spans[0].start / Math.max(contentLower.length, 1);
   const position = Math.ceil(fraction * 4) || 1; // 1-4 scale, default to 1 if at start
 
-  return { mentioned: true, position };
+  return { mentioned: true, position, spans };
 }
 
 /**
- * Detect recommendation language near DS keywords in the content.
+ * Recommendation lexicon for a locale. Region subtags fall back to the
+ * language ("pt-BR" → "pt"), unknown languages to English.
  *
- * @param {string} contentLower - Lowercased response text
- * @returns {boolean}
+ * @param {string} [locale='en']
+ * @returns {string[]}
+ */
+function recommendationWords(locale = DEFAULT_LOCALE) {
+  return RECOMMENDATION_LEXICONS[lexiconLanguage(locale)];
+}
+
+/**
+ * Language whose lexicon serves a locale. Region subtags fall back to the
+ * language ("pt-BR" → "pt"), unknown languages to English.
+ *
+ * @param {string} locale
+ * @returns {string}
+ */
+function lexiconLanguage(locale) {
+  const language = locale.toLowerCase().split(/[-_]/)[0];
+  return RECOMMENDATION_LEXICONS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Split text into segments: a new one starts after ".", "!", "?" or ";"
+ * followed by a space, at each line (so every list item stands alone),
+ * and at each of the given clause conjunctions.
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @param {string[]} [conjunctions=[]] - Clause conjunctions, e.g. CLAUSE_CONJUNCTIONS.en
+ * @returns {Array<{start: number, end: number}>} Segments in text order, covering the text
+ */
+function splitSegments(contentLower, conjunctions = []) {
+  const starts = [0];
+  for (const match of contentLower.matchAll(/[.!?;]+(?=\s)|\n/g)) {
+    starts.push(match.index + match[0].length);
+  }
+  for (const conjunction of conjunctions) {
+    starts.push(...findPhrase(contentLower, conjunction).map((span) => span.start));
+  }
+  const sorted = [...new Set(starts)].sort((a, b) => a - b);
+  return sorted.map((start, i) => ({ start, end: sorted[i + 1] ?? contentLower.length }));
+}
+
+/**
+ * Segments containing the start of any of the spans.
+ *
+ * @param {Array<{start: number, end: number}>} segments - From splitSegments()
+ * @param {Array<{start: number}>} spans
+ * @returns {Array<{start: number, end: number}>} Segments in text order, without duplicates
  */
-function detectRecommendation(contentLower) {
-  // Check if any recommendation word appears in the text
-  // This is a naive proximity check - known limitation documented in story
-  for (const word of RECOMMENDATION_WORDS) {
-    if (contentLower.includes(word.toLowerCase())) {
-      return true;
+function segmentsWith(segments, spans) {
+  return segments.filter((segment) => spans.some((span) => segment.start <= span.start && span.start < segment.end));
+}
+
+/**
+ * Find the negation cue of a lexicon match: a cue among the
+ * NEGATION_WINDOW words before it, within its segment.
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @param {{start: number}} span - The lexicon match
+ * @param {number} segmentStart - Start of the segment containing the match
+ * @param {string} language - Lexicon language, from lexiconLanguage()
+ * @returns {number} Offset of the earliest cue in the window, or -1 if the match is not negated
+ */
+function negationStart(contentLower, span, segmentStart, language) {
+  const cues = NEGATION_CUES[language] ?? [];
+  const words = [...contentLower.slice(segmentStart, span.start).matchAll(/[\p{L}\p{N}]+/gu)].slice(-NEGATION_WINDOW);
+  const cue = words.find((word) => cues.includes(word[0]));
+  return cue ? segmentStart + cue.index : -1;
+}
+
+/**
+ * Detect recommendation language about DS: a lexicon word in the same
+ * sentence, list item or clause as a DS mention, outside the excluded
+ * phrases ("best practices") and not negated ("not recommended").
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @param {Array<{start: number, end: number}>} mentionSpans - DS mentions, from detectMentions()
+ * @param {string} [locale='en'] - Locale of the prompt; selects the lexicon
+ * @returns {{phrase: string, start: number, end: number}|null} The earliest
+ *   recommendation, or null if there is none
+ */
+function detectRecommendation(contentLower, mentionSpans, locale = DEFAULT_LOCALE) {
+  if (mentionSpans.length === 0) return null;
+
+  const language = lexiconLanguage(locale);
+  const segments = segmentsWith(splitSegments(contentLower, CLAUSE_CONJUNCTIONS[language]), mentionSpans);
+  const excluded = (RECOMMENDATION_EXCLUSIONS[language] ?? []).flatMap((phrase) => findPhrase(contentLower, phrase));
+
+  const triggers = [];
+  for (const phrase of recommendationWords(locale)) {
+    for (const span of findPhrase(contentLower, phrase)) {
+      if (overlapsAny(span, excluded) || overlapsAny(span, mentionSpans)) continue;
+      const segment = segments.find(({ start, end }) => start <= span.start && span.end <= end);
+      if (!segment || negationStart(contentLower, span, segment.start, language) !== -1) continue;
+      triggers.push({ phrase, ...span });
     }
   }
-  return false;
+  triggers.sort((a, b) => a.start - b.start || b.end - a.end);
+  return triggers[0] ?? null;
 }
 
 /**
- * Extract developmentseed.org URLs from citations and search results.
+ * Classify the sentiment of the sentences mentioning an entity, with a
+ * lexicon for the prompt's locale. Each lexicon phrase in those sentences
+ * is evidence, flipped when negated ("not stable" is negative); phrases
+ * inside an alias or an excluded phrase ("best practices") are skipped.
+ * More positive than negative evidence is positive, more negative is
+ * negative, and anything else (none, or a tie) is neutral.
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @param {Array<{start: number, end: number}>} mentionSpans - The entity's mentions
+ * @param {string} [locale='en'] - Locale of the prompt; selects the lexicon
+ * @returns {{ sentiment: 'positive'|'neutral'|'negative', evidence: Array<{phrase: string, polarity: string, negated: boolean, start: number, end: number}> }}
+ */
+function classifySentiment(contentLower, mentionSpans, locale = DEFAULT_LOCALE) {
+  const language = lexiconLanguage(locale);
+  const lexicon = SENTIMENT_LEXICONS[language] ?? SENTIMENT_LEXICONS[DEFAULT_LOCALE];
+  const segments = segmentsWith(splitSegments(contentLower), mentionSpans);
+  const excluded = (RECOMMENDATION_EXCLUSIONS[language] ?? []).flatMap((phrase) => findPhrase(contentLower, phrase));
+  const segmentOf = (span) => segments.find(({ start, end }) => start <= span.start && span.end <= end);
+
+  const hits = ['positive', 'negative'].flatMap((polarity) => lexicon[polarity].flatMap((phrase) => (
+    findPhrase(contentLower, phrase).map((span) => ({ phrase, polarity, ...span }))
+  ))).filter((hit) => segmentOf(hit) && !overlapsAny(hit, mentionSpans) && !overlapsAny(hit, excluded));
+
+  const evidence = mergeSpans(hits).map((hit) => {
+    const cue = negationStart(contentLower, hit, segmentOf(hit).start, language);
+    if (cue === -1) return { ...hit, negated: false };
+    return { ...hit, polarity: hit.polarity === 'positive' ? 'negative' : 'positive', negated: true, start: cue };
+  });
+
+  const balance = evidence.reduce((sum, hit) => sum + (hit.polarity === 'positive' ? 1 : -1), 0);
+  const sentiment = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+  return { sentiment, evidence };
+}
+
+/**
+ * Find the http(s) URLs linked from response text: Markdown links
+ * ("[TiTiler](https://...)"), autolinks ("<https://...>") and bare URLs.
+ * Trailing sentence punctuation is not part of a URL.
+ *
+ * @param {string} text
+ * @returns {Array<{url: string, start: number, end: number}>} Links in text order
+ */
+function findLinks(text) {
+  return [...text.matchAll(/https?:\/\/[^\s<>()[\]"'`]+/gi)].map((match) => {
+    const url = match[0].replace(/[.,;:!?*_]+$/, '');
+    return { url, start: match.index, end: match.index + url.length };
+  });
+}
+
+/**
+ * Extract the URLs linked from response text (see findLinks()).
+ *
+ * @param {string} content - Response text as written
+ * @returns {string[]} Unique URLs in text order
+ */
+function extractLinks(content) {
+  return [...new Set(findLinks(content).map((link) => link.url))];
+}
+
+/**
+ * Blank out the URLs of folded text, so "github.com/developmentseed/titiler"
+ * counts as a citation but not as a mention of DS or TiTiler. Offsets are
+ * unchanged; the text of a Markdown link ("[TiTiler](...)") still counts.
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @returns {string}
+ */
+function maskLinks(contentLower) {
+  let masked = contentLower;
+  for (const { start, end } of findLinks(contentLower)) {
+    masked = masked.slice(0, start) + ' '.repeat(end - start) + masked.slice(end);
+  }
+  return masked;
+}
+
+/**
+ * Extract DS URLs from citations, search results and links in the
+ * response text: any URL matching one of the DS profiles (see
+ * profiles.js), labeled with the type and profile of its most specific
+ * match, so "github.com/developmentseed/titiler" is a TiTiler repo rather
+ * than an organization one.
  *
  * @param {string[]} citations - Array of cited URLs
  * @param {Object[]} searchResults - Array of { title, url, snippet }
- * @returns {string[]} Unique DS URLs found
+ * @param {string[]} [links=[]] - URLs linked from the response text, from extractLinks()
+ * @param {import('./profiles.js').EntityProfile[]} [profiles=DS_PROFILES] - The organization, then
+ *   its products
+ * @returns {DsLink[]} Unique DS URLs found, citations first, then search results, then links
+ */
+function extractDsLinks(citations, searchResults, links = [], profiles = DS_PROFILES) {
+  const dsLinks = new Map();
+  const sources = [
+    ...citations.map((url) => ({ url, origin: 'citation' })),
+    ...searchResults.map((result) => ({ url: result.url, origin: 'search' })),
+    ...links.map((url) => ({ url, origin: 'content' })),
+  ];
+
+  for (const { url, origin } of sources) {
+    if (dsLinks.has(url)) continue;
+    let best = null;
+    for (const profile of profiles) {
+      const match = matchProfileUrl(url, profile);
+      if (match && match.length >= (best?.length ?? 0)) best = { ...match, profile: profile.id };
+    }
+    if (best) dsLinks.set(url, { url, type: best.type, profile: best.profile, origin });
+  }
+
+  return [...dsLinks.values()];
+}
+
+/**
+ * Detect which DS products a response names and links to.
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @param {string[]} dsPages - DS URLs, from extractDsLinks()
+ * @param {import('./profiles.js').EntityProfile[]} [products=PRODUCTS]
+ * @returns {{ productsMentioned: string[], productsCited: string[] }}
+ */
+function detectProducts(contentLower, dsPages, products = PRODUCTS) {
+  const productsMentioned = products
+    .map((product) => ({ id: product.id, firstIndex: findProfileSpans(contentLower, product)[0]?.start ?? -1 }))
+    .filter(({ firstIndex }) => firstIndex !== -1)
+    .sort((a, b) => a.firstIndex - b.firstIndex)
+    .map(({ id }) => id);
+  const productsCited = products
+    .filter((product) => dsPages.some((url) => matchesProfileUrl(url, product)))
+    .map((product) => product.id);
+  return { productsMentioned, productsCited };
+}
+
+/**
+ * Find the spans where a phrase occurs in folded text as a whole word
+ * (not inside a longer word, so "carto" does not match "cartography" and
+ * "top" does not match "laptop").
+ *
+ * @param {string} contentLower - Text folded with normalizeText()
+ * @param {string} phrase
+ * @returns {Array<{start: number, end: number}>} Spans in text order
+ */
+function findPhrase(contentLower, phrase) {
+  const escaped = normalizeText(phrase).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+  return [...contentLower.matchAll(pattern)].map((match) => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Whether a span overlaps any of a list of spans.
+ *
+ * @param {{start: number, end: number}} span
+ * @param {Array<{start: number, end: number}>} others
+ * @returns {boolean}
+ */
+function overlapsAny(span, others) {
+  return others.some((other) => span.start < other.end && other.start < span.end);
+}
+
+/**
+ * Sort spans and merge overlapping ones, so "veda dashboard" and the
+ * "veda" inside it count once. A merged span keeps the fields of its
+ * earliest, longest match.
+ *
+ * @template {{start: number, end: number}} T
+ * @param {T[]} spans
+ * @returns {T[]} Sorted, non-overlapping spans
+ */
+function mergeSpans(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  for (const span of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Find the spans where any alias occurs in folded text as a whole word.
+ * Overlapping matches, such as "veda dashboard" and "veda", count once.
+ *
+ * @param {string} contentLower - Text folded with normalizeText()
+ * @param {string[]} aliases
+ * @returns {Array<{start: number, end: number}>} Sorted, non-overlapping spans
+ */
+function findAliasSpans(contentLower, aliases) {
+  return mergeSpans(aliases.flatMap((alias) => findPhrase(contentLower, alias)));
+}
+
+/**
+ * Find where a profile is mentioned: its aliases as whole words, except
+ * matches overlapping one of its negative phrases ("rig veda"), and
+ * matches of an alias with context terms when none of them occurs within
+ * CONTEXT_WINDOW characters.
+ *
+ * @param {string} contentLower - Text folded with normalizeText()
+ * @param {import('./profiles.js').EntityProfile} profile
+ * @returns {Array<{start: number, end: number, alias: string}>} Sorted, non-overlapping spans
+ */
+function findProfileSpans(contentLower, profile) {
+  const negatives = (profile.negativePhrases ?? []).flatMap((phrase) => findPhrase(contentLower, phrase));
+  const spans = [];
+  for (const alias of profile.aliases) {
+    const contextTerms = profile.context?.[alias];
+    for (const span of findPhrase(contentLower, alias)) {
+      if (overlapsAny(span, negatives)) continue;
+      if (contextTerms && !hasContext(contentLower, span, contextTerms)) continue;
+      spans.push({ ...span, alias });
+    }
+  }
+  return mergeSpans(spans);
+}
+
+/**
+ * Whether any context term occurs within CONTEXT_WINDOW characters of a span.
+ *
+ * @param {string} contentLower - Text folded with normalizeText()
+ * @param {{start: number, end: number}} span
+ * @param {string[]} terms
+ * @returns {boolean}
  */
-function extractDsPages(citations, searchResults) {
-  const dsUrls = new Set();
+function hasContext(contentLower, span, terms) {
+  const window = contentLower.slice(Math.max(span.start - CONTEXT_WINDOW, 0), span.end + CONTEXT_WINDOW);
+  return terms.some((term) => findPhrase(window, term).length > 0);
+}
+
+/**
+ * Find the Markdown lists in a response: bulleted and numbered lists, and
+ * numbered headings ("### 1. TiTiler"). Items of a list share their marker
+ * type and indentation; deeper lines and blank lines between items belong
+ * to the item above. A list ends at a line that is neither, or at a
+ * heading of the same or a higher level for heading lists. Lists of a
+ * single item are left out, as they rank nothing.
+ *
+ * @param {string} content - Response text
+ * @returns {MarkdownList[]} Lists in text order
+ */
+function parseLists(content) {
+  const lists = [];
+  let current = null;
+  let blankSince = false;
+
+  const close = () => {
+    if (current && current.items.length > 1) {
+      lists.push({ start: current.items[0].start, end: current.items[current.items.length - 1].end, items: current.items });
+    }
+    current = null;
+  };
+
+  let offset = 0;
+  for (const line of content.split('\n')) {
+    const start = offset;
+    const end = start + line.length;
+    offset = end + 1;
 
-  for (const url of citations) {
-    if (typeof url === 'string' && url.includes(DS_DOMAIN)) {
-      dsUrls.add(url);
+    const blank = line.trim().length === 0;
+    const heading = line.match(HEADING_PATTERN);
+    const headingItem = line.match(HEADING_ITEM_PATTERN);
+    const item = line.match(LIST_ITEM_PATTERN);
+    const indent = item ? item[1].replace(/\t/g, '    ').length : line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    const kind = item && (item[2] ? 'bullet' : 'ordered');
+
+    if (current?.kind === 'heading') {
+      if (headingItem && headingItem[1].length === current.level) {
+        current.items.push({ start, end });
+        continue;
+      }
+      if (!(heading && heading[1].length <= current.level)) {
+        if (!blank) current.items[current.items.length - 1].end = end;
+        continue;
+      }
+      close();
+    } else if (current) {
+      if (item && kind === current.kind && indent === current.indent) {
+        current.items.push({ start, end });
+        blankSince = false;
+        continue;
+      }
+      if (blank) {
+        blankSince = true;
+        continue;
+      }
+      if (!heading && (indent > current.indent || (!item && !blankSince))) {
+        // Nested lines, or a lazy continuation of the item's last line
+        current.items[current.items.length - 1].end = end;
+        blankSince = false;
+        continue;
+      }
+      close();
+    }
+
+    if (headingItem) {
+      current = { kind: 'heading', level: headingItem[1].length, items: [{ start, end }] };
+    } else if (item) {
+      current = { kind, indent, items: [{ start, end }] };
+      blankSince = false;
+    }
+  }
+  close();
+
+  return lists;
+}
+
+/**
+ * Rank of the first list item containing one of the spans.
+ *
+ * @param {MarkdownList[]} lists - From parseLists()
+ * @param {Array<{start: number, end: number}>} spans - Mentions, in text order
+ * @returns {{ listRank: number, listLength: number }} Both 0 if no span is in a list
+ */
+function listRankOf(lists, spans) {
+  for (const span of spans) {
+    for (const list of lists) {
+      const index = list.items.findIndex((item) => item.start <= span.start && span.end <= item.end);
+      if (index !== -1) return { listRank: index + 1, listLength: list.items.length };
     }
   }
+  return { listRank: 0, listLength: 0 };
+}
 
-  for (const result of searchResults) {
-    if (result.url && result.url.includes(DS_DOMAIN)) {
-      dsUrls.add(result.url);
+/**
+ * Detect which entities a response mentions and cites.
+ *
+ * @param {string} contentLower - Response text folded with normalizeText()
+ * @param {string[]} urls - Cited, search-result and linked URLs (duplicates are counted once)
+ * @param {import('./profiles.js').EntityProfile[]} entities - DS and its competitors
+ * @param {MarkdownList[]} [lists=[]] - Lists of the response, from parseLists()
+ * @returns {EntityMention[]} Mentioned entities in order of first appearance,
+ *   then entities that are only cited, in registry order
+ */
+function detectEntities(contentLower, urls, entities, lists = []) {
+  const uniqueUrls = [...new Set(urls.filter((url) => typeof url === 'string'))];
+
+  const found = [];
+  for (const entity of entities) {
+    const spans = findProfileSpans(contentLower, entity);
+    const citations = uniqueUrls.filter((url) => matchesProfileUrl(url, entity)).length;
+    if (spans.length > 0 || citations > 0) {
+      found.push({ id: entity.id, mentions: spans.length, firstIndex: spans[0]?.start ?? Infinity, citations, ...listRankOf(lists, spans) });
     }
   }
 
-  return [...dsUrls];
+  found.sort((a, b) => a.firstIndex - b.firstIndex);
+  let rank = 0;
+  return found.map(({ id, mentions, citations, listRank, listLength }) => ({
+    id, mentions, rank: mentions > 0 ? ++rank : 0, citations, listRank, listLength,
+  }));
+}
+
+/**
+ * Share of voice of DS among the detected entities.
+ *
+ * @param {EntityMention[]} entities - From detectEntities()
+ * @returns {ShareOfVoice}
+ */
+function calculateShareOfVoice(entities) {
+  const ds = entities.find((entity) => entity.id === DS_ENTITY.id);
+  const totalMentions = entities.reduce((sum, entity) => sum + entity.mentions, 0);
+  const totalCitations = entities.reduce((sum, entity) => sum + entity.citations, 0);
+  return {
+    mentions: totalMentions > 0 ? (ds?.mentions ?? 0) / totalMentions : 0,
+    citations: totalCitations > 0 ? (ds?.citations ?? 0) / totalCitations : 0,
+    dsRank: ds?.rank ?? 0,
+  };
 }
 
 /**
@@ -181,12 +1044,16 @@ function extractDsPages(citations, searchResults) {
  *   +20 if recommended (positive language)
  *   +15 if cited (at least 1 DS URL in citations)
  *   +10 per additional DS citation (max +20)
- *   +15 if mentioned early (position 1 = first 25% of text)
+ *   +15 if mentioned early (position 1 = first 25% of text), +8 in the second quarter
+ *
+ * With list-rank scoring on and DS in a list (`listRank` > 0), the list
+ * rank replaces the position bonus: +15 for #1, +10 for #2, +5 for #3.
  *
  * @param {Object} factors
+ * @param {number} [factors.listRank=0] - DS's list rank, or 0 to score its position
  * @returns {number} Score capped at 100
  */
-function calculateScore({ mentioned, recommended, position, citationCount, contentLength }) {
+function calculateScore({ mentioned, recommended, position, citationCount, contentLength, listRank = 0 }) {
   let score = 0;
 
   if (!mentioned && citationCount === 0) {
@@ -210,8 +1077,10 @@ function calculateScore({ mentioned, recommended, position, citationCount, conte
     score += Math.min((citationCount - 1) * 10, 20);
   }
 
-  // Position bonus (early mention = higher score)
-  if (mentioned && position === 1) {
+  // Position bonus (early mention = higher score), or list rank bonus
+  if (mentioned && listRank > 0) {
+    score += LIST_RANK_BONUS[listRank - 1] ?? 0;
+  } else if (mentioned && position === 1) {
     score += 15;
   } else if (mentioned && position === 2) {
     score += 8;
@@ -221,4 +1090,27 @@ function calculateScore({ mentioned, recommended, position, citationCount, conte
 }
 
 // Export internals for testing
-export { DS_KEYWORDS, DS_DOMAIN, detectMentions, detectRecommendation, extractDsPages, calculateScore };
+export {
+  DS_PROFILES,
+  DS_ENTITY,
+  CONTEXT_WINDOW,
+  DEFAULT_LOCALE,
+  RECOMMENDATION_LEXICONS,
+  RECOMMENDATION_EXCLUSIONS,
+  CLAUSE_CONJUNCTIONS,
+  NEGATION_CUES,
+  SENTIMENT_LEXICONS,
+  LIST_RANK_BONUS,
+  detectMentions,
+  detectRecommendation,
+  classifySentiment,
+  extractLinks,
+  extractDsLinks,
+  detectProducts,
+  findAliasSpans,
+  findProfileSpans,
+  parseLists,
+  detectEntities,
+  calculateShareOfVoice,
+  calculateScore,
+};
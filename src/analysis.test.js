@@ -4,10 +4,26 @@ import {
   analyzeResponse,
   detectMentions,
   detectRecommendation,
-  extractDsPages,
+  classifySentiment,
+  extractLinks,
+  extractDsLinks,
+  detectProducts,
   calculateScore,
-  DS_KEYWORDS,
+  normalizeText,
+  foldText,
+  findAliasSpans,
+  findProfileSpans,
+  parseLists,
+  detectEntities,
+  calculateShareOfVoice,
+  DS_PROFILES,
+  DS_ENTITY,
+  CONTEXT_WINDOW,
+  LIST_RANK_BONUS,
+  RECOMMENDATION_LEXICONS,
+  SENTIMENT_LEXICONS,
 } from './analysis.js';
+import { withOwnedUrls } from './profiles.js';
 
 // ============================================================
 // analyzeResponse — full integration tests
@@ -177,59 +193,512 @@ describe('detectMentions', () => {
     assert.equal(mentioned, true);
     assert.ok(position >= 3, `Expected position >= 3, got ${position}`);
   });
+
+  it('matches aliases on word boundaries only', () => {
+    assert.equal(detectMentions('the vedas and the vedanta tradition').mentioned, false);
+    assert.equal(detectMentions('subtitiler output').mentioned, false);
+    assert.equal(detectMentions('titiler-pgstac extends titiler.').mentioned, true);
+  });
+
+  it('counts VEDA only near NASA or Earth data context', () => {
+    assert.equal(detectMentions('veda is an ancient body of texts.').mentioned, false);
+    assert.equal(detectMentions('nasa built veda to share earth data.').mentioned, true);
+    assert.equal(detectMentions('the veda dashboard shows climate stories.').mentioned, true);
+  });
+
+  it('ignores negative phrases even with context nearby', () => {
+    assert.equal(detectMentions('a satellite named after the rig veda').mentioned, false);
+  });
+
+  it('returns the span of every mention, in text order', () => {
+    const { spans } = detectMentions('development seed maintains titiler and lonboard.');
+    assert.deepEqual(spans, [
+      { id: 'development-seed', alias: 'development seed', start: 0, end: 16 },
+      { id: 'titiler', alias: 'titiler', start: 27, end: 34 },
+      { id: 'lonboard', alias: 'lonboard', start: 39, end: 47 },
+    ]);
+  });
 });
 
 // ============================================================
 // detectRecommendation — unit tests
 // ============================================================
 
+/**
+ * Whether folded text recommends DS, with its mentions found by detectMentions().
+ * @param {string} text
+ * @param {string} [locale]
+ * @returns {boolean}
+ */
+function recommends(text, locale) {
+  return detectRecommendation(text, detectMentions(text).spans, locale) !== null;
+}
+
 describe('detectRecommendation', () => {
   it('detects "recommended"', () => {
-    assert.equal(detectRecommendation('titiler is recommended for cog serving'), true);
+    assert.equal(recommends('titiler is recommended for cog serving'), true);
   });
 
   it('detects "best"', () => {
-    assert.equal(detectRecommendation('one of the best tools available'), true);
+    assert.equal(recommends('titiler is one of the best tools available'), true);
   });
 
   it('detects "widely used"', () => {
-    assert.equal(detectRecommendation('this library is widely used in production'), true);
+    assert.equal(recommends('titiler is widely used in production'), true);
   });
 
   it('returns false for neutral text', () => {
-    assert.equal(detectRecommendation('titiler is a python library for tile serving'), false);
+    assert.equal(recommends('titiler is a python library for tile serving'), false);
+  });
+
+  it('returns false without a DS mention', () => {
+    assert.equal(detectRecommendation('the best tool available', []), null);
+  });
+
+  it('matches lexicon words on word boundaries only', () => {
+    assert.equal(recommends('run titiler on a laptop or desktop'), false);
+    assert.equal(recommends('titiler is the top choice'), true);
+  });
+
+  it('ignores lexicon words inside excluded phrases', () => {
+    assert.equal(recommends('follow best practices and build titiler on top of stac'), false);
+    assert.equal(recommends(normalizeText('siga las mejores prácticas con titiler'), 'es'), false);
+    assert.equal(recommends('best practices aside, titiler is the best option'), true);
+  });
+
+  it('only counts the sentence of a DS mention', () => {
+    assert.equal(recommends('the best tool is gdal. also see titiler.'), false);
+    assert.equal(recommends('gdal is common. titiler is the best option.'), true);
+  });
+
+  it('only counts the list item of a DS mention', () => {
+    assert.equal(recommends('- gdal: the most popular library\n- titiler: dynamic tiles'), false);
+    assert.equal(recommends('- gdal: raster i/o\n- titiler: a popular tile server'), true);
+  });
+
+  it('only counts the clause of a DS mention', () => {
+    assert.equal(recommends('gdal is the best choice, but titiler is newer'), false);
+    assert.equal(recommends(normalizeText('gdal es el más popular, pero titiler es más nuevo'), 'es'), false);
+  });
+
+  it('ignores negated lexicon words', () => {
+    assert.equal(recommends('titiler is not recommended for vector data'), false);
+    assert.equal(recommends('titiler is less popular than mapserver'), false);
+    assert.equal(recommends("titiler isn't the best fit here"), false);
+    assert.equal(recommends(normalizeText("titiler n'est pas le meilleur choix"), 'fr'), false);
+    assert.equal(recommends(normalizeText('titiler no es el mejor servidor'), 'es'), false);
+  });
+
+  it('still counts a recommendation after a negated one', () => {
+    assert.equal(recommends('titiler is not the newest, yet it is widely used'), true);
+  });
+
+  it('reports the phrase that triggered and its offset', () => {
+    const text = 'for cogs, titiler is a popular and trusted choice';
+    assert.deepEqual(detectRecommendation(text, detectMentions(text).spans), { phrase: 'popular', start: 23, end: 30 });
+  });
+});
+
+// ============================================================
+// classifySentiment — unit tests
+// ============================================================
+
+describe('classifySentiment', () => {
+  /** Sentiment of the DS mentions in folded text. */
+  function sentimentOf(text, locale) {
+    return classifySentiment(text, detectMentions(text).spans, locale);
+  }
+
+  it('has positive and negative phrases for each recommendation locale', () => {
+    assert.deepEqual(Object.keys(SENTIMENT_LEXICONS).sort(), Object.keys(RECOMMENDATION_LEXICONS).sort());
+    for (const lexicon of Object.values(SENTIMENT_LEXICONS)) {
+      assert.ok(lexicon.positive.length > 0 && lexicon.negative.length > 0);
+    }
+  });
+
+  it('classifies praise, criticism and plain description', () => {
+    assert.equal(sentimentOf('titiler is fast and well documented.').sentiment, 'positive');
+    assert.equal(sentimentOf('cogeo-mosaic is deprecated and hard to set up.').sentiment, 'negative');
+    assert.equal(sentimentOf('titiler is a python library.').sentiment, 'neutral');
+  });
+
+  it('is neutral when positive and negative evidence balance', () => {
+    assert.equal(sentimentOf('titiler is fast but hard to set up.').sentiment, 'neutral');
+  });
+
+  it('only reads the sentences mentioning the entity', () => {
+    assert.equal(sentimentOf('gdal is slow and buggy. titiler serves tiles.').sentiment, 'neutral');
+  });
+
+  it('flips negated phrases and starts their evidence at the cue', () => {
+    const text = 'titiler is not stable, and lonboard is no longer maintained.';
+    const { sentiment, evidence } = sentimentOf(text);
+    assert.equal(sentiment, 'negative');
+    assert.deepEqual(evidence.map(({ phrase, polarity, negated, start, end }) => [phrase, polarity, negated, text.slice(start, end)]), [
+      ['stable', 'negative', true, 'not stable'],
+      ['no longer maintained', 'negative', false, 'no longer maintained'],
+    ]);
+    assert.equal(sentimentOf('titiler is not slow.').sentiment, 'positive');
+  });
+
+  it('prefers the longest phrase and skips excluded phrases', () => {
+    assert.deepEqual(sentimentOf('titiler is well-documented.').evidence.map((e) => e.phrase), ['well-documented']);
+    assert.equal(sentimentOf('titiler follows best practices.').sentiment, 'neutral');
+  });
+
+  it('uses the lexicon of the prompt locale', () => {
+    assert.equal(sentimentOf(normalizeText('titiler es rápido y fácil de usar.'), 'es').sentiment, 'positive');
+    assert.equal(sentimentOf(normalizeText('titiler não é estável.'), 'pt-BR').sentiment, 'negative');
+    assert.equal(sentimentOf(normalizeText("titiler est obsolète."), 'fr').sentiment, 'negative');
+  });
+
+  it('is reported per entity by analyzeResponse, with the evidence as written', () => {
+    const analysis = analyzeResponse({
+      content: 'TiTiler is Fast. Esri is powerful but Cumbersome and slow.',
+      citations: [],
+      searchResults: [],
+    });
+    assert.equal(analysis.sentiment, 'positive');
+    assert.deepEqual(analysis.sentimentEvidence.map((e) => e.text), ['Fast']);
+    assert.deepEqual(analysis.sentiments.map((e) => [e.id, e.sentiment]), [['development-seed', 'positive'], ['esri', 'negative']]);
+  });
+
+  it('reports evidence at its offsets in the original text', () => {
+    const content = 'Step 1… TiTiler™ is not Fa\u0301st.';
+    const analysis = analyzeResponse({ content, citations: [], searchResults: [] });
+    const [hit] = analysis.sentimentEvidence;
+    assert.equal(hit.text, 'not Fa\u0301st');
+    assert.equal(content.slice(hit.start, hit.end), hit.text);
+  });
+
+  it('is empty for DS when DS is not mentioned', () => {
+    const analysis = analyzeResponse({ content: 'Esri is great.', citations: [], searchResults: [] });
+    assert.equal(analysis.sentiment, '');
+    assert.deepEqual(analysis.sentimentEvidence, []);
+  });
+});
+
+// ============================================================
+// Localized analysis — unit tests
+// ============================================================
+
+describe('normalizeText', () => {
+  it('folds case and diacritics without changing the length of accented words', () => {
+    assert.equal(normalizeText('Recomendável ÉXITO Ça'), 'recomendavel exito ca');
+    assert.equal(normalizeText('líder').length, 'líder'.length);
+  });
+
+  it('leaves "…" and "™" as they are', () => {
+    assert.equal(normalizeText('Wait… TiTiler™'), 'wait… titiler™');
+  });
+});
+
+describe('foldText', () => {
+  it('maps spans of the folded text back to the original', () => {
+    const content = 'Options… Mapbox™ and Development Seed.';
+    const { folded, toOriginal } = foldText(content);
+    const start = folded.indexOf('development seed');
+    const span = toOriginal({ start, end: start + 'development seed'.length });
+    assert.equal(content.slice(span.start, span.end), 'Development Seed');
+  });
+
+  it('maps across characters whose folded length differs', () => {
+    const content = 'Cafe\u0301 \ud55c Développement Seed';
+    const { folded, toOriginal } = foldText(content);
+    assert.equal(folded, 'cafe \u1112\u1161\u11ab developpement seed'); // 한 splits into three letters
+    const start = folded.indexOf('developpement');
+    const span = toOriginal({ start, end: start + 'developpement'.length });
+    assert.equal(content.slice(span.start, span.end), 'Développement');
+  });
+});
+
+describe('localized recommendation detection', () => {
+  it('has a lexicon for each supported locale', () => {
+    assert.deepEqual(Object.keys(RECOMMENDATION_LEXICONS).sort(), ['en', 'es', 'fr', 'pt']);
+  });
+
+  it('detects Spanish, Portuguese and French recommendation language', () => {
+    assert.equal(recommends(normalizeText('titiler es la mejor opción'), 'es'), true);
+    assert.equal(recommends(normalizeText('titiler é amplamente utilizado'), 'pt'), true);
+    assert.equal(recommends(normalizeText('titiler est largement utilisé'), 'fr'), true);
+  });
+
+  it('matches lexicon words whether or not the answer uses accents', () => {
+    assert.equal(recommends(normalizeText('titiler es el lider del sector'), 'es'), true);
+    assert.equal(recommends(normalizeText('TITILER EST RECOMMANDÉ'), 'fr'), true);
+  });
+
+  it('falls back from region subtags to the language, and to English for unknown locales', () => {
+    assert.equal(recommends(normalizeText('titiler é o melhor servidor de tiles'), 'pt-BR'), true);
+    assert.equal(recommends('titiler, the best tile server', 'de'), true);
+  });
+
+  it('uses only the lexicon of the prompt locale', () => {
+    assert.equal(recommends('titiler es el best', 'fr'), false);
+    assert.equal(recommends('titiler, la mejor opcion', 'en'), false);
+  });
+
+  it('analyzeResponse matches keywords regardless of case and accents', () => {
+    const result = analyzeResponse(
+      { content: 'DÉVELOPMENT SEED mantiene TiTiler, la opción recomendada.', citations: [], searchResults: [] },
+      { locale: 'es' },
+    );
+    assert.equal(result.mentioned, true);
+    assert.equal(result.recommended, true);
+    assert.deepEqual(result.recommendation, { phrase: 'recomendada', start: 45, end: 56, text: 'recomendada' });
+  });
+
+  it('analyzeResponse reports the recommendation at its offset in the original text', () => {
+    const content = 'Options… TiTiler™ is Re\u0301commended.';
+    const result = analyzeResponse({ content, citations: [], searchResults: [] });
+    assert.deepEqual(result.recommendation, { phrase: 'recommended', start: 21, end: 33, text: 'Re\u0301commended' });
+  });
+
+  it('analyzeResponse returns mention spans with the text as written', () => {
+    const result = analyzeResponse({ content: 'Try TiTiler — or DévelopmentSeed.', citations: [], searchResults: [] });
+    assert.deepEqual(result.mentionSpans, [
+      { id: 'titiler', alias: 'titiler', start: 4, end: 11, text: 'TiTiler' },
+      { id: 'development-seed', alias: 'developmentseed', start: 17, end: 32, text: 'DévelopmentSeed' },
+    ]);
+  });
+
+  it('analyzeResponse maps mention spans to the original text after characters that fold differently', () => {
+    const content = 'Options… Mapbox™ and github.com/developmentseed/titiler by De\u0301velopment Seed';
+    const result = analyzeResponse({ content, citations: [], searchResults: [] });
+    for (const span of result.mentionSpans) {
+      assert.equal(content.slice(span.start, span.end), span.text);
+    }
+    assert.deepEqual(result.mentionSpans.at(-1), {
+      id: 'development-seed', alias: 'development seed', start: 59, end: 76, text: 'De\u0301velopment Seed',
+    });
+  });
+
+  it('analyzeResponse matches aliases followed by "™"', () => {
+    const result = analyzeResponse({ content: 'TiTiler™ and Esri ArcGIS™ both serve tiles.', citations: [], searchResults: [] });
+    assert.deepEqual(result.mentionSpans.map((span) => span.text), ['TiTiler']);
+    assert.deepEqual(result.entities.map(({ id, mentions }) => `${id}:${mentions}`), ['development-seed:1', 'esri:2']);
+  });
+
+  it('analyzeResponse defaults to English', () => {
+    const result = analyzeResponse({
+      content: 'Development Seed mantiene titiler, la mejor opción.',
+      citations: [],
+      searchResults: [],
+    });
+    assert.equal(result.recommended, false);
   });
 });
 
 // ============================================================
-// extractDsPages — unit tests
+// extractLinks — unit tests
 // ============================================================
 
-describe('extractDsPages', () => {
+describe('extractLinks', () => {
+  it('finds Markdown links, autolinks and bare URLs', () => {
+    const links = extractLinks(
+      'See [TiTiler](https://developmentseed.org/titiler/ "docs"), <https://eoapi.dev> or https://github.com/developmentseed/lonboard.',
+    );
+    assert.deepEqual(links, [
+      'https://developmentseed.org/titiler/',
+      'https://eoapi.dev',
+      'https://github.com/developmentseed/lonboard',
+    ]);
+  });
+
+  it('drops trailing punctuation and emphasis', () => {
+    assert.deepEqual(extractLinks('Docs: **https://eoapi.dev/intro**; also http://titiler.xyz!'), [
+      'https://eoapi.dev/intro',
+      'http://titiler.xyz',
+    ]);
+  });
+
+  it('lists a URL linked twice once', () => {
+    assert.deepEqual(extractLinks('[https://eoapi.dev](https://eoapi.dev)'), ['https://eoapi.dev']);
+  });
+
+  it('returns empty when the text has no links', () => {
+    assert.deepEqual(extractLinks('Use developmentseed.org for more.'), []);
+  });
+});
+
+// ============================================================
+// extractDsLinks — unit tests
+// ============================================================
+
+describe('extractDsLinks', () => {
+  const urlsOf = (links) => links.map((link) => link.url);
+
   it('finds DS URLs in citations', () => {
-    const pages = extractDsPages(
+    const links = extractDsLinks(
       ['https://developmentseed.org/blog/x', 'https://gdal.org'],
       [],
     );
-    assert.deepEqual(pages, ['https://developmentseed.org/blog/x']);
+    assert.deepEqual(links, [
+      { url: 'https://developmentseed.org/blog/x', type: 'website', profile: 'development-seed', origin: 'citation' },
+    ]);
   });
 
   it('finds DS URLs in search results', () => {
-    const pages = extractDsPages([], [
+    const links = extractDsLinks([], [
       { url: 'https://developmentseed.org/titiler' },
     ]);
-    assert.deepEqual(pages, ['https://developmentseed.org/titiler']);
+    assert.deepEqual(links, [
+      { url: 'https://developmentseed.org/titiler', type: 'docs', profile: 'titiler', origin: 'search' },
+    ]);
+  });
+
+  it('finds DS URLs linked from the response text', () => {
+    const links = extractDsLinks([], [], ['https://github.com/developmentseed/titiler', 'https://qgis.org']);
+    assert.deepEqual(links, [
+      { url: 'https://github.com/developmentseed/titiler', type: 'repo', profile: 'titiler', origin: 'content' },
+    ]);
   });
 
-  it('deduplicates URLs across citations and searchResults', () => {
+  it('deduplicates URLs across citations, searchResults and links', () => {
     const url = 'https://developmentseed.org/blog/titiler-v2';
-    const pages = extractDsPages([url], [{ url }]);
-    assert.equal(pages.length, 1);
+    const links = extractDsLinks([], [{ url }], [url]);
+    assert.equal(links.length, 1);
+    assert.equal(links[0].origin, 'search');
   });
 
   it('returns empty for no DS URLs', () => {
-    const pages = extractDsPages(['https://gdal.org'], [{ url: 'https://qgis.org' }]);
-    assert.deepEqual(pages, []);
+    const links = extractDsLinks(['https://gdal.org'], [{ url: 'https://qgis.org' }], ['https://stacspec.org']);
+    assert.deepEqual(links, []);
+  });
+
+  it('finds DS repositories, packages and documentation off developmentseed.org', () => {
+    const links = extractDsLinks([
+      'https://github.com/developmentseed/lonboard/issues/1',
+      'https://pypi.org/project/titiler-core/',
+      'https://nasa-impact.github.io/veda-docs/',
+      'https://eoapi.dev/intro',
+      'https://github.com/opengeos/leafmap',
+    ], []);
+    assert.deepEqual(urlsOf(links), [
+      'https://github.com/developmentseed/lonboard/issues/1',
+      'https://pypi.org/project/titiler-core/',
+      'https://nasa-impact.github.io/veda-docs/',
+      'https://eoapi.dev/intro',
+    ]);
+  });
+
+  it('labels each URL with its type and most specific profile', () => {
+    const links = extractDsLinks([
+      'https://developmentseed.org/about',
+      'https://github.com/developmentseed/label-maker',
+      'https://github.com/developmentseed/lonboard/issues/1',
+      'https://pypi.org/project/titiler.core/',
+      'https://developmentseed.org/lonboard/latest/',
+    ], []);
+    assert.deepEqual(links.map(({ type, profile }) => `${profile}:${type}`), [
+      'development-seed:website',
+      'development-seed:repo',
+      'lonboard:repo',
+      'titiler:package',
+      'lonboard:docs',
+    ]);
+  });
+
+  it('matches owned URL prefixes added to the profiles', () => {
+    const profiles = withOwnedUrls(DS_PROFILES, [
+      { url: 'titiler.xyz', type: 'docs', product: 'titiler' },
+      { url: 'huggingface.co/developmentseed', type: 'repo' },
+    ]);
+    const links = extractDsLinks(['https://titiler.xyz/endpoints'], [], ['https://huggingface.co/developmentseed/model'], profiles);
+    assert.deepEqual(links, [
+      { url: 'https://titiler.xyz/endpoints', type: 'docs', profile: 'titiler', origin: 'citation' },
+      { url: 'https://huggingface.co/developmentseed/model', type: 'repo', profile: 'development-seed', origin: 'content' },
+    ]);
+  });
+});
+
+// ============================================================
+// analyzeResponse — DS links
+// ============================================================
+
+describe('analyzeResponse DS links', () => {
+  it('does not count the text of linked URLs as mentions', () => {
+    const analysis = analyzeResponse({
+      content: 'See https://github.com/developmentseed/titiler and [Esri](https://esri.com/arcgis).',
+      citations: [],
+      searchResults: [],
+    });
+    assert.equal(analysis.mentioned, false);
+    assert.deepEqual(analysis.mentionSpans, []);
+    assert.equal(analysis.position, 0);
+    assert.equal(analysis.citationCount, 1);
+    assert.deepEqual(analysis.entities, [
+      { id: 'esri', mentions: 1, rank: 1, citations: 1, listRank: 0, listLength: 0 },
+      { id: 'development-seed', mentions: 0, rank: 0, citations: 1, listRank: 0, listLength: 0 },
+    ]);
+    assert.equal(analysis.shareOfVoice.mentions, 0);
+  });
+
+  it('counts DS pages linked from the response text as citations', () => {
+    const analysis = analyzeResponse({
+      content: 'Serve tiles with [TiTiler](https://github.com/developmentseed/titiler).',
+      citations: ['https://developmentseed.org/blog/x'],
+      searchResults: [],
+    });
+    assert.equal(analysis.citationCount, 2);
+    assert.deepEqual(analysis.dsLinks.map((link) => link.origin), ['citation', 'content']);
+    assert.deepEqual(analysis.productsCited, ['titiler']);
+    assert.equal(analysis.entities.find((e) => e.id === DS_ENTITY.id).citations, 2);
+  });
+
+  it('recognizes owned URLs passed as an option', () => {
+    const result = { content: 'The docs are at https://titiler.xyz.', citations: [], searchResults: [] };
+    assert.equal(analyzeResponse(result).citationCount, 0);
+
+    const analysis = analyzeResponse(result, { ownedUrls: [{ url: 'titiler.xyz', type: 'docs', product: 'titiler' }] });
+    assert.equal(analysis.citationCount, 1);
+    assert.deepEqual(analysis.dsLinks, [
+      { url: 'https://titiler.xyz', type: 'docs', profile: 'titiler', origin: 'content' },
+    ]);
+    assert.deepEqual(analysis.productsCited, ['titiler']);
+    assert.deepEqual(analysis.shareOfVoice.citations, 1);
+  });
+});
+
+// ============================================================
+// detectProducts — unit tests
+// ============================================================
+
+describe('detectProducts', () => {
+  it('lists mentioned products in order of first appearance', () => {
+    const { productsMentioned } = detectProducts(
+      normalizeText('Lonboard renders GeoArrow; TiTiler serves tiles and Lonboard plots them.'),
+      [],
+    );
+    assert.deepEqual(productsMentioned, ['lonboard', 'titiler']);
+  });
+
+  it('does not count the organization as a product', () => {
+    assert.deepEqual(detectProducts(normalizeText('Development Seed builds maps.'), []), {
+      productsMentioned: [],
+      productsCited: [],
+    });
+  });
+
+  it('attributes cited pages to products', () => {
+    const { productsCited } = detectProducts('', [
+      'https://developmentseed.org/blog/x',
+      'https://github.com/developmentseed/cogeo-mosaic',
+      'https://developmentseed.org/titiler/advanced/',
+    ]);
+    assert.deepEqual(productsCited, ['titiler', 'cogeo-mosaic']);
+  });
+
+  it('is reported by analyzeResponse', () => {
+    const analysis = analyzeResponse({
+      content: 'Use lonboard in a notebook.',
+      citations: ['https://pypi.org/project/lonboard/'],
+      searchResults: [],
+    });
+    assert.equal(analysis.mentioned, true);
+    assert.deepEqual(analysis.dsPages, ['https://pypi.org/project/lonboard/']);
+    assert.deepEqual(analysis.productsMentioned, ['lonboard']);
+    assert.deepEqual(analysis.productsCited, ['lonboard']);
   });
 });
 
@@ -300,3 +769,188 @@ describe('calculateScore', () => {
     assert.ok(earlyScore > lateScore, `Early ${earlyScore} should beat late ${lateScore}`);
   });
 });
+
+// ============================================================
+// Share of voice
+// ============================================================
+
+describe('findAliasSpans', () => {
+  it('matches whole words only', () => {
+    assert.deepEqual(findAliasSpans('carto and cartodb, not cartography', ['carto', 'cartodb']), [
+      { start: 0, end: 5 },
+      { start: 10, end: 17 },
+    ]);
+  });
+
+  it('counts overlapping aliases once', () => {
+    assert.deepEqual(findAliasSpans(normalizeText('The VEDA Dashboard, then VEDA.'), ['veda dashboard', 'veda']), [
+      { start: 4, end: 18 },
+      { start: 25, end: 29 },
+    ]);
+  });
+
+  it('treats aliases as literal text, not patterns', () => {
+    assert.deepEqual(findAliasSpans('see planet.com or planetxcom', ['planet.com']), [{ start: 4, end: 14 }]);
+  });
+});
+
+describe('findProfileSpans', () => {
+  const profile = {
+    id: 'veda',
+    name: 'VEDA',
+    aliases: ['veda dashboard', 'veda'],
+    context: { veda: ['nasa'] },
+    negativePhrases: ['rig veda'],
+  };
+
+  it('keeps the alias that matched, merging overlapping matches', () => {
+    assert.deepEqual(findProfileSpans('the veda dashboard', profile), [{ start: 4, end: 18, alias: 'veda dashboard' }]);
+  });
+
+  it('drops a context-bound alias without context in the window', () => {
+    const far = `nasa ${'x '.repeat(CONTEXT_WINDOW)}veda`;
+    assert.deepEqual(findProfileSpans(far, profile), []);
+    assert.deepEqual(findProfileSpans('nasa veda', profile), [{ start: 5, end: 9, alias: 'veda' }]);
+  });
+
+  it('drops matches overlapping a negative phrase', () => {
+    assert.deepEqual(findProfileSpans('nasa and the rig veda', profile), []);
+  });
+});
+
+describe('parseLists', () => {
+  /** Item texts of each list, for readable assertions. */
+  function itemTexts(text) {
+    return parseLists(text).map((list) => list.items.map((item) => text.slice(item.start, item.end)));
+  }
+
+  it('finds numbered and bulleted lists with their items', () => {
+    const text = 'Intro.\n\n1. titiler\n2. mapserver\n3. geoserver\n\nAlso:\n- gdal\n- rasterio\n';
+    assert.deepEqual(itemTexts(text), [
+      ['1. titiler', '2. mapserver', '3. geoserver'],
+      ['- gdal', '- rasterio'],
+    ]);
+  });
+
+  it('keeps nested lists, continuation lines and loose items in their top-level item', () => {
+    const text = '1. **titiler**\n   dynamic tiles\n   - fastapi based\n\n2. mapserver\nlazy line\n\nThe end.';
+    assert.deepEqual(itemTexts(text), [
+      ['1. **titiler**\n   dynamic tiles\n   - fastapi based', '2. mapserver\nlazy line'],
+    ]);
+  });
+
+  it('reads bold numbers and numbered headings as list items', () => {
+    assert.deepEqual(itemTexts('**1. titiler**\n**2. gdal**'), [['**1. titiler**', '**2. gdal**']]);
+    const text = '## Tools\n### 1. titiler\nTiles.\n\n### 2. gdal\nI/O.\n## Summary\nBoth.';
+    assert.deepEqual(itemTexts(text), [['### 1. titiler\nTiles.', '### 2. gdal\nI/O.']]);
+  });
+
+  it('starts a new list when the marker type changes, and skips single items', () => {
+    assert.deepEqual(itemTexts('- a\n- b\n1. c\n2. d'), [['- a', '- b'], ['1. c', '2. d']]);
+    assert.deepEqual(itemTexts('- only one\n\nText.'), []);
+  });
+});
+
+describe('detectEntities', () => {
+  const registry = [
+    DS_ENTITY,
+    { id: 'esri', name: 'Esri', aliases: ['esri', 'arcgis'], domains: ['esri.com'] },
+    { id: 'carto', name: 'CARTO', aliases: ['carto'], domains: ['carto.com'] },
+    { id: 'mapbox', name: 'Mapbox', aliases: ['mapbox'], domains: ['mapbox.com'] },
+  ];
+
+  it('orders mentioned entities by first appearance, with mention and citation counts', () => {
+    const entities = detectEntities(
+      normalizeText('ArcGIS is common. Development Seed builds titiler. Esri sells ArcGIS.'),
+      ['https://pro.esri.com/a', 'https://developmentseed.org/b', 'https://developmentseed.org/b', 'https://mapbox.com/c'],
+      registry,
+    );
+    assert.deepEqual(entities, [
+      { id: 'esri', mentions: 3, rank: 1, citations: 1, listRank: 0, listLength: 0 },
+      { id: 'development-seed', mentions: 2, rank: 2, citations: 1, listRank: 0, listLength: 0 },
+      { id: 'mapbox', mentions: 0, rank: 0, citations: 1, listRank: 0, listLength: 0 },
+    ]);
+  });
+
+  it('counts DS repositories and packages as DS citations', () => {
+    const entities = detectEntities('', ['https://github.com/developmentseed/titiler', 'https://pypi.org/project/lonboard'], registry);
+    assert.deepEqual(entities, [{ id: 'development-seed', mentions: 0, rank: 0, citations: 2, listRank: 0, listLength: 0 }]);
+  });
+
+  it('records the list rank and length of each entity', () => {
+    const text = normalizeText('Options:\n\n1. ArcGIS Online\n2. Mapbox\n3. TiTiler, from Development Seed\n\nEsri is the incumbent.');
+    const entities = detectEntities(text, [], registry, parseLists(text));
+    assert.deepEqual(entities.map((e) => [e.id, e.listRank, e.listLength]), [
+      ['esri', 1, 3],
+      ['mapbox', 2, 3],
+      ['development-seed', 3, 3],
+    ]);
+  });
+
+  it('matches domains by hostname, not substring', () => {
+    const entities = detectEntities('', ['https://notesri.com/x', 'https://example.com/?ref=esri.com', 'not a url'], registry);
+    assert.deepEqual(entities, []);
+  });
+});
+
+describe('list rank scoring', () => {
+  const content = '1. GDAL\n2. MapServer\n3. GeoServer\n4. Mapbox\n5. Lonboard, a notebook widget';
+
+  it('reports the DS list rank and list length', () => {
+    const analysis = analyzeResponse({ content, citations: [], searchResults: [] });
+    assert.equal(analysis.listRank, 5);
+    assert.equal(analysis.listLength, 5);
+  });
+
+  it('leaves the score unchanged unless list-rank scoring is on', () => {
+    const off = analyzeResponse({ content, citations: [], searchResults: [] });
+    const on = analyzeResponse({ content, citations: [], searchResults: [] }, { scoreListRank: true });
+    assert.equal(off.prominenceScore, 30);
+    assert.equal(on.prominenceScore, 30);
+
+    const first = '1. TiTiler\n2. GDAL\n\n' + 'x'.repeat(200);
+    assert.equal(analyzeResponse({ content: first, citations: [], searchResults: [] }, { scoreListRank: true }).prominenceScore, 45);
+  });
+
+  it('replaces the position bonus with the list rank bonus', () => {
+    const factors = { mentioned: true, recommended: false, position: 1, citationCount: 0, contentLength: 100 };
+    assert.equal(calculateScore(factors), 45);
+    assert.equal(calculateScore({ ...factors, listRank: 2 }), 30 + LIST_RANK_BONUS[1]);
+    assert.equal(calculateScore({ ...factors, listRank: 7 }), 30);
+  });
+});
+
+describe('calculateShareOfVoice', () => {
+  it('computes the DS share of mentions and citations, and its rank', () => {
+    const sov = calculateShareOfVoice([
+      { id: 'esri', mentions: 3, rank: 1, citations: 1 },
+      { id: 'development-seed', mentions: 1, rank: 2, citations: 1 },
+    ]);
+    assert.deepEqual(sov, { mentions: 0.25, citations: 0.5, dsRank: 2 });
+  });
+
+  it('is zero when no entity is mentioned or cited', () => {
+    assert.deepEqual(calculateShareOfVoice([]), { mentions: 0, citations: 0, dsRank: 0 });
+  });
+});
+
+describe('analyzeResponse share of voice', () => {
+  it('uses the built-in competitor registry by default', () => {
+    const analysis = analyzeResponse({
+      content: 'Element 84 and Development Seed both maintain STAC tools.',
+      citations: [],
+      searchResults: [],
+    });
+    assert.deepEqual(analysis.entities.map((e) => e.id), ['element-84', 'development-seed']);
+    assert.equal(analysis.shareOfVoice.mentions, 0.5);
+    assert.equal(analysis.shareOfVoice.dsRank, 2);
+  });
+
+  it('accepts another registry and always includes DS', () => {
+    const analysis = analyzeResponse(
+      { content: 'Acme and Esri. Development Seed too.', citations: [], searchResults: [] },
+      { competitors: [{ id: 'acme', name: 'Acme', aliases: ['acme'] }] },
+    );
+    assert.deepEqual(analysis.entities.map((e) => [e.id, e.rank]), [['acme', 1], ['development-seed', 2]]);
+  });
+});
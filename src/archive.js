@@ -0,0 +1,118 @@
+/**
+ * Raw Response Archive
+ *
+ * Persists every normalized LLM response to an append-only JSONL archive,
+ * one file per run date (e.g. `data/archive/2026-02-09.jsonl`). Each record
+ * carries the same `response_id` as its CSV row, so a surprising score can
+ * be audited against what the model actually said.
+ *
+ * @module archive
+ */
+
+import { existsSync, mkdirSync, appendFileSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * @typedef {Object} ArchiveRecord
+ * @property {string} response_id - Join key shared with the CSV row
+ * @property {string} date - ISO date string (YYYY-MM-DD) of the run
+ * @property {string} recorded_at - ISO timestamp when the response was received
+ * @property {string} source - LLM source name
+ * @property {string} data_source - Source type (web/training)
+ * @property {string} query_id - Machine-readable query ID
+ * @property {string} query_name - Human-readable query name
+ * @property {string} category - Query category
+ * @property {string} search_term - The search term that opened the conversation
+ * @property {string} [term_id] - Stable id of the prompt (see prompt-log.js)
+ * @property {string} [term_hash] - Content hash of the prompt
+ * @property {string} [locale] - Locale of the prompt (e.g. "en", "es")
+ * @property {import('./config.js').UserLocation|null} [location] - User location sent to the source
+ * @property {number} [sample] - 1-based sample number when a prompt is sampled repeatedly
+ * @property {number} [samples] - Samples the run asked for per prompt (above 1, the run wrote
+ *   aggregate rows, even if fewer samples succeeded)
+ * @property {import('./queries.js').GenerationParams} [params] - Generation parameters sent with the prompt
+ * @property {string} [conversation_id] - Shared by the turns of one conversation
+ * @property {number} [turn] - 1-based turn of the conversation
+ * @property {string} [turn_prompt] - The exact prompt sent in this turn
+ * @property {string} content - Full response text
+ * @property {string[]} citations - Cited URLs
+ * @property {Object[]} searchResults - Array of { title, url, snippet }
+ * @property {Object} usage - { promptTokens, completionTokens, totalTokens, searches? }
+ * @property {number} attempts - HTTP attempts needed
+ * @property {string} [model] - Model that answered; with `usage` and `date` it prices the call
+ */
+
+/**
+ * Path of the archive partition for a given date.
+ *
+ * @param {string} dir - Archive directory
+ * @param {string} date - ISO date string (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function archivePath(dir, date) {
+  return join(dir, `${date}.jsonl`);
+}
+
+/**
+ * Append archive records, one JSON object per line, to the partition
+ * matching each record's date. The directory is created as needed.
+ *
+ * @param {string} dir - Archive directory
+ * @param {ArchiveRecord[]} records - Records to append
+ * @returns {number} Number of records written
+ */
+export function appendArchive(dir, records) {
+  if (!records || records.length === 0) return 0;
+
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  const byDate = new Map();
+  for (const record of records) {
+    if (!byDate.has(record.date)) byDate.set(record.date, []);
+    byDate.get(record.date).push(JSON.stringify(record));
+  }
+
+  for (const [date, lines] of byDate) {
+    appendFileSync(archivePath(dir, date), lines.join('\n') + '\n', 'utf-8');
+  }
+
+  return records.length;
+}
+
+/**
+ * Read archive records from every partition in a directory, oldest first.
+ * Partitions can be limited to an inclusive date range.
+ *
+ * @param {string} dir - Archive directory
+ * @param {Object} [range]
+ * @param {string} [range.from] - First date to include (YYYY-MM-DD)
+ * @param {string} [range.to] - Last date to include (YYYY-MM-DD)
+ * @returns {ArchiveRecord[]} Records (empty if the directory does not exist)
+ * @throws {Error} If a line is not valid JSON (names the file and line)
+ */
+export function readArchive(dir, { from, to } = {}) {
+  if (!existsSync(dir)) return [];
+
+  const partitions = readdirSync(dir)
+    .filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+    .map((name) => name.slice(0, 10))
+    .filter((date) => (!from || date >= from) && (!to || date <= to))
+    .sort();
+
+  const records = [];
+  for (const date of partitions) {
+    const path = archivePath(dir, date);
+    const lines = readFileSync(path, 'utf-8').split('\n');
+    lines.forEach((line, i) => {
+      if (line.trim().length === 0) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Invalid archive record at ${path}:${i + 1}: ${error.message}`);
+      }
+    });
+  }
+  return records;
+}
@@ -0,0 +1,129 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, rmSync, mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { appendArchive, archivePath, readArchive } from './archive.js';
+
+// Use a temp directory for test archive files
+const TEST_DIR = join(import.meta.dirname, '..', '.test-tmp-archive');
+
+function cleanup() {
+  try { rmSync(TEST_DIR, { recursive: true }); } catch { /* ignore */ }
+}
+
+function sampleRecord(overrides = {}) {
+  return {
+    response_id: 'r-1',
+    date: '2026-02-09',
+    recorded_at: '2026-02-09T09:00:01.000Z',
+    source: 'Perplexity',
+    data_source: 'web',
+    query_id: 'titiler',
+    query_name: 'titiler',
+    category: 'product',
+    search_term: 'What is titiler?',
+    content: 'titiler is a dynamic tile server.\nIt reads COGs.',
+    citations: ['https://developmentseed.org/titiler'],
+    searchResults: [],
+    usage: { promptTokens: 10, completionTokens: 20, totalTokens: 30 },
+    attempts: 1,
+    ...overrides,
+  };
+}
+
+function readLines(path) {
+  return readFileSync(path, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+// ============================================================
+// appendArchive
+// ============================================================
+
+describe('appendArchive', () => {
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('creates the directory and a partition named after the date', () => {
+    appendArchive(TEST_DIR, [sampleRecord()]);
+    assert.ok(existsSync(archivePath(TEST_DIR, '2026-02-09')));
+    assert.ok(archivePath(TEST_DIR, '2026-02-09').endsWith('2026-02-09.jsonl'));
+  });
+
+  it('writes one JSON object per line and round-trips multi-line content', () => {
+    const written = appendArchive(TEST_DIR, [sampleRecord(), sampleRecord({ response_id: 'r-2' })]);
+
+    assert.equal(written, 2);
+    const records = readLines(archivePath(TEST_DIR, '2026-02-09'));
+    assert.equal(records.length, 2);
+    assert.deepEqual(records[0], sampleRecord());
+    assert.equal(records[1].response_id, 'r-2');
+  });
+
+  it('appends across calls instead of overwriting', () => {
+    appendArchive(TEST_DIR, [sampleRecord()]);
+    appendArchive(TEST_DIR, [sampleRecord({ response_id: 'r-2' })]);
+    assert.equal(readLines(archivePath(TEST_DIR, '2026-02-09')).length, 2);
+  });
+
+  it('partitions records by their date', () => {
+    appendArchive(TEST_DIR, [
+      sampleRecord(),
+      sampleRecord({ response_id: 'r-2', date: '2026-02-10' }),
+    ]);
+    assert.equal(readLines(archivePath(TEST_DIR, '2026-02-09')).length, 1);
+    assert.equal(readLines(archivePath(TEST_DIR, '2026-02-10')).length, 1);
+  });
+
+  it('returns 0 and writes nothing for empty input', () => {
+    assert.equal(appendArchive(TEST_DIR, []), 0);
+    assert.equal(appendArchive(TEST_DIR, null), 0);
+    assert.equal(existsSync(TEST_DIR), false);
+  });
+});
+
+// ============================================================
+// readArchive
+// ============================================================
+
+describe('readArchive', () => {
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('returns [] when the directory does not exist', () => {
+    assert.deepEqual(readArchive(TEST_DIR), []);
+  });
+
+  it('reads all partitions oldest first', () => {
+    appendArchive(TEST_DIR, [sampleRecord({ response_id: 'late', date: '2026-02-10' })]);
+    appendArchive(TEST_DIR, [sampleRecord({ response_id: 'early', date: '2026-02-09' })]);
+
+    const records = readArchive(TEST_DIR);
+
+    assert.deepEqual(records.map((r) => r.response_id), ['early', 'late']);
+    assert.equal(records[0].content, sampleRecord().content);
+  });
+
+  it('limits partitions to an inclusive date range', () => {
+    appendArchive(TEST_DIR, [
+      sampleRecord({ response_id: 'a', date: '2026-02-08' }),
+      sampleRecord({ response_id: 'b', date: '2026-02-09' }),
+      sampleRecord({ response_id: 'c', date: '2026-02-10' }),
+    ]);
+
+    const records = readArchive(TEST_DIR, { from: '2026-02-09', to: '2026-02-09' });
+
+    assert.deepEqual(records.map((r) => r.response_id), ['b']);
+  });
+
+  it('ignores files that are not date partitions', () => {
+    appendArchive(TEST_DIR, [sampleRecord()]);
+    writeFileSync(join(TEST_DIR, 'notes.txt'), 'not json', 'utf-8');
+    assert.equal(readArchive(TEST_DIR).length, 1);
+  });
+
+  it('names the file and line of a corrupt record', () => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    writeFileSync(archivePath(TEST_DIR, '2026-02-09'), '{"ok":1}\n{broken\n', 'utf-8');
+    assert.throws(() => readArchive(TEST_DIR), /2026-02-09\.jsonl:2/);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Run Budget Guard
+ *
+ * Stops spending before a USD ceiling is crossed. One budget is shared by
+ * all sources of a run, which run concurrently, so the projected cost of
+ * each call is reserved before the call and settled with the actual cost
+ * afterwards. In-flight calls therefore count against the limits too.
+ *
+ * Two limits, both optional:
+ *   - run budget — total across all sources
+ *   - per-source budget — keyed by source name
+ *
+ * When a call would cross a limit, the budget's action decides what stops:
+ *   - "skip"  — only the source that hit the limit stops; others continue
+ *   - "abort" — the whole run stops
+ *
+ * @module budget
+ */
+
+/** Budget actions accepted in config. */
+export const BUDGET_ACTIONS = ['skip', 'abort'];
+
+/**
+ * @typedef {Object} BudgetConfig
+ * @property {number} [runUsd] - Ceiling for the whole run (omit for none)
+ * @property {Object<string, number>} [perSource] - Ceilings keyed by source name
+ * @property {'skip'|'abort'} [action='skip'] - What stops once a limit would be crossed
+ */
+
+/**
+ * @typedef {Object} Reservation
+ * @property {boolean} ok - Whether the call may go ahead
+ * @property {string} [reason] - Why not, when `ok` is false
+ */
+
+/**
+ * Format a USD amount for messages.
+ * @param {number} usd
+ * @returns {string}
+ */
+function formatUsd(usd) {
+  return `$${usd.toFixed(4)}`;
+}
+
+/**
+ * Create a budget shared by the sources of one run.
+ *
+ * @param {BudgetConfig} [config]
+ */
+export function createBudget({ runUsd, perSource = {}, action = 'skip' } = {}) {
+  let runCommitted = 0;
+  const sourceCommitted = {};
+  let abortReason = null;
+
+  return {
+    /**
+     * Reserve the projected cost of the next call, unless it would cross
+     * the run or source budget. A refusal in "abort" mode stops every
+     * source from then on.
+     *
+     * @param {string} sourceName
+     * @param {number} projectedUsd - Expected cost of the call
+     * @returns {Reservation}
+     */
+    reserve(sourceName, projectedUsd) {
+      if (abortReason) return { ok: false, reason: abortReason };
+
+      const committed = sourceCommitted[sourceName] ?? 0;
+      let reason = null;
+      if (runUsd !== undefined && runCommitted + projectedUsd > runUsd) {
+        reason = `run budget of ${formatUsd(runUsd)} would be exceeded (committed ${formatUsd(runCommitted)}, next call ~${formatUsd(projectedUsd)})`;
+      } else if (perSource[sourceName] !== undefined && committed + projectedUsd > perSource[sourceName]) {
+        reason = `${sourceName} budget of ${formatUsd(perSource[sourceName])} would be exceeded (committed ${formatUsd(committed)}, next call ~${formatUsd(projectedUsd)})`;
+      }
+
+      if (reason) {
+        if (action === 'abort') abortReason = reason;
+        return { ok: false, reason };
+      }
+
+      runCommitted += projectedUsd;
+      sourceCommitted[sourceName] = committed + projectedUsd;
+      return { ok: true };
+    },
+
+    /**
+     * Replace a reservation with the actual cost once the call returns
+     * (0 for a failed call).
+     *
+     * @param {string} sourceName
+     * @param {number} projectedUsd - The amount passed to reserve()
+     * @param {number} actualUsd
+     */
+    settle(sourceName, projectedUsd, actualUsd) {
+      runCommitted += actualUsd - projectedUsd;
+      sourceCommitted[sourceName] = (sourceCommitted[sourceName] ?? 0) + actualUsd - projectedUsd;
+    },
+
+    /** Reason the run was aborted, or null. */
+    get abortReason() {
+      return abortReason;
+    },
+  };
+}
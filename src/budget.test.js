@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBudget } from './budget.js';
+
+describe('createBudget', () => {
+  it('allows every call when no limits are set', () => {
+    const budget = createBudget();
+    for (let i = 0; i < 100; i++) {
+      assert.equal(budget.reserve('ChatGPT', 1).ok, true);
+    }
+  });
+
+  it('refuses a call that would cross the run budget', () => {
+    const budget = createBudget({ runUsd: 0.1 });
+    assert.equal(budget.reserve('ChatGPT', 0.06).ok, true);
+    const refused = budget.reserve('Claude', 0.06);
+    assert.equal(refused.ok, false);
+    assert.match(refused.reason, /run budget of \$0\.1000 would be exceeded/);
+  });
+
+  it('counts in-flight reservations from other sources', () => {
+    const budget = createBudget({ runUsd: 0.1 });
+    budget.reserve('ChatGPT', 0.05);
+    budget.reserve('Gemini', 0.04);
+    assert.equal(budget.reserve('Claude', 0.02).ok, false);
+  });
+
+  it('settles reservations with the actual cost', () => {
+    const budget = createBudget({ runUsd: 0.1 });
+    budget.reserve('ChatGPT', 0.08);
+    budget.settle('ChatGPT', 0.08, 0.01);
+    assert.equal(budget.reserve('ChatGPT', 0.08).ok, true);
+  });
+
+  it('releases the reservation of a failed call', () => {
+    const budget = createBudget({ runUsd: 0.1 });
+    budget.reserve('ChatGPT', 0.08);
+    budget.settle('ChatGPT', 0.08, 0);
+    assert.equal(budget.reserve('ChatGPT', 0.08).ok, true);
+  });
+
+  it('applies per-source budgets independently', () => {
+    const budget = createBudget({ perSource: { ChatGPT: 0.05 } });
+    assert.equal(budget.reserve('ChatGPT', 0.04).ok, true);
+    const refused = budget.reserve('ChatGPT', 0.02);
+    assert.equal(refused.ok, false);
+    assert.match(refused.reason, /ChatGPT budget of \$0\.0500 would be exceeded/);
+    assert.equal(budget.reserve('Claude', 10).ok, true);
+  });
+
+  it('in skip mode, keeps accepting calls from other sources', () => {
+    const budget = createBudget({ perSource: { ChatGPT: 0.01 }, action: 'skip' });
+    assert.equal(budget.reserve('ChatGPT', 0.02).ok, false);
+    assert.equal(budget.reserve('Claude', 0.02).ok, true);
+    assert.equal(budget.abortReason, null);
+  });
+
+  it('in abort mode, refuses every call after the first refusal', () => {
+    const budget = createBudget({ perSource: { ChatGPT: 0.01 }, action: 'abort' });
+    const refused = budget.reserve('ChatGPT', 0.02);
+    assert.equal(refused.ok, false);
+    assert.deepEqual(budget.reserve('Claude', 0.001), refused);
+    assert.equal(budget.abortReason, refused.reason);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Query Cadence
+ *
+ * Decides which queries are due on a run date. The tracker is scheduled
+ * daily, but not every prompt needs a daily check: a query's `cadence`
+ * limits it to one weekday or one day of the month.
+ *
+ *   - "daily" (default)      — every run
+ *   - "weekly:<weekday>"     — runs on that weekday, e.g. "weekly:monday"
+ *   - "monthly"              — runs on the 1st of the month
+ *   - "monthly:<day>"        — runs on that day of the month (1-28)
+ *
+ * Dates are run dates (YYYY-MM-DD, UTC), so the decision depends only on
+ * the date, never on what earlier runs did. A missed run is not caught up.
+ *
+ * @module cadence
+ */
+
+/** Weekday names, indexed like Date#getUTCDay(). */
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/** Cadence a query without one runs on. */
+export const DEFAULT_CADENCE = 'daily';
+
+/** Pattern of a valid cadence, used by the catalog schema. */
+export const CADENCE_PATTERN = `^(daily|weekly:(${WEEKDAYS.join('|')})|monthly(:([1-9]|1[0-9]|2[0-8]))?)$`;
+
+/**
+ * @typedef {Object} Cadence
+ * @property {'daily'|'weekly'|'monthly'} every
+ * @property {number} [weekday] - 0 (Sunday) to 6, for weekly
+ * @property {number} [day] - Day of the month, for monthly
+ */
+
+/**
+ * Parse a cadence string.
+ *
+ * @param {string} [value] - e.g. "weekly:friday"; defaults to daily
+ * @returns {Cadence}
+ * @throws {Error} If the value is not a valid cadence
+ */
+export function parseCadence(value = DEFAULT_CADENCE) {
+  if (!new RegExp(CADENCE_PATTERN).test(value)) {
+    throw new Error(`Invalid cadence "${value}" (expected daily, weekly:<weekday> or monthly[:<day 1-28>])`);
+  }
+  const [every, on] = value.split(':');
+  if (every === 'weekly') return { every, weekday: WEEKDAYS.indexOf(on) };
+  if (every === 'monthly') return { every, day: on ? Number(on) : 1 };
+  return { every };
+}
+
+/**
+ * Whether a query is due on a run date.
+ *
+ * @param {import('./queries.js').GeoQuery} query
+ * @param {string} dateStr - Run date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function isDue(query, dateStr) {
+  const cadence = parseCadence(query.cadence);
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  if (cadence.every === 'weekly') return date.getUTCDay() === cadence.weekday;
+  if (cadence.every === 'monthly') return date.getUTCDate() === cadence.day;
+  return true;
+}
+
+/**
+ * Split queries into those due on a run date and those that are not.
+ *
+ * @param {import('./queries.js').GeoQuery[]} queryList
+ * @param {string} dateStr - Run date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Treat every query as due
+ * @returns {{ due: import('./queries.js').GeoQuery[], notDue: import('./queries.js').GeoQuery[] }}
+ */
+export function selectDueQueries(queryList, dateStr, { force = false } = {}) {
+  const due = [];
+  const notDue = [];
+  for (const query of queryList) {
+    (force || isDue(query, dateStr) ? due : notDue).push(query);
+  }
+  return { due, notDue };
+}
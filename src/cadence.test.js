@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCadence, isDue, selectDueQueries } from './cadence.js';
+
+function query(id, cadence) {
+  return { id, name: id, category: 'product', searchTerms: [`What is ${id}?`], ...(cadence && { cadence }) };
+}
+
+describe('parseCadence', () => {
+  it('parses every form', () => {
+    assert.deepEqual(parseCadence(), { every: 'daily' });
+    assert.deepEqual(parseCadence('daily'), { every: 'daily' });
+    assert.deepEqual(parseCadence('weekly:sunday'), { every: 'weekly', weekday: 0 });
+    assert.deepEqual(parseCadence('weekly:friday'), { every: 'weekly', weekday: 5 });
+    assert.deepEqual(parseCadence('monthly'), { every: 'monthly', day: 1 });
+    assert.deepEqual(parseCadence('monthly:15'), { every: 'monthly', day: 15 });
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['weekly', 'weekly:mon', 'monthly:0', 'monthly:31', 'hourly', 'Daily']) {
+      assert.throws(() => parseCadence(value), /Invalid cadence/, value);
+    }
+  });
+});
+
+describe('isDue', () => {
+  it('runs daily queries and queries without a cadence every day', () => {
+    assert.equal(isDue(query('a'), '2026-03-04'), true);
+    assert.equal(isDue(query('a', 'daily'), '2026-03-04'), true);
+  });
+
+  it('runs weekly queries on their weekday only', () => {
+    // 2026-03-02 is a Monday
+    assert.equal(isDue(query('a', 'weekly:monday'), '2026-03-02'), true);
+    assert.equal(isDue(query('a', 'weekly:monday'), '2026-03-03'), false);
+    assert.equal(isDue(query('a', 'weekly:monday'), '2026-03-09'), true);
+  });
+
+  it('runs monthly queries on their day of the month only', () => {
+    assert.equal(isDue(query('a', 'monthly'), '2026-03-01'), true);
+    assert.equal(isDue(query('a', 'monthly'), '2026-03-02'), false);
+    assert.equal(isDue(query('a', 'monthly:15'), '2026-02-15'), true);
+  });
+});
+
+describe('selectDueQueries', () => {
+  const queries = [query('brand', 'daily'), query('trend', 'weekly:monday'), query('survey', 'monthly')];
+
+  it('splits queries by whether they are due, keeping order', () => {
+    const { due, notDue } = selectDueQueries(queries, '2026-03-02');
+    assert.deepEqual(due.map((q) => q.id), ['brand', 'trend']);
+    assert.deepEqual(notDue.map((q) => q.id), ['survey']);
+  });
+
+  it('treats every query as due with force', () => {
+    const { due, notDue } = selectDueQueries(queries, '2026-03-03', { force: true });
+    assert.equal(due.length, 3);
+    assert.equal(notDue.length, 0);
+  });
+});
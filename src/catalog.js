@@ -0,0 +1,283 @@
+/**
+ * Query Catalog
+ *
+ * Loads the tracked queries from a YAML or JSON file, so prompts can be
+ * maintained without a code change, and validates any catalog — a file or
+ * the built-in `src/queries.js` — against one schema.
+ *
+ * A catalog file holds an object with a `queries` list; each entry has the
+ * fields of a GeoQuery:
+ *
+ *   queries:
+ *     - id: titiler
+ *       name: titiler
+ *       category: product
+ *       searchTerms:
+ *         - What is titiler?
+ *
+ * Validation collects every problem rather than stopping at the first, and
+ * reports each with its location (e.g. `queries[2].category`).
+ *
+ * @module catalog
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { CADENCE_PATTERN } from './cadence.js';
+
+/** Allowed values of `GeoQuery.category`. */
+export const CATEGORIES = ['product', 'technology', 'trend', 'organization'];
+
+/** A list of non-blank prompts. */
+const PROMPTS_SCHEMA = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/** Schema of `LocalizedPrompts`. */
+const LOCALIZED_PROMPTS_SCHEMA = {
+  type: 'object',
+  required: ['searchTerms'],
+  additionalProperties: false,
+  properties: {
+    searchTerms: { ...PROMPTS_SCHEMA, minItems: 1 },
+    followUps: PROMPTS_SCHEMA,
+  },
+};
+
+/** Schema of `GeoQuery`. */
+const QUERY_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'searchTerms', 'category'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', patternHint: 'kebab-case' },
+    name: { type: 'string', minLength: 1 },
+    searchTerms: { ...PROMPTS_SCHEMA, minItems: 1 },
+    category: { type: 'string', enum: CATEGORIES },
+    cadence: { type: 'string', pattern: CADENCE_PATTERN, patternHint: 'daily, weekly:<weekday> or monthly[:<day 1-28>]' },
+    samples: { type: 'integer', minimum: 1 },
+    systemPrompt: { type: 'string' },
+    temperature: { type: 'number', minimum: 0 },
+    maxTokens: { type: 'integer', minimum: 1 },
+    followUps: PROMPTS_SCHEMA,
+    locales: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z]{2,3}(-[A-Za-z0-9]+)*$', patternHint: 'a locale such as "es" or "pt-BR"' },
+      additionalProperties: LOCALIZED_PROMPTS_SCHEMA,
+    },
+  },
+};
+
+/**
+ * Schema of a catalog, in a subset of JSON Schema: `type`, `required`,
+ * `properties`, `additionalProperties`, `propertyNames`, `items`,
+ * `minItems`, `minLength` (counted after trimming), `minimum`, `enum` and
+ * `pattern`. `patternHint` describes a pattern in error messages.
+ */
+export const CATALOG_SCHEMA = {
+  type: 'object',
+  required: ['queries'],
+  additionalProperties: false,
+  properties: {
+    queries: { type: 'array', minItems: 1, items: QUERY_SCHEMA },
+  },
+};
+
+/**
+ * Error for a catalog that cannot be read or does not validate. The
+ * message lists every problem; `errors` holds them one per entry.
+ */
+export class CatalogError extends Error {
+  /**
+   * @param {string} source - Catalog file path or label
+   * @param {string[]} errors - One message per problem
+   */
+  constructor(source, errors) {
+    super(`Invalid query catalog ${source}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'CatalogError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Name the JSON type of a value for error messages.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value has a schema type.
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Check a value against a schema, appending one message per problem.
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Location of the value, for messages
+ * @param {string[]} errors - Collected messages
+ */
+function check(value, schema, path, errors) {
+  if (schema.type && !hasType(value, schema.type)) {
+    errors.push(`${path}: must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type} (got ${typeOf(value)})`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: unknown value ${JSON.stringify(value)} (expected one of ${schema.enum.join(', ')})`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum} (got ${value})`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be blank`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: ${JSON.stringify(value)} must be ${schema.patternHint ?? `match ${schema.pattern}`}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required ?? []) {
+      if (value[name] === undefined) errors.push(`${path}: missing required field "${name}"`);
+    }
+    for (const [name, child] of Object.entries(value)) {
+      const childPath = `${path}.${name}`;
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(name)) {
+        errors.push(`${childPath}: key must be ${schema.propertyNames.patternHint ?? `match ${schema.propertyNames.pattern}`}`);
+      }
+      if (schema.properties?.[name]) {
+        check(child, schema.properties[name], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: unknown field`);
+      } else if (schema.additionalProperties) {
+        check(child, schema.additionalProperties, childPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed catalog: the schema, then rules a schema cannot
+ * express — unique query ids, and no search term repeated within a query
+ * (ignoring case and surrounding whitespace).
+ *
+ * @param {*} catalog - Parsed catalog ({ queries: [...] })
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateCatalog(catalog) {
+  const errors = [];
+  check(catalog, CATALOG_SCHEMA, 'catalog', errors);
+  if (!Array.isArray(catalog?.queries)) return errors.map((error) => error.replace(/^catalog\./, ''));
+
+  const firstIndex = new Map();
+  catalog.queries.forEach((query, i) => {
+    if (typeof query?.id === 'string') {
+      if (firstIndex.has(query.id)) {
+        errors.push(`queries[${i}].id: duplicate id "${query.id}" (also used by queries[${firstIndex.get(query.id)}])`);
+      } else {
+        firstIndex.set(query.id, i);
+      }
+    }
+
+    const termLists = [['searchTerms', query?.searchTerms]];
+    for (const [locale, localized] of Object.entries(query?.locales ?? {})) {
+      termLists.push([`locales.${locale}.searchTerms`, localized?.searchTerms]);
+    }
+    for (const [field, terms] of termLists) {
+      if (!Array.isArray(terms)) continue;
+      const seen = new Set();
+      terms.forEach((term, j) => {
+        if (typeof term !== 'string') return;
+        const key = term.trim().toLowerCase();
+        if (seen.has(key)) errors.push(`queries[${i}].${field}[${j}]: duplicate search term "${term}"`);
+        seen.add(key);
+      });
+    }
+  });
+
+  return errors.map((error) => error.replace(/^catalog\./, ''));
+}
+
+/**
+ * Parse catalog text as YAML or JSON.
+ *
+ * @param {string} text
+ * @param {'yaml'|'json'} format
+ * @returns {*} Parsed value
+ * @throws {Error} On a syntax error
+ */
+export function parseCatalog(text, format) {
+  return format === 'json' ? JSON.parse(text) : parseYaml(text);
+}
+
+/**
+ * Detect the catalog format from a file extension.
+ * @param {string} path
+ * @returns {'yaml'|'json'}
+ * @throws {Error} For an unsupported extension
+ */
+function formatOf(path) {
+  const extension = extname(path).toLowerCase();
+  if (extension === '.json') return 'json';
+  if (extension === '.yaml' || extension === '.yml') return 'yaml';
+  throw new Error(`Query catalog must be a .yaml, .yml or .json file (got "${path}")`);
+}
+
+/**
+ * Validate an in-memory query list (e.g. the built-in catalog).
+ *
+ * @param {import('./queries.js').GeoQuery[]} queries
+ * @param {string} source - Label for error messages
+ * @returns {import('./queries.js').GeoQuery[]} The same queries
+ * @throws {CatalogError} If the list does not validate
+ */
+export function checkQueries(queries, source) {
+  const errors = validateCatalog({ queries });
+  if (errors.length > 0) throw new CatalogError(source, errors);
+  return queries;
+}
+
+/**
+ * Read, parse and validate a catalog file.
+ *
+ * @param {string} path - .yaml, .yml or .json file
+ * @returns {import('./queries.js').GeoQuery[]}
+ * @throws {CatalogError} If the file cannot be read or parsed, or does not validate
+ */
+export function loadCatalog(path) {
+  let catalog;
+  try {
+    catalog = parseCatalog(readFileSync(path, 'utf-8'), formatOf(path));
+  } catch (error) {
+    throw new CatalogError(path, [error.message]);
+  }
+
+  const errors = validateCatalog(catalog);
+  if (errors.length > 0) throw new CatalogError(path, errors);
+  return catalog.queries;
+}
@@ -0,0 +1,233 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync, mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  CATEGORIES,
+  CatalogError,
+  validateCatalog,
+  parseCatalog,
+  checkQueries,
+  loadCatalog,
+} from './catalog.js';
+import builtinQueries from './queries.js';
+
+// Use a temp directory for test catalog files
+const TEST_DIR = join(import.meta.dirname, '..', '.test-tmp-catalog');
+
+function cleanup() {
+  try { rmSync(TEST_DIR, { recursive: true }); } catch { /* ignore */ }
+}
+
+function query(overrides = {}) {
+  return {
+    id: 'titiler',
+    name: 'titiler',
+    category: 'product',
+    searchTerms: ['What is titiler?'],
+    ...overrides,
+  };
+}
+
+describe('validateCatalog', () => {
+  it('accepts a catalog using every optional field', () => {
+    const errors = validateCatalog({
+      queries: [query({
+        samples: 3,
+        systemPrompt: 'Be concise.',
+        temperature: 0.2,
+        maxTokens: 500,
+        followUps: ['Who maintains it?'],
+        locales: { 'es': { searchTerms: ['¿Qué es titiler?'], followUps: [] }, 'pt-BR': { searchTerms: ['O que é titiler?'] } },
+      })],
+    });
+    assert.deepEqual(errors, []);
+  });
+
+  it('accepts the built-in catalog', () => {
+    assert.deepEqual(validateCatalog({ queries: builtinQueries }), []);
+  });
+
+  it('requires a non-empty queries list', () => {
+    assert.deepEqual(validateCatalog({}), ['catalog: missing required field "queries"']);
+    assert.deepEqual(validateCatalog({ queries: [] }), ['queries: must not be empty']);
+    assert.deepEqual(validateCatalog([]), ['catalog: must be an object (got array)']);
+  });
+
+  it('reports missing required fields', () => {
+    const errors = validateCatalog({ queries: [{ id: 'titiler' }] });
+    assert.deepEqual(errors, [
+      'queries[0]: missing required field "name"',
+      'queries[0]: missing required field "searchTerms"',
+      'queries[0]: missing required field "category"',
+    ]);
+  });
+
+  it('reports unknown fields, such as typos', () => {
+    const errors = validateCatalog({ queries: [query({ serchTerms: ['x'] })] });
+    assert.deepEqual(errors, ['queries[0].serchTerms: unknown field']);
+  });
+
+  it('reports an unknown category with the allowed values', () => {
+    const errors = validateCatalog({ queries: [query({ category: 'products' })] });
+    assert.deepEqual(errors, [
+      `queries[0].category: unknown value "products" (expected one of ${CATEGORIES.join(', ')})`,
+    ]);
+  });
+
+  it('checks the cadence', () => {
+    const ok = ['daily', 'weekly:monday', 'monthly', 'monthly:28'].map((cadence) => query({ id: `q-${cadence.replace(':', '-')}`, cadence }));
+    assert.deepEqual(validateCatalog({ queries: ok }), []);
+    assert.deepEqual(validateCatalog({ queries: [query({ cadence: 'weekly' })] }), [
+      'queries[0].cadence: "weekly" must be daily, weekly:<weekday> or monthly[:<day 1-28>]',
+    ]);
+  });
+
+  it('rejects ids that are not kebab-case', () => {
+    const errors = validateCatalog({ queries: [query({ id: 'TiTiler Server' })] });
+    assert.deepEqual(errors, ['queries[0].id: "TiTiler Server" must be kebab-case']);
+  });
+
+  it('rejects empty and blank search terms', () => {
+    assert.deepEqual(validateCatalog({ queries: [query({ searchTerms: [] })] }), [
+      'queries[0].searchTerms: must not be empty',
+    ]);
+    assert.deepEqual(validateCatalog({ queries: [query({ searchTerms: ['ok', '  '] })] }), [
+      'queries[0].searchTerms[1]: must not be blank',
+    ]);
+  });
+
+  it('reports type and range errors', () => {
+    const errors = validateCatalog({
+      queries: [query({ samples: 1.5, temperature: '0.2', maxTokens: 0, followUps: 'Who?' })],
+    });
+    assert.deepEqual(errors, [
+      'queries[0].samples: must be an integer (got number)',
+      'queries[0].temperature: must be a number (got string)',
+      'queries[0].maxTokens: must be at least 1 (got 0)',
+      'queries[0].followUps: must be an array (got string)',
+    ]);
+  });
+
+  it('checks locale keys and localized prompts', () => {
+    const errors = validateCatalog({
+      queries: [query({ locales: { Spanish: { searchTerms: ['¿Qué es titiler?'] }, es: { followUps: ['¿Y?'] } } })],
+    });
+    assert.deepEqual(errors, [
+      'queries[0].locales.Spanish: key must be a locale such as "es" or "pt-BR"',
+      'queries[0].locales.es: missing required field "searchTerms"',
+    ]);
+  });
+
+  it('reports duplicate ids', () => {
+    const errors = validateCatalog({ queries: [query(), query({ id: 'cogeo' }), query()] });
+    assert.deepEqual(errors, ['queries[2].id: duplicate id "titiler" (also used by queries[0])']);
+  });
+
+  it('reports search terms repeated within a query, ignoring case and whitespace', () => {
+    const errors = validateCatalog({
+      queries: [query({
+        searchTerms: ['What is titiler?', 'what is titiler? '],
+        locales: { es: { searchTerms: ['¿Qué es titiler?', '¿Qué es titiler?'] } },
+      })],
+    });
+    assert.deepEqual(errors, [
+      'queries[0].searchTerms[1]: duplicate search term "what is titiler? "',
+      'queries[0].locales.es.searchTerms[1]: duplicate search term "¿Qué es titiler?"',
+    ]);
+  });
+
+  it('allows the same search term in different queries', () => {
+    const errors = validateCatalog({ queries: [query(), query({ id: 'titiler-2' })] });
+    assert.deepEqual(errors, []);
+  });
+});
+
+describe('parseCatalog', () => {
+  it('parses YAML and JSON to the same value', () => {
+    const yaml = 'queries:\n  - id: titiler\n    name: titiler\n    category: product\n    searchTerms:\n      - What is titiler?\n';
+    const json = JSON.stringify({ queries: [query()] });
+    assert.deepEqual(parseCatalog(yaml, 'yaml'), { queries: [query()] });
+    assert.deepEqual(parseCatalog(json, 'json'), { queries: [query()] });
+  });
+});
+
+describe('checkQueries', () => {
+  it('returns a valid list unchanged', () => {
+    const queries = [query()];
+    assert.equal(checkQueries(queries, 'test'), queries);
+  });
+
+  it('throws a CatalogError listing every problem', () => {
+    assert.throws(
+      () => checkQueries([query({ category: 'nope', samples: 0 })], 'src/queries.js'),
+      (error) => {
+        assert.ok(error instanceof CatalogError);
+        assert.equal(error.source, 'src/queries.js');
+        assert.equal(error.errors.length, 2);
+        assert.match(error.message, /^Invalid query catalog src\/queries\.js:\n {2}- queries\[0\]\.category/);
+        return true;
+      },
+    );
+  });
+});
+
+describe('loadCatalog', () => {
+  beforeEach(() => {
+    cleanup();
+    mkdirSync(TEST_DIR, { recursive: true });
+  });
+  afterEach(cleanup);
+
+  it('loads a YAML catalog', () => {
+    const path = join(TEST_DIR, 'queries.yaml');
+    writeFileSync(path, [
+      'queries:',
+      '  - id: titiler',
+      '    name: titiler',
+      '    category: product',
+      '    samples: 2',
+      '    searchTerms:',
+      '      - What is titiler?',
+      '    locales:',
+      '      es:',
+      '        searchTerms: ["¿Qué es titiler?"]',
+      '',
+    ].join('\n'));
+
+    assert.deepEqual(loadCatalog(path), [query({ samples: 2, locales: { es: { searchTerms: ['¿Qué es titiler?'] } } })]);
+  });
+
+  it('loads a JSON catalog', () => {
+    const path = join(TEST_DIR, 'queries.json');
+    writeFileSync(path, JSON.stringify({ queries: [query()] }));
+    assert.deepEqual(loadCatalog(path), [query()]);
+  });
+
+  it('names the file in validation errors', () => {
+    const path = join(TEST_DIR, 'queries.yml');
+    writeFileSync(path, 'queries:\n  - id: titiler\n');
+    assert.throws(() => loadCatalog(path), (error) => {
+      assert.ok(error instanceof CatalogError);
+      assert.equal(error.source, path);
+      assert.deepEqual(error.errors, [
+        'queries[0]: missing required field "name"',
+        'queries[0]: missing required field "searchTerms"',
+        'queries[0]: missing required field "category"',
+      ]);
+      return true;
+    });
+  });
+
+  it('reports syntax errors, missing files and unsupported extensions', () => {
+    const broken = join(TEST_DIR, 'queries.json');
+    writeFileSync(broken, '{"queries": [');
+    assert.throws(() => loadCatalog(broken), CatalogError);
+
+    assert.throws(() => loadCatalog(join(TEST_DIR, 'missing.yaml')), /ENOENT/);
+
+    const text = join(TEST_DIR, 'queries.txt');
+    writeFileSync(text, '');
+    assert.throws(() => loadCatalog(text), /must be a \.yaml, \.yml or \.json file/);
+  });
+});
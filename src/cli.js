@@ -0,0 +1,251 @@
+/**
+ * Command-Line Interface
+ *
+ * Parses `node index.js <command> [options]` and narrows queries, sources
+ * and stored rows to the filters given. Pure functions only — `index.js`
+ * dispatches the parsed command to `src/commands/`.
+ *
+ * @module cli
+ */
+
+import { parseArgs } from 'node:util';
+import { CATEGORIES } from './catalog.js';
+
+/**
+ * @typedef {Object} Filters
+ * @property {string[]} sources - Source names, matched case-insensitively (empty: all)
+ * @property {string[]} queries - Query ids (empty: all)
+ * @property {string[]} categories - Query categories (empty: all)
+ * @property {RegExp|null} termMatch - Case-insensitive pattern a search term must match
+ */
+
+/**
+ * @typedef {Object} ParsedCli
+ * @property {string} command - One of the keys of COMMANDS
+ * @property {boolean} help - Whether --help was given
+ * @property {Object} options - Command options; always includes `filters`
+ */
+
+/** Options shared by the commands that accept filters. */
+const FILTER_OPTIONS = ['source', 'query', 'category', 'term-match'];
+
+/**
+ * Subcommands, their options and one-line descriptions. `run` is the
+ * default when no command is given.
+ */
+export const COMMANDS = {
+  run: {
+    description: 'Query the enabled sources and append the results (default)',
+    options: [...FILTER_OPTIONS, 'dry-run', 'force', 'catalog'],
+  },
+  rescore: {
+    description: 'Re-score archived responses with the current analysis',
+    options: [...FILTER_OPTIONS, 'from', 'to', 'out'],
+  },
+  report: {
+    description: 'Summarize stored results per query and source',
+    options: [...FILTER_OPTIONS, 'from', 'to'],
+  },
+  validate: {
+    description: 'Check the query catalog and configuration without calling any API',
+    options: ['catalog'],
+  },
+  sources: {
+    description: 'List the configured sources and whether they are enabled',
+    options: [],
+  },
+};
+
+/** Definitions for node:util parseArgs, covering every command. */
+const OPTION_DEFINITIONS = {
+  'source': { type: 'string', multiple: true },
+  'query': { type: 'string', multiple: true },
+  'category': { type: 'string', multiple: true },
+  'term-match': { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  'force': { type: 'boolean' },
+  'from': { type: 'string' },
+  'to': { type: 'string' },
+  'out': { type: 'string' },
+  'catalog': { type: 'string' },
+  'help': { type: 'boolean', short: 'h' },
+};
+
+/** Usage text printed for --help and on argument errors. */
+export const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(10)} ${description}`).join('\n')}
+
+Filters (run, rescore, report):
+  --source <name>       Only this source (repeatable or comma-separated)
+  --query <id>          Only this query id (repeatable or comma-separated)
+  --category <name>     Only queries in this category (repeatable or comma-separated)
+  --term-match <regex>  Only search terms matching this pattern (case-insensitive)
+
+Options:
+  --dry-run             run: print the plan without calling any API
+  --force               run: run every query, whether or not its cadence is due today
+  --catalog <path>      run, validate: YAML or JSON query catalog (default: GEO_QUERY_CATALOG, else src/queries.js)
+  --from <YYYY-MM-DD>   rescore, report: first date to include
+  --to <YYYY-MM-DD>     rescore, report: last date to include
+  --out <path>          rescore: where to write the re-scored CSV
+  -h, --help            Show this help`;
+
+/**
+ * Split repeated and comma-separated option values into one list.
+ * @param {string[]|undefined} values
+ * @returns {string[]}
+ */
+function splitList(values = []) {
+  return values.flatMap((value) => value.split(',')).map((value) => value.trim()).filter(Boolean);
+}
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {ParsedCli}
+ * @throws {Error} On an unknown command or option, an option the command
+ *   does not take, or an invalid --term-match pattern
+ */
+export function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTION_DEFINITIONS, allowPositionals: true });
+  } catch (error) {
+    throw new Error(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument "${positionals[1]}"`);
+  }
+  const command = positionals[0] ?? 'run';
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}" (expected one of ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  for (const name of Object.keys(values)) {
+    if (name !== 'help' && !COMMANDS[command].options.includes(name)) {
+      throw new Error(`Option --${name} is not supported by "${command}"`);
+    }
+  }
+
+  let termMatch = null;
+  if (values['term-match'] !== undefined) {
+    try {
+      termMatch = new RegExp(values['term-match'], 'i');
+    } catch (error) {
+      throw new Error(`--term-match is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  return {
+    command,
+    help: values.help ?? false,
+    options: {
+      filters: {
+        sources: splitList(values.source),
+        queries: splitList(values.query),
+        categories: splitList(values.category),
+        termMatch,
+      },
+      dryRun: values['dry-run'] ?? false,
+      force: values.force ?? false,
+      from: values.from,
+      to: values.to,
+      out: values.out,
+      catalog: values.catalog,
+    },
+  };
+}
+
+/**
+ * Whether any filter is set.
+ * @param {Filters} filters
+ * @returns {boolean}
+ */
+export function hasFilters({ sources, queries, categories, termMatch }) {
+  return sources.length > 0 || queries.length > 0 || categories.length > 0 || termMatch !== null;
+}
+
+/**
+ * Narrow sources to the `--source` filter.
+ *
+ * @param {Array} sources - LLM source objects
+ * @param {Filters} filters
+ * @returns {Array} Matching sources, in their original order
+ * @throws {Error} If a name matches no source
+ */
+export function filterSources(sources, { sources: names }) {
+  if (names.length === 0) return sources;
+  const wanted = new Set(names.map((name) => name.toLowerCase()));
+  for (const name of names) {
+    if (!sources.some((source) => source.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`Unknown source "${name}" (known: ${sources.map((s) => s.name).join(', ')})`);
+    }
+  }
+  return sources.filter((source) => wanted.has(source.name.toLowerCase()));
+}
+
+/**
+ * Narrow queries to the `--query`, `--category` and `--term-match`
+ * filters. Term matching applies to English and localized search terms
+ * alike; queries left without terms are dropped.
+ *
+ * @param {import('./queries.js').GeoQuery[]} queryList
+ * @param {Filters} filters
+ * @returns {import('./queries.js').GeoQuery[]} Copies of the matching queries
+ * @throws {Error} If a `--query` id matches no query or a `--category` is unknown
+ */
+export function filterQueries(queryList, { queries: ids, categories, termMatch }) {
+  for (const id of ids) {
+    if (!queryList.some((query) => query.id === id)) {
+      throw new Error(`Unknown query id "${id}"`);
+    }
+  }
+  for (const category of categories) {
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Unknown category "${category}" (expected one of ${CATEGORIES.join(', ')})`);
+    }
+  }
+
+  const keepTerm = (term) => !termMatch || termMatch.test(term);
+  const filtered = [];
+  for (const query of queryList) {
+    if (ids.length > 0 && !ids.includes(query.id)) continue;
+    if (categories.length > 0 && !categories.includes(query.category)) continue;
+
+    const searchTerms = query.searchTerms.filter(keepTerm);
+    const locales = {};
+    for (const [locale, localized] of Object.entries(query.locales ?? {})) {
+      const terms = localized.searchTerms.filter(keepTerm);
+      if (terms.length > 0) locales[locale] = { ...localized, searchTerms: terms };
+    }
+    if (searchTerms.length === 0 && Object.keys(locales).length === 0) continue;
+
+    filtered.push({
+      ...query,
+      searchTerms,
+      ...(query.locales && { locales }),
+    });
+  }
+  return filtered;
+}
+
+/**
+ * Whether a stored row (or archived record) passes the filters. Matches
+ * on `source`, `query_id`, `category` and `search_term`.
+ *
+ * @param {{ source: string, query_id: string, category: string, search_term: string }} row
+ * @param {Filters} filters
+ * @returns {boolean}
+ */
+export function matchesFilters(row, { sources, queries, categories, termMatch }) {
+  if (sources.length > 0 && !sources.some((name) => name.toLowerCase() === String(row.source).toLowerCase())) return false;
+  if (queries.length > 0 && !queries.includes(row.query_id)) return false;
+  if (categories.length > 0 && !categories.includes(row.category)) return false;
+  if (termMatch && !termMatch.test(row.search_term ?? '')) return false;
+  return true;
+}
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCli,
+  hasFilters,
+  filterSources,
+  filterQueries,
+  matchesFilters,
+} from './cli.js';
+
+const QUERIES = [
+  {
+    id: 'titiler',
+    name: 'titiler',
+    category: 'product',
+    searchTerms: ['What is titiler?', 'Best raster tile servers'],
+    locales: { es: { searchTerms: ['Mejores servidores de teselas ráster'] } },
+  },
+  { id: 'stac', name: 'STAC', category: 'technology', searchTerms: ['How do I implement STAC?'] },
+];
+
+const SOURCES = [{ name: 'Perplexity' }, { name: 'ChatGPT' }, { name: 'Claude' }];
+
+/** Filters as parseCli returns them, with overrides. */
+function filters(overrides = {}) {
+  return { sources: [], queries: [], categories: [], termMatch: null, ...overrides };
+}
+
+// ============================================================
+// parseCli
+// ============================================================
+
+describe('parseCli', () => {
+  it('defaults to the run command with no filters', () => {
+    const cli = parseCli([]);
+    assert.equal(cli.command, 'run');
+    assert.equal(cli.help, false);
+    assert.equal(cli.options.dryRun, false);
+    assert.equal(cli.options.force, false);
+    assert.equal(hasFilters(cli.options.filters), false);
+  });
+
+  it('parses a subcommand and its options', () => {
+    const cli = parseCli(['rescore', '--from', '2026-03-01', '--out', 'x.csv']);
+    assert.equal(cli.command, 'rescore');
+    assert.equal(cli.options.from, '2026-03-01');
+    assert.equal(cli.options.out, 'x.csv');
+  });
+
+  it('parses --force for run only', () => {
+    assert.equal(parseCli(['run', '--force', '--dry-run']).options.force, true);
+    assert.throws(() => parseCli(['report', '--force']), /--force is not supported by "report"/);
+  });
+
+  it('collects repeated and comma-separated filter values', () => {
+    const { options } = parseCli(['run', '--source', 'Claude,ChatGPT', '--source', 'Gemini', '--query', 'titiler']);
+    assert.deepEqual(options.filters.sources, ['Claude', 'ChatGPT', 'Gemini']);
+    assert.deepEqual(options.filters.queries, ['titiler']);
+  });
+
+  it('compiles --term-match as a case-insensitive pattern', () => {
+    const { options } = parseCli(['report', '--term-match', 'raster|stac']);
+    assert.ok(options.filters.termMatch.test('How do I implement STAC?'));
+    assert.throws(() => parseCli(['run', '--term-match', '(']), /not a valid regular expression/);
+  });
+
+  it('rejects unknown commands, unknown options and options the command does not take', () => {
+    assert.throws(() => parseCli(['deploy']), /Unknown command "deploy"/);
+    assert.throws(() => parseCli(['run', '--verbose']), /Unknown option/);
+    assert.throws(() => parseCli(['sources', '--source', 'Claude']), /--source is not supported by "sources"/);
+    assert.throws(() => parseCli(['run', '--out', 'x.csv']), /--out is not supported by "run"/);
+    assert.throws(() => parseCli(['run', 'extra']), /Unexpected argument "extra"/);
+  });
+
+  it('accepts --help with any command', () => {
+    assert.equal(parseCli(['validate', '--help']).help, true);
+    assert.equal(parseCli(['-h']).help, true);
+  });
+});
+
+// ============================================================
+// Filters
+// ============================================================
+
+describe('filterSources', () => {
+  it('keeps all sources without a --source filter', () => {
+    assert.equal(filterSources(SOURCES, filters()), SOURCES);
+  });
+
+  it('matches names case-insensitively, keeping source order', () => {
+    const result = filterSources(SOURCES, filters({ sources: ['claude', 'Perplexity'] }));
+    assert.deepEqual(result.map((s) => s.name), ['Perplexity', 'Claude']);
+  });
+
+  it('throws on an unknown source name', () => {
+    assert.throws(() => filterSources(SOURCES, filters({ sources: ['Bard'] })), /Unknown source "Bard" \(known: Perplexity, ChatGPT, Claude\)/);
+  });
+});
+
+describe('filterQueries', () => {
+  it('keeps all queries without filters', () => {
+    assert.deepEqual(filterQueries(QUERIES, filters()), QUERIES);
+  });
+
+  it('filters by query id and category', () => {
+    assert.deepEqual(filterQueries(QUERIES, filters({ queries: ['stac'] })).map((q) => q.id), ['stac']);
+    assert.deepEqual(filterQueries(QUERIES, filters({ categories: ['product'] })).map((q) => q.id), ['titiler']);
+  });
+
+  it('throws on an unknown query id', () => {
+    assert.throws(() => filterQueries(QUERIES, filters({ queries: ['nope'] })), /Unknown query id "nope"/);
+  });
+
+  it('rejects an unknown category', () => {
+    assert.throws(() => filterQueries(QUERIES, filters({ categories: ['products'] })), /Unknown category "products"/);
+  });
+
+  it('narrows English and localized terms by --term-match and drops emptied queries', () => {
+    const [titiler, ...rest] = filterQueries(QUERIES, filters({ termMatch: /r[aá]ster/i }));
+    assert.equal(rest.length, 0);
+    assert.deepEqual(titiler.searchTerms, ['Best raster tile servers']);
+    assert.deepEqual(titiler.locales.es.searchTerms, ['Mejores servidores de teselas ráster']);
+    assert.deepEqual(QUERIES[0].searchTerms.length, 2, 'input queries are not modified');
+  });
+
+  it('drops locales left without terms', () => {
+    const [titiler] = filterQueries(QUERIES, filters({ termMatch: /what is/i }));
+    assert.deepEqual(titiler.searchTerms, ['What is titiler?']);
+    assert.deepEqual(titiler.locales, {});
+  });
+});
+
+describe('matchesFilters', () => {
+  const row = { source: 'ChatGPT', query_id: 'titiler', category: 'product', search_term: 'What is titiler?' };
+
+  it('passes rows that match every filter', () => {
+    assert.equal(matchesFilters(row, filters()), true);
+    assert.equal(matchesFilters(row, filters({ sources: ['chatgpt'], queries: ['titiler'], termMatch: /titiler/i })), true);
+  });
+
+  it('rejects rows that miss any filter', () => {
+    assert.equal(matchesFilters(row, filters({ sources: ['Claude'] })), false);
+    assert.equal(matchesFilters(row, filters({ categories: ['trend'] })), false);
+    assert.equal(matchesFilters(row, filters({ termMatch: /stac/i })), false);
+  });
+});
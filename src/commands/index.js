@@ -0,0 +1,27 @@
+/**
+ * CLI Commands Registry
+ *
+ * Maps each subcommand to its handler. Handlers take the parsed options
+ * and a shared context, print their own output and resolve to an exit
+ * code; they throw on configuration errors.
+ *
+ * @module commands
+ */
+
+import run from './run.js';
+import rescore from './rescore.js';
+import report from './report.js';
+import validate from './validate.js';
+import sources from './sources.js';
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {() => import('../queries.js').GeoQuery[]} loadQueries - Load and validate the
+ *   query catalog (throws a CatalogError if it is invalid)
+ * @property {string} catalogSource - Catalog file path, or "src/queries.js" for the built-in list
+ * @property {Array} sources - All configured sources (enabled or not)
+ * @property {{ dataDir: string, csvPath: string, archiveDir: string, promptLogPath: string }} paths - Where data is read and written
+ */
+
+/** Handlers keyed by command name (see COMMANDS in cli.js). */
+export const HANDLERS = { run, rescore, report, validate, sources };
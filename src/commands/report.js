@@ -0,0 +1,36 @@
+/**
+ * `report` Command
+ *
+ * Prints mention rate, recommendation rate, mean score and spend per
+ * query and source from the stored results, flagging prompt changes.
+ *
+ * @module commands/report
+ */
+
+import { readResults } from '../csv-store.js';
+import { readPromptLog } from '../prompt-log.js';
+import { summarizeResults, formatReport } from '../report.js';
+import { matchesFilters } from '../cli.js';
+
+/**
+ * Report on stored results.
+ *
+ * @param {Object} options - Parsed command options
+ * @param {import('../cli.js').Filters} options.filters
+ * @param {string} [options.from] - First date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @param {import('./index.js').CommandContext} context
+ * @returns {Promise<number>} Exit code
+ */
+export default async function report({ filters, from, to }, { paths }) {
+  const rows = readResults(paths.csvPath).filter((row) => matchesFilters(row, filters));
+
+  console.log('='.repeat(60));
+  console.log('GEO Tracker Report');
+  console.log('='.repeat(60));
+  for (const line of formatReport(summarizeResults(rows, { from, to, changes: readPromptLog(paths.promptLogPath) }))) {
+    console.log(line);
+  }
+  console.log('='.repeat(60));
+  return 0;
+}
@@ -0,0 +1,51 @@
+/**
+ * `rescore` Command
+ *
+ * Replays archived raw responses through the current analysis code,
+ * writes the re-scored dataset to its own CSV and prints how many rows
+ * changed mentioned/recommended/score. Makes no API calls.
+ *
+ * @module commands/rescore
+ */
+
+import { join } from 'node:path';
+import { readArchive } from '../archive.js';
+import { readResults, writeResults } from '../csv-store.js';
+import { rescoreRecords, formatDiff } from '../rescore.js';
+import { matchesFilters } from '../cli.js';
+import { loadConfig } from '../config.js';
+
+/**
+ * Re-score the archive.
+ *
+ * @param {Object} options - Parsed command options
+ * @param {import('../cli.js').Filters} options.filters - Narrow the records re-scored
+ * @param {string} [options.from] - First archive date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last archive date (YYYY-MM-DD)
+ * @param {string} [options.out] - Output CSV (default: results-rescored.csv in the data directory)
+ * @param {import('./index.js').CommandContext} context
+ * @returns {Promise<number>} Exit code
+ */
+export default async function rescore({ filters, from, to, out }, { paths }) {
+  const outPath = out ?? join(paths.dataDir, 'results-rescored.csv');
+  const records = readArchive(paths.archiveDir, { from, to })
+    .filter((record) => matchesFilters(record, filters));
+  if (records.length === 0) {
+    console.warn(`WARNING: No archived responses found in ${paths.archiveDir}. Nothing to re-score.`);
+    return 0;
+  }
+
+  const { competitors, scoreListRank, ownedUrls } = loadConfig();
+  const { rows, diff } = rescoreRecords(records, readResults(paths.csvPath), { competitors, scoreListRank, ownedUrls });
+  const rowsWritten = writeResults(outPath, rows);
+
+  console.log('='.repeat(60));
+  console.log('GEO Tracker Re-score');
+  console.log('='.repeat(60));
+  for (const line of formatDiff(diff)) {
+    console.log(line);
+  }
+  console.log(`CSV:            ${rowsWritten} rows written to ${outPath}`);
+  console.log('='.repeat(60));
+  return 0;
+}
@@ -0,0 +1,231 @@
+/**
+ * `run` Command
+ *
+ * Loads configuration, resolves the enabled sources, runs the orchestrator
+ * and persists results to the CSV and archive. With `--dry-run` it prints
+ * the run plan instead and calls no API.
+ *
+ * @module commands/run
+ */
+
+import { runTracker, expandQueries } from '../orchestrator.js';
+import { loadConfig } from '../config.js';
+import { initCsv, appendResults, readResults } from '../csv-store.js';
+import { appendArchive } from '../archive.js';
+import { readPromptLog, reconcilePrompts, appendPromptLog } from '../prompt-log.js';
+import { buildPlan, formatPlan, historicalAverages } from '../plan.js';
+import { filterQueries, filterSources, hasFilters } from '../cli.js';
+import { getFixtureMode, getFixtureDir } from '../sources/fixtures.js';
+
+/** Exit code when a budget limit stopped the run early (1 is used for failures). */
+export const EXIT_BUDGET_EXCEEDED = 2;
+
+/**
+ * Print the tracker summary after a run.
+ *
+ * @param {import('../orchestrator.js').TrackerResults} results
+ * @param {number} enabledCount - Sources that ran
+ * @param {number} sourceCount - Sources configured
+ * @param {number} rowsWritten - CSV rows appended
+ */
+function printSummary(results, enabledCount, sourceCount, rowsWritten) {
+  console.log('='.repeat(60));
+  console.log('GEO Tracker Summary');
+  console.log('='.repeat(60));
+  console.log(`Sources:        ${enabledCount}/${sourceCount} enabled`);
+  console.log(`Total queries:  ${results.totalEvents}`);
+  if (results.notDue.length > 0) {
+    console.log(`Not due:        ${results.notDue.length} queries (cadence)`);
+  }
+  console.log(`Successful:     ${results.totalSuccess}`);
+  console.log(`Failed:         ${results.totalFail}`);
+  console.log(`Retries:        ${results.totalRetries}`);
+  console.log(`CSV rows:       ${rowsWritten}`);
+  console.log(`Total tokens:   ${results.totalTokens}`);
+  console.log(`Cost:           $${results.totalCost.toFixed(4)}`);
+  console.log(`Duration:       ${results.duration.toFixed(1)}s`);
+  if (results.budgetStop) {
+    console.log(`Budget stop:    ${results.budgetStop}`);
+  }
+  console.log('');
+
+  // Per-source breakdown
+  console.log('Per-source breakdown:');
+  for (const [name, data] of Object.entries(results.perSource)) {
+    const total = data.success + data.fail;
+    const skippedNote = data.skipped > 0 ? ` | ${data.skipped} skipped (budget)` : '';
+    console.log(`  ${name}: ${data.success}/${total} succeeded | ${data.retries} retries | ${data.tokens} tokens | $${data.cost.toFixed(4)}${skippedNote}`);
+  }
+  console.log('='.repeat(60));
+}
+
+/**
+ * Print prompt changes found against the change log.
+ *
+ * @param {import('../prompt-log.js').PromptChange[]} changes
+ * @param {string} heading
+ */
+function printPromptChanges(changes, heading) {
+  if (changes.length === 0) return;
+  console.log(heading);
+  for (const change of changes) {
+    console.log(`  ${change.change.padEnd(8)} ${change.term_id}: "${change.search_term}"`);
+  }
+  console.log('');
+}
+
+/**
+ * Run the tracker.
+ *
+ * @param {Object} options - Parsed command options
+ * @param {import('../cli.js').Filters} options.filters
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.force] - Ignore query cadences
+ * @param {import('./index.js').CommandContext} context
+ * @returns {Promise<number>} Exit code
+ */
+export default async function run({ filters, dryRun, force, catalog }, { loadQueries, catalogSource, sources: allSources, paths }) {
+  const fixtureMode = getFixtureMode();
+  const allQueries = loadQueries();
+  const queries = filterQueries(allQueries, filters);
+  const sources = filterSources(allSources, filters);
+
+  const startTime = new Date();
+  console.log('='.repeat(60));
+  console.log(`GEO Tracker started at ${startTime.toISOString()}`);
+  console.log(`Queries: ${queries.length}${queries.length < allQueries.length ? ` of ${allQueries.length}` : ''} (${catalogSource})`);
+  console.log(`Sources: ${sources.map((s) => s.name).join(', ')}`);
+  console.log(`CSV: ${paths.csvPath}`);
+  if (hasFilters(filters)) {
+    console.log('Filters: on (only matching prompts and sources run)');
+  }
+  if (dryRun) {
+    console.log('Mode: dry run (no API calls)');
+  }
+  if (force) {
+    console.log('Cadence: ignored (--force), every query runs');
+  }
+  if (fixtureMode) {
+    console.log(`Fixtures: ${fixtureMode} (${getFixtureDir()})`);
+  }
+  console.log('='.repeat(60));
+  console.log('');
+
+  if (queries.length === 0) {
+    console.error(hasFilters(filters) ? 'FATAL: No prompts match the filters' : 'FATAL: No queries configured');
+    return 1;
+  }
+
+  // Filter to enabled sources
+  const enabledSources = sources.filter((s) => s.enabled());
+  if (filters.sources.length > 0 && enabledSources.length < sources.length) {
+    const disabled = sources.filter((s) => !enabledSources.includes(s)).map((s) => s.name);
+    console.error(`FATAL: Requested source(s) not enabled: ${disabled.join(', ')} (set the API key)`);
+    return 1;
+  }
+  if (enabledSources.length === 0) {
+    console.warn('WARNING: No LLM sources are enabled. Nothing to do.');
+    console.warn('Set one or more API key environment variables to enable sources:');
+    for (const s of sources) {
+      console.warn(`  - ${s.name}: not enabled`);
+    }
+    // Exit 0 — not a failure, just nothing configured yet
+    return 0;
+  }
+
+  console.log(`Enabled sources: ${enabledSources.map((s) => s.name).join(', ')}`);
+  console.log('');
+
+  const config = loadConfig();
+  const date = new Date().toISOString().split('T')[0];
+
+  // Term ids come from the whole catalog, so filtered or not-due terms are not retired.
+  // An ad-hoc --catalog is not the catalog of record: it looks ids up but changes nothing.
+  const { termIds, changes } = reconcilePrompts(readPromptLog(paths.promptLogPath), expandQueries(allQueries), date, {
+    partial: catalog !== undefined,
+  });
+  if (catalog !== undefined) {
+    console.log(`Prompt log: not updated for --catalog ${catalog} (new terms run without a term id)`);
+    console.log('');
+  }
+
+  const { runUsd, perSource, action } = config.budget;
+  if (runUsd !== undefined || Object.keys(perSource).length > 0) {
+    const limits = [
+      ...(runUsd !== undefined ? [`run $${runUsd}`] : []),
+      ...Object.entries(perSource).map(([name, usd]) => `${name} $${usd}`),
+    ];
+    console.log(`Budget: ${limits.join(', ')} (on limit: ${action})`);
+    console.log('');
+  }
+
+  if (config.locations.length > 0) {
+    console.log(`Locations: ${config.locations.map((l) => l.id).join(', ')} (web-grounded sources only)`);
+    console.log('');
+  }
+
+  if (dryRun) {
+    const plan = buildPlan(queries, enabledSources, {
+      samples: config.samples,
+      locations: config.locations,
+      rateLimits: config.rateLimits,
+      history: historicalAverages(readResults(paths.csvPath)),
+      date,
+      force,
+    });
+    printPromptChanges(changes, 'Prompt changes to record (not written in a dry run):');
+    console.log('='.repeat(60));
+    console.log('GEO Tracker Plan');
+    console.log('='.repeat(60));
+    for (const line of formatPlan(plan, config.budget)) {
+      console.log(line);
+    }
+    console.log('='.repeat(60));
+    return 0;
+  }
+
+  // Run the orchestrator
+  const results = await runTracker(queries, enabledSources, {
+    rateLimits: config.rateLimits,
+    samples: config.samples,
+    generation: config.generation,
+    locations: config.locations,
+    budget: config.budget,
+    date,
+    force,
+    termIds,
+    competitors: config.competitors,
+    scoreListRank: config.scoreListRank,
+    ownedUrls: config.ownedUrls,
+  });
+
+  // Persist results to CSV
+  initCsv(paths.csvPath);
+  const rowsWritten = appendResults(paths.csvPath, results.rows);
+  console.log(`CSV: ${rowsWritten} rows written to ${paths.csvPath}`);
+
+  // Archive the raw responses behind those rows
+  const responsesArchived = appendArchive(paths.archiveDir, results.responses);
+  console.log(`Archive: ${responsesArchived} responses written to ${paths.archiveDir}`);
+  const changesLogged = appendPromptLog(paths.promptLogPath, changes);
+  if (changesLogged > 0) {
+    console.log(`Prompt log: ${changesLogged} changes written to ${paths.promptLogPath}`);
+  }
+  console.log('');
+  printPromptChanges(changes, 'Prompt changes:');
+
+  printSummary(results, enabledSources.length, allSources.length, rowsWritten);
+
+  // Exit code based on results
+  console.log('');
+  if (results.totalFail > results.totalSuccess) {
+    console.log('FAILED: More than 50% of queries failed');
+    return 1;
+  }
+  if (results.budgetStop) {
+    console.log(`STOPPED: Budget limit reached — ${results.budgetStop}`);
+    return EXIT_BUDGET_EXCEEDED;
+  }
+  console.log('Completed successfully');
+  return 0;
+}
@@ -0,0 +1,37 @@
+/**
+ * `sources` Command
+ *
+ * Lists every configured source with its model, data source, rate limit
+ * and whether it is enabled in the current environment.
+ *
+ * @module commands/sources
+ */
+
+import { loadConfig } from '../config.js';
+import { resolveRateLimit } from '../rate-limiter.js';
+
+/**
+ * List the configured sources.
+ *
+ * @param {Object} options - Parsed command options (none used)
+ * @param {import('./index.js').CommandContext} context
+ * @returns {Promise<number>} Exit code
+ */
+export default async function sources(options, { sources: allSources }) {
+  const { rateLimits } = loadConfig();
+
+  console.log('='.repeat(60));
+  console.log('GEO Tracker Sources');
+  console.log('='.repeat(60));
+  for (const source of allSources) {
+    const limit = resolveRateLimit(source, rateLimits);
+    const rpm = limit.requestsPerMinute ? `${Math.round(limit.requestsPerMinute)} req/min` : 'unlimited';
+    const location = source.supportsLocation ? ', locations' : '';
+    console.log(`  ${source.enabled() ? '✓' : '✗'} ${source.name.padEnd(12)} ${source.model ?? '?'} (${source.dataSource}${location}) — ${rpm}`);
+  }
+  const enabledCount = allSources.filter((source) => source.enabled()).length;
+  console.log('');
+  console.log(`${enabledCount}/${allSources.length} enabled`);
+  console.log('='.repeat(60));
+  return 0;
+}
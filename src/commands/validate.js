@@ -0,0 +1,67 @@
+/**
+ * `validate` Command
+ *
+ * Checks the query catalog against its schema and the environment settings
+ * read by `loadConfig`, without calling any API. Every catalog problem is
+ * listed; the exit code is 1 if anything is invalid, so it can gate CI or
+ * a content pull request.
+ *
+ * @module commands/validate
+ */
+
+import { loadConfig } from '../config.js';
+import { expandQueries } from '../orchestrator.js';
+import { CatalogError } from '../catalog.js';
+
+/**
+ * Validate the query catalog and configuration.
+ *
+ * @param {Object} options - Parsed command options (`catalog` is resolved by the caller)
+ * @param {import('./index.js').CommandContext} context
+ * @returns {Promise<number>} Exit code
+ */
+export default async function validate(options, { loadQueries, catalogSource, sources }) {
+  const problems = [];
+
+  let queries = null;
+  try {
+    queries = loadQueries();
+  } catch (error) {
+    if (!(error instanceof CatalogError)) throw error;
+    problems.push(...error.errors.map((message) => `${catalogSource}: ${message}`));
+  }
+
+  let config = null;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    problems.push(`environment: ${error.message}`);
+  }
+
+  console.log('='.repeat(60));
+  console.log('GEO Tracker Validate');
+  console.log('='.repeat(60));
+  console.log(`Catalog:        ${catalogSource}`);
+  if (queries) {
+    console.log(`Queries:        ${queries.length} (${expandQueries(queries).length} prompts)`);
+  }
+  console.log(`Sources:        ${sources.filter((s) => s.enabled()).length}/${sources.length} enabled`);
+  if (config) {
+    console.log(`Samples:        ${config.samples}`);
+    console.log(`Locations:      ${config.locations.map((l) => l.id).join(', ') || 'none'}`);
+    console.log(`Competitors:    ${config.competitors.map((c) => c.id).join(', ')}`);
+    console.log(`List rank:      ${config.scoreListRank ? 'scored (GEO_SCORE_LIST_RANK)' : 'recorded, not scored'}`);
+    console.log(`Owned URLs:     ${config.ownedUrls.map((u) => `${u.url} (${u.type}${u.product ? `, ${u.product}` : ''})`).join(', ') || 'profiles only'}`);
+  }
+  console.log('='.repeat(60));
+
+  if (problems.length > 0) {
+    console.log(`INVALID: ${problems.length} problem(s)`);
+    for (const problem of problems) {
+      console.log(`  - ${problem}`);
+    }
+    return 1;
+  }
+  console.log('Configuration is valid');
+  return 0;
+}
@@ -0,0 +1,83 @@
+/**
+ * Competitor Registry
+ *
+ * Organizations tracked next to Development Seed, so each response can be
+ * scored for share of voice: who is mentioned, in which order, and whose
+ * pages are cited. Edit this list to add or remove competitors, or replace
+ * it for a run with the GEO_COMPETITORS environment variable.
+ *
+ * Development Seed itself is not listed here; analysis.js always adds it
+ * from its profiles (see profiles.js).
+ *
+ * @module competitors
+ */
+
+/**
+ * @typedef {Object} Competitor
+ * @property {string} id - Unique identifier in kebab-case, stored in the entity columns
+ * @property {string} name - Display name
+ * @property {string[]} aliases - Names and product names matched in response text,
+ *   as whole words, ignoring case and diacritics (e.g. "Esri", "ArcGIS")
+ * @property {string[]} [domains] - Domains whose URLs count as the competitor's
+ *   citations; subdomains are included (e.g. "esri.com" matches "pro.esri.com")
+ */
+
+/** @type {Competitor[]} */
+const COMPETITORS = [
+  {
+    id: 'esri',
+    name: 'Esri',
+    aliases: ['esri', 'arcgis'],
+    domains: ['esri.com', 'arcgis.com'],
+  },
+  {
+    id: 'element-84',
+    name: 'Element 84',
+    aliases: ['element 84', 'element84'],
+    domains: ['element84.com'],
+  },
+  {
+    id: 'planet',
+    name: 'Planet',
+    aliases: ['planet labs', 'planetscope', 'planet.com'],
+    domains: ['planet.com'],
+  },
+  {
+    id: 'radiant-earth',
+    name: 'Radiant Earth',
+    aliases: ['radiant earth', 'radiant mlhub', 'source cooperative'],
+    domains: ['radiant.earth', 'source.coop'],
+  },
+  {
+    id: 'carto',
+    name: 'CARTO',
+    aliases: ['carto', 'cartodb'],
+    domains: ['carto.com'],
+  },
+  {
+    id: 'mapbox',
+    name: 'Mapbox',
+    aliases: ['mapbox'],
+    domains: ['mapbox.com'],
+  },
+  {
+    id: 'maxar',
+    name: 'Maxar',
+    aliases: ['maxar'],
+    domains: ['maxar.com'],
+  },
+  {
+    id: 'google-earth-engine',
+    name: 'Google Earth Engine',
+    aliases: ['google earth engine', 'earth engine'],
+    domains: ['earthengine.google.com'],
+  },
+  {
+    id: 'planetary-computer',
+    name: 'Microsoft Planetary Computer',
+    aliases: ['planetary computer'],
+    domains: ['planetarycomputer.microsoft.com'],
+  },
+];
+
+export default COMPETITORS;
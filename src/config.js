@@ -0,0 +1,380 @@
+/**
+ * Run Configuration
+ *
+ * Reads tracker settings from environment variables in one place, so the
+ * orchestrator receives plain values and stays free of `process.env`.
+ *
+ * @module config
+ */
+
+import { BUDGET_ACTIONS } from './budget.js';
+import COMPETITORS from './competitors.js';
+import { OWNED_URL_TYPES, PRODUCTS } from './profiles.js';
+import { parseCompatibleSources } from './sources/openai-compatible.js';
+
+/**
+ * @typedef {Object} TrackerConfig
+ * @property {Object<string, import('./rate-limiter.js').RateLimit>} rateLimits -
+ *   Per-source rate limit overrides, keyed by source name
+ * @property {number} samples - Samples per prompt, unless a query sets its own
+ * @property {import('./queries.js').GenerationParams} generation - Default
+ *   generation parameters for queries that do not set their own
+ * @property {UserLocation[]} locations - Locations that web-grounded sources
+ *   run every prompt for (empty: no location context)
+ * @property {import('./budget.js').BudgetConfig} budget - USD limits for the run and per source
+ * @property {import('./competitors.js').Competitor[]} competitors - Competitor registry for
+ *   share of voice (competitors.js unless GEO_COMPETITORS is set)
+ * @property {boolean} scoreListRank - Score DS's list rank instead of its position when DS is in a list
+ * @property {import('./profiles.js').OwnedUrl[]} ownedUrls - URL prefixes owned by DS beyond
+ *   those in profiles.js (GEO_OWNED_URLS)
+ * @property {Object[]} compatibleSources - Extra OpenAI-compatible sources declared in
+ *   OPENAI_COMPATIBLE_SOURCES, run after the built-in ones
+ */
+
+/**
+ * Approximate location of the asker, passed to web-grounded sources.
+ *
+ * @typedef {Object} UserLocation
+ * @property {string} id - Short label stored in the `location` column (e.g. "us-sf")
+ * @property {string} country - ISO 3166-1 alpha-2 country code (e.g. "US")
+ * @property {string} [region] - Region or state (e.g. "California")
+ * @property {string} [city] - City (e.g. "San Francisco")
+ * @property {string} [timezone] - IANA timezone (e.g. "America/Los_Angeles")
+ * @property {number} [latitude] - Required by Gemini, which only accepts coordinates
+ * @property {number} [longitude]
+ */
+
+/**
+ * Parse a JSON object from an env var.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @param {string} name - Env var name (used in error messages)
+ * @returns {Object} Parsed object ({} if unset)
+ * @throws {Error} If the value is not a JSON object
+ */
+function parseJsonObject(env, name) {
+  const raw = env[name];
+  if (!raw || raw.trim().length === 0) return {};
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Parse a positive integer from an env var.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @param {string} name - Env var name (used in error messages)
+ * @param {number|undefined} fallback - Value when unset
+ * @returns {number|undefined}
+ * @throws {Error} If the value is not a positive integer
+ */
+function parsePositiveInt(env, name, fallback) {
+  const raw = env[name];
+  if (!raw || raw.trim().length === 0) return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer (got "${raw}")`);
+  }
+  return value;
+}
+
+/**
+ * Parse a non-negative number from an env var.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @param {string} name - Env var name (used in error messages)
+ * @returns {number|undefined} undefined if unset
+ * @throws {Error} If the value is not a non-negative number
+ */
+function parseNonNegativeNumber(env, name) {
+  const raw = env[name];
+  if (!raw || raw.trim().length === 0) return undefined;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number (got "${raw}")`);
+  }
+  return value;
+}
+
+/**
+ * Parse a boolean from an env var: "true"/"1" or "false"/"0".
+ *
+ * @param {Object<string, string|undefined>} env
+ * @param {string} name - Env var name (used in error messages)
+ * @param {boolean} fallback - Value when unset
+ * @returns {boolean}
+ * @throws {Error} If the value is not a boolean
+ */
+function parseBoolean(env, name, fallback) {
+  const raw = env[name];
+  if (!raw || raw.trim().length === 0) return fallback;
+
+  const value = raw.trim().toLowerCase();
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw new Error(`${name} must be true or false (got "${raw}")`);
+}
+
+/**
+ * Read the default generation parameters. Unset variables are left out,
+ * so vendor defaults apply.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @returns {import('./queries.js').GenerationParams}
+ */
+function parseGeneration(env) {
+  const generation = {};
+  if (env.GEO_SYSTEM_PROMPT && env.GEO_SYSTEM_PROMPT.trim().length > 0) {
+    generation.systemPrompt = env.GEO_SYSTEM_PROMPT;
+  }
+  const temperature = parseNonNegativeNumber(env, 'GEO_TEMPERATURE');
+  if (temperature !== undefined) generation.temperature = temperature;
+  const maxTokens = parsePositiveInt(env, 'GEO_MAX_TOKENS', undefined);
+  if (maxTokens !== undefined) generation.maxTokens = maxTokens;
+  return generation;
+}
+
+/**
+ * Parse and validate the list of user locations.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @returns {UserLocation[]}
+ * @throws {Error} If the value is not a JSON array of valid locations
+ */
+function parseLocations(env) {
+  const raw = env.GEO_LOCATIONS;
+  if (!raw || raw.trim().length === 0) return [];
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`GEO_LOCATIONS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('GEO_LOCATIONS must be a JSON array');
+  }
+
+  const ids = new Set();
+  return value.map((location, i) => {
+    const where = `GEO_LOCATIONS[${i}]`;
+    if (location === null || typeof location !== 'object' || Array.isArray(location)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const { id, country, latitude, longitude } = location;
+    if (typeof id !== 'string' || id.trim().length === 0) {
+      throw new Error(`${where} requires an id`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`${where}: duplicate id "${id}"`);
+    }
+    ids.add(id);
+    if (typeof country !== 'string' || !/^[a-z]{2}$/i.test(country)) {
+      throw new Error(`${where} ("${id}") requires a two-letter country code`);
+    }
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      throw new Error(`${where} ("${id}") must set both latitude and longitude, or neither`);
+    }
+    if (latitude !== undefined && !(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+      throw new Error(`${where} ("${id}") has out-of-range coordinates`);
+    }
+    return { ...location, country: country.toUpperCase() };
+  });
+}
+
+/**
+ * Read the per-source rate limit overrides.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @returns {Object<string, import('./rate-limiter.js').RateLimit>}
+ * @throws {Error} If a limit is not an object of known, numeric fields
+ */
+function parseRateLimits(env) {
+  const rateLimits = parseJsonObject(env, 'GEO_RATE_LIMITS');
+  for (const [name, limit] of Object.entries(rateLimits)) {
+    const where = `GEO_RATE_LIMITS.${name}`;
+    if (limit === null || typeof limit !== 'object' || Array.isArray(limit)) {
+      throw new Error(`${where} must be an object, e.g. {"requestsPerMinute": 30}`);
+    }
+    for (const [field, value] of Object.entries(limit)) {
+      if (field === 'requestsPerMinute' || field === 'tokensPerMinute') {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          throw new Error(`${where}.${field} must be a positive number (or 0 for unlimited)`);
+        }
+      } else if (field === 'burst') {
+        if (!Number.isInteger(value) || value < 1) {
+          throw new Error(`${where}.burst must be a positive integer`);
+        }
+      } else {
+        throw new Error(`${where}: unknown field "${field}" (expected requestsPerMinute, tokensPerMinute or burst)`);
+      }
+    }
+  }
+  return rateLimits;
+}
+
+/**
+ * Parse and validate the competitor registry override.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @returns {import('./competitors.js').Competitor[]}
+ * @throws {Error} If the value is not a JSON array of valid competitors
+ */
+function parseCompetitors(env) {
+  const raw = env.GEO_COMPETITORS;
+  if (!raw || raw.trim().length === 0) return COMPETITORS;
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`GEO_COMPETITORS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('GEO_COMPETITORS must be a JSON array');
+  }
+
+  const isStringList = (list) => Array.isArray(list) && list.every((item) => typeof item === 'string' && item.trim().length > 0);
+  const ids = new Set(['development-seed']);
+  return value.map((competitor, i) => {
+    const where = `GEO_COMPETITORS[${i}]`;
+    if (competitor === null || typeof competitor !== 'object' || Array.isArray(competitor)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const { id, name, aliases, domains = [] } = competitor;
+    if (typeof id !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(id)) {
+      throw new Error(`${where} requires a kebab-case id`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`${where}: duplicate id "${id}"`);
+    }
+    ids.add(id);
+    if (!isStringList(aliases) || aliases.length === 0) {
+      throw new Error(`${where} ("${id}") requires a non-empty list of aliases`);
+    }
+    if (!isStringList(domains)) {
+      throw new Error(`${where} ("${id}") domains must be a list of domain names`);
+    }
+    return { id, name: typeof name === 'string' ? name : id, aliases, domains: domains.map((domain) => domain.toLowerCase()) };
+  });
+}
+
+/**
+ * Parse and validate the owned URL prefixes added to the DS profiles.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @returns {import('./profiles.js').OwnedUrl[]}
+ * @throws {Error} If the value is not a JSON array of valid owned URLs
+ */
+function parseOwnedUrls(env) {
+  const raw = env.GEO_OWNED_URLS;
+  if (!raw || raw.trim().length === 0) return [];
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`GEO_OWNED_URLS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('GEO_OWNED_URLS must be a JSON array');
+  }
+
+  const productIds = PRODUCTS.map((product) => product.id);
+  return value.map((entry, i) => {
+    const where = `GEO_OWNED_URLS[${i}]`;
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const { url, type, product } = entry;
+    const prefix = typeof url === 'string' ? url.trim().replace(/^https?:\/\//i, '') : '';
+    if (prefix.length === 0 || !URL.canParse(`https://${prefix}`)) {
+      throw new Error(`${where} requires a url: a host and optional path, e.g. "titiler.xyz/docs"`);
+    }
+    if (!OWNED_URL_TYPES.includes(type)) {
+      throw new Error(`${where} type must be one of ${OWNED_URL_TYPES.join(', ')}`);
+    }
+    if (product !== undefined && !productIds.includes(product)) {
+      throw new Error(`${where} product must be one of ${productIds.join(', ')}`);
+    }
+    return product === undefined ? { url: prefix, type } : { url: prefix, type, product };
+  });
+}
+
+/**
+ * Read the run and per-source USD budgets.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @returns {import('./budget.js').BudgetConfig}
+ * @throws {Error} If a budget is not a non-negative number or the action is unknown
+ */
+function parseBudget(env) {
+  const perSource = parseJsonObject(env, 'GEO_SOURCE_BUDGETS');
+  for (const [name, usd] of Object.entries(perSource)) {
+    if (typeof usd !== 'number' || !Number.isFinite(usd) || usd < 0) {
+      throw new Error(`GEO_SOURCE_BUDGETS.${name} must be a non-negative number of USD`);
+    }
+  }
+
+  const action = env.GEO_BUDGET_ACTION || 'skip';
+  if (!BUDGET_ACTIONS.includes(action)) {
+    throw new Error(`GEO_BUDGET_ACTION must be one of ${BUDGET_ACTIONS.join(', ')} (got "${action}")`);
+  }
+
+  const budget = { perSource, action };
+  const runUsd = parseNonNegativeNumber(env, 'GEO_BUDGET_USD');
+  if (runUsd !== undefined) budget.runUsd = runUsd;
+  return budget;
+}
+
+/**
+ * Load the tracker configuration.
+ *
+ * Environment variables:
+ *   GEO_RATE_LIMITS — JSON object of per-source limits, e.g.
+ *     {"ChatGPT": {"requestsPerMinute": 30, "tokensPerMinute": 30000}}
+ *   GEO_SAMPLES — samples per prompt (default 1)
+ *   GEO_SYSTEM_PROMPT, GEO_TEMPERATURE, GEO_MAX_TOKENS — default generation
+ *     parameters (vendor defaults when unset)
+ *   GEO_LOCATIONS — JSON array of user locations, e.g.
+ *     [{"id": "us", "country": "US"}, {"id": "de-berlin", "country": "DE", "city": "Berlin"}]
+ *   GEO_BUDGET_USD — USD ceiling for the whole run
+ *   GEO_SOURCE_BUDGETS — JSON object of USD ceilings per source, e.g. {"ChatGPT": 0.5}
+ *   GEO_BUDGET_ACTION — "skip" (stop only the source over budget, default) or "abort" (stop the run)
+ *   GEO_COMPETITORS — JSON array replacing the competitor registry, e.g.
+ *     [{"id": "esri", "name": "Esri", "aliases": ["esri", "arcgis"], "domains": ["esri.com"]}]
+ *   GEO_SCORE_LIST_RANK — "true" to score DS's rank in list answers instead of its
+ *     position (default false)
+ *   GEO_OWNED_URLS — JSON array of URL prefixes owned by DS, labeled website, repo,
+ *     package or docs, and optionally assigned to a product, e.g.
+ *     [{"url": "titiler.xyz", "type": "docs", "product": "titiler"}]
+ *   OPENAI_COMPATIBLE_SOURCES — JSON array of extra OpenAI-compatible endpoints, e.g.
+ *     [{"name": "vLLM", "baseUrl": "http://localhost:8000/v1", "model": "qwen2.5"}]
+ *
+ * @param {Object<string, string|undefined>} [env=process.env]
+ * @returns {TrackerConfig}
+ */
+export function loadConfig(env = process.env) {
+  return {
+    rateLimits: parseRateLimits(env),
+    samples: parsePositiveInt(env, 'GEO_SAMPLES', 1),
+    generation: parseGeneration(env),
+    locations: parseLocations(env),
+    budget: parseBudget(env),
+    competitors: parseCompetitors(env),
+    scoreListRank: parseBoolean(env, 'GEO_SCORE_LIST_RANK', false),
+    ownedUrls: parseOwnedUrls(env),
+    compatibleSources: parseCompatibleSources(env.OPENAI_COMPATIBLE_SOURCES),
+  };
+}
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from './config.js';
+import COMPETITORS from './competitors.js';
+
+describe('loadConfig', () => {
+  it('returns defaults for an empty environment', () => {
+    assert.deepEqual(loadConfig({}).rateLimits, {});
+  });
+
+  it('parses per-source rate limits from GEO_RATE_LIMITS', () => {
+    const config = loadConfig({
+      GEO_RATE_LIMITS: '{"ChatGPT": {"requestsPerMinute": 30, "tokensPerMinute": 30000}}',
+    });
+    assert.deepEqual(config.rateLimits, {
+      ChatGPT: { requestsPerMinute: 30, tokensPerMinute: 30000 },
+    });
+  });
+
+  it('defaults to one sample per prompt', () => {
+    assert.equal(loadConfig({}).samples, 1);
+  });
+
+  it('reads GEO_SAMPLES and rejects non-positive values', () => {
+    assert.equal(loadConfig({ GEO_SAMPLES: '5' }).samples, 5);
+    assert.throws(() => loadConfig({ GEO_SAMPLES: '0' }), /GEO_SAMPLES must be a positive integer/);
+    assert.throws(() => loadConfig({ GEO_SAMPLES: 'lots' }), /GEO_SAMPLES must be a positive integer/);
+  });
+
+  it('leaves generation parameters unset by default', () => {
+    assert.deepEqual(loadConfig({}).generation, {});
+  });
+
+  it('reads default generation parameters', () => {
+    const { generation } = loadConfig({
+      GEO_SYSTEM_PROMPT: 'You are a GIS analyst.',
+      GEO_TEMPERATURE: '0',
+      GEO_MAX_TOKENS: '2048',
+    });
+    assert.deepEqual(generation, { systemPrompt: 'You are a GIS analyst.', temperature: 0, maxTokens: 2048 });
+  });
+
+  it('rejects invalid temperature and max tokens', () => {
+    assert.throws(() => loadConfig({ GEO_TEMPERATURE: '-1' }), /GEO_TEMPERATURE must be a non-negative number/);
+    assert.throws(() => loadConfig({ GEO_TEMPERATURE: 'warm' }), /GEO_TEMPERATURE/);
+    assert.throws(() => loadConfig({ GEO_MAX_TOKENS: '1.5' }), /GEO_MAX_TOKENS must be a positive integer/);
+  });
+
+  it('has no locations by default', () => {
+    assert.deepEqual(loadConfig({}).locations, []);
+  });
+
+  it('reads GEO_LOCATIONS and upper-cases country codes', () => {
+    const { locations } = loadConfig({
+      GEO_LOCATIONS: '[{"id": "us", "country": "us"}, {"id": "de-berlin", "country": "DE", "city": "Berlin", "latitude": 52.52, "longitude": 13.405}]',
+    });
+    assert.deepEqual(locations, [
+      { id: 'us', country: 'US' },
+      { id: 'de-berlin', country: 'DE', city: 'Berlin', latitude: 52.52, longitude: 13.405 },
+    ]);
+  });
+
+  it('rejects invalid locations', () => {
+    const load = (value) => () => loadConfig({ GEO_LOCATIONS: JSON.stringify(value) });
+    assert.throws(load({ id: 'us' }), /GEO_LOCATIONS must be a JSON array/);
+    assert.throws(load([{ country: 'US' }]), /GEO_LOCATIONS\[0\] requires an id/);
+    assert.throws(load([{ id: 'us', country: 'USA' }]), /two-letter country code/);
+    assert.throws(load([{ id: 'us', country: 'US' }, { id: 'us', country: 'US' }]), /duplicate id "us"/);
+    assert.throws(load([{ id: 'x', country: 'US', latitude: 10 }]), /both latitude and longitude/);
+    assert.throws(load([{ id: 'x', country: 'US', latitude: 100, longitude: 0 }]), /out-of-range/);
+    assert.throws(() => loadConfig({ GEO_LOCATIONS: '[' }), /GEO_LOCATIONS is not valid JSON/);
+  });
+
+  it('uses the built-in competitor registry unless GEO_COMPETITORS is set', () => {
+    assert.equal(loadConfig({}).competitors, COMPETITORS);
+    const { competitors } = loadConfig({
+      GEO_COMPETITORS: '[{"id": "acme", "aliases": ["Acme", "AcmeMaps"], "domains": ["Acme.com"]}]',
+    });
+    assert.deepEqual(competitors, [{ id: 'acme', name: 'acme', aliases: ['Acme', 'AcmeMaps'], domains: ['acme.com'] }]);
+  });
+
+  it('rejects invalid competitors', () => {
+    const load = (value) => () => loadConfig({ GEO_COMPETITORS: JSON.stringify(value) });
+    assert.throws(load({ id: 'acme' }), /GEO_COMPETITORS must be a JSON array/);
+    assert.throws(load([{ id: 'Acme Corp', aliases: ['acme'] }]), /GEO_COMPETITORS\[0\] requires a kebab-case id/);
+    assert.throws(load([{ id: 'development-seed', aliases: ['ds'] }]), /duplicate id "development-seed"/);
+    assert.throws(load([{ id: 'acme', aliases: [] }]), /non-empty list of aliases/);
+    assert.throws(load([{ id: 'acme', aliases: ['acme'], domains: 'acme.com' }]), /domains must be a list/);
+    assert.throws(() => loadConfig({ GEO_COMPETITORS: '[' }), /GEO_COMPETITORS is not valid JSON/);
+  });
+
+  it('has no budget limits by default', () => {
+    assert.deepEqual(loadConfig({}).budget, { perSource: {}, action: 'skip' });
+  });
+
+  it('reads run and per-source budgets and the budget action', () => {
+    const { budget } = loadConfig({
+      GEO_BUDGET_USD: '2.5',
+      GEO_SOURCE_BUDGETS: '{"ChatGPT": 1, "Claude": 0}',
+      GEO_BUDGET_ACTION: 'abort',
+    });
+    assert.deepEqual(budget, { runUsd: 2.5, perSource: { ChatGPT: 1, Claude: 0 }, action: 'abort' });
+  });
+
+  it('rejects invalid budgets', () => {
+    assert.throws(() => loadConfig({ GEO_BUDGET_USD: '-1' }), /GEO_BUDGET_USD must be a non-negative number/);
+    assert.throws(() => loadConfig({ GEO_SOURCE_BUDGETS: '{"ChatGPT": "1"}' }), /GEO_SOURCE_BUDGETS\.ChatGPT/);
+    assert.throws(() => loadConfig({ GEO_BUDGET_ACTION: 'panic' }), /GEO_BUDGET_ACTION must be one of skip, abort/);
+  });
+
+  it('reads GEO_SCORE_LIST_RANK, off by default', () => {
+    assert.equal(loadConfig({}).scoreListRank, false);
+    assert.equal(loadConfig({ GEO_SCORE_LIST_RANK: 'true' }).scoreListRank, true);
+    assert.equal(loadConfig({ GEO_SCORE_LIST_RANK: '0' }).scoreListRank, false);
+    assert.throws(() => loadConfig({ GEO_SCORE_LIST_RANK: 'yes' }), /GEO_SCORE_LIST_RANK must be true or false/);
+  });
+
+  it('reads GEO_OWNED_URLS, empty by default', () => {
+    assert.deepEqual(loadConfig({}).ownedUrls, []);
+    const config = loadConfig({
+      GEO_OWNED_URLS: '[{"url": "https://titiler.xyz/", "type": "docs", "product": "titiler"}, {"url": "huggingface.co/developmentseed", "type": "repo"}]',
+    });
+    assert.deepEqual(config.ownedUrls, [
+      { url: 'titiler.xyz/', type: 'docs', product: 'titiler' },
+      { url: 'huggingface.co/developmentseed', type: 'repo' },
+    ]);
+  });
+
+  it('rejects invalid owned URLs', () => {
+    const load = (value) => () => loadConfig({ GEO_OWNED_URLS: JSON.stringify(value) });
+    assert.throws(load({ url: 'titiler.xyz' }), /GEO_OWNED_URLS must be a JSON array/);
+    assert.throws(load(['titiler.xyz']), /GEO_OWNED_URLS\[0\] must be an object/);
+    assert.throws(load([{ url: '', type: 'docs' }]), /GEO_OWNED_URLS\[0\] requires a url/);
+    assert.throws(load([{ url: 'titiler.xyz', type: 'blog' }]), /GEO_OWNED_URLS\[0\] type must be one of website, repo, package, docs/);
+    assert.throws(load([{ url: 'titiler.xyz', type: 'docs', product: 'titiler-pgstac' }]), /GEO_OWNED_URLS\[0\] product must be one of/);
+    assert.throws(() => loadConfig({ GEO_OWNED_URLS: '[' }), /GEO_OWNED_URLS is not valid JSON/);
+  });
+
+  it('reads extra OpenAI-compatible sources from OPENAI_COMPATIBLE_SOURCES', () => {
+    assert.deepEqual(loadConfig({}).compatibleSources, []);
+    const [source] = loadConfig({
+      OPENAI_COMPATIBLE_SOURCES: '[{"name": "vLLM", "baseUrl": "http://localhost:8000/v1", "model": "qwen2.5"}]',
+    }).compatibleSources;
+    assert.equal(source.name, 'vLLM');
+    assert.equal(source.model, 'qwen2.5');
+  });
+
+  it('rejects malformed OPENAI_COMPATIBLE_SOURCES', () => {
+    assert.throws(() => loadConfig({ OPENAI_COMPATIBLE_SOURCES: 'nope' }), /OPENAI_COMPATIBLE_SOURCES is not valid JSON/);
+    assert.throws(() => loadConfig({ OPENAI_COMPATIBLE_SOURCES: '{}' }), /OPENAI_COMPATIBLE_SOURCES must be a JSON array/);
+    assert.throws(() => loadConfig({ OPENAI_COMPATIBLE_SOURCES: '[{"name": "vLLM"}]' }), /"vLLM" requires a model/);
+  });
+
+  it('throws a clear error for malformed GEO_RATE_LIMITS', () => {
+    assert.throws(() => loadConfig({ GEO_RATE_LIMITS: '{oops' }), /GEO_RATE_LIMITS is not valid JSON/);
+    assert.throws(() => loadConfig({ GEO_RATE_LIMITS: '[1]' }), /GEO_RATE_LIMITS must be a JSON object/);
+  });
+
+  it('rejects rate limits that are not objects of positive numbers', () => {
+    const load = (value) => () => loadConfig({ GEO_RATE_LIMITS: JSON.stringify(value) });
+    assert.throws(load({ Claude: 30 }), /GEO_RATE_LIMITS\.Claude must be an object/);
+    assert.throws(load({ Claude: { requestsPerMinute: -1 } }), /GEO_RATE_LIMITS\.Claude\.requestsPerMinute must be a positive number/);
+    assert.throws(load({ Claude: { tokensPerMinute: '30000' } }), /GEO_RATE_LIMITS\.Claude\.tokensPerMinute must be a positive number/);
+    assert.throws(load({ Claude: { burst: 0 } }), /GEO_RATE_LIMITS\.Claude\.burst must be a positive integer/);
+    assert.throws(load({ Claude: { requestsPerMinut: 30 } }), /GEO_RATE_LIMITS\.Claude: unknown field "requestsPerMinut"/);
+    assert.deepEqual(loadConfig({ GEO_RATE_LIMITS: '{"Ollama": {"requestsPerMinute": 0, "burst": 2}}' }).rateLimits, {
+      Ollama: { requestsPerMinute: 0, burst: 2 },
+    });
+  });
+});
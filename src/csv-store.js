@@ -8,7 +8,7 @@
  * @module csv-store
  */
 
-import { existsSync, mkdirSync, readFileSync, appendFileSync } from 'node:fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync } from 'node:fs';
 import { dirname } from 'node:path';
 
 /**
@@ -29,6 +29,44 @@ const HEADERS = [
   'data_source',
   'ds_pages',
   'tokens',
+  'attempts',
+  'response_id',
+  'sample',
+  'sample_count',
+  'mention_rate',
+  'score_mean',
+  'score_stddev',
+  'system_prompt',
+  'temperature',
+  'max_tokens',
+  'turn',
+  'turn_prompt',
+  'conversation_id',
+  'locale',
+  'location',
+  'model',
+  'cost',
+  'pricing_version',
+  'term_id',
+  'term_hash',
+  'entity_mentions',
+  'entity_citations',
+  'ds_rank',
+  'sov_mentions',
+  'sov_citations',
+  'ds_products_mentioned',
+  'ds_products_cited',
+  'ds_mention_spans',
+  'recommendation_trigger',
+  'recommendation_offset',
+  'ds_list_rank',
+  'ds_list_length',
+  'entity_list_ranks',
+  'ds_sentiment',
+  'ds_sentiment_evidence',
+  'entity_sentiments',
+  'ds_page_types',
+  'ds_inline_links',
 ];
 
 /**
@@ -68,6 +106,44 @@ function buildRow(row) {
     escapeCsv(row.data_source),
     escapeCsv(row.ds_pages),
     escapeCsv(row.tokens),
+    escapeCsv(row.attempts ?? 1),
+    escapeCsv(row.response_id || ''),
+    escapeCsv(row.sample ?? 1),
+    escapeCsv(row.sample_count ?? ''),
+    escapeCsv(row.mention_rate ?? ''),
+    escapeCsv(row.score_mean ?? ''),
+    escapeCsv(row.score_stddev ?? ''),
+    escapeCsv(row.system_prompt ?? ''),
+    escapeCsv(row.temperature ?? ''),
+    escapeCsv(row.max_tokens ?? ''),
+    escapeCsv(row.turn ?? 1),
+    escapeCsv(row.turn_prompt ?? row.search_term ?? ''),
+    escapeCsv(row.conversation_id ?? ''),
+    escapeCsv(row.locale || 'en'),
+    escapeCsv(row.location ?? ''),
+    escapeCsv(row.model ?? ''),
+    escapeCsv(row.cost ?? ''),
+    escapeCsv(row.pricing_version ?? ''),
+    escapeCsv(row.term_id ?? ''),
+    escapeCsv(row.term_hash ?? ''),
+    escapeCsv(row.entity_mentions ?? ''),
+    escapeCsv(row.entity_citations ?? ''),
+    escapeCsv(row.ds_rank ?? ''),
+    escapeCsv(row.sov_mentions ?? ''),
+    escapeCsv(row.sov_citations ?? ''),
+    escapeCsv(row.ds_products_mentioned ?? ''),
+    escapeCsv(row.ds_products_cited ?? ''),
+    escapeCsv(row.ds_mention_spans ?? ''),
+    escapeCsv(row.recommendation_trigger ?? ''),
+    escapeCsv(row.recommendation_offset ?? ''),
+    escapeCsv(row.ds_list_rank ?? ''),
+    escapeCsv(row.ds_list_length ?? ''),
+    escapeCsv(row.entity_list_ranks ?? ''),
+    escapeCsv(row.ds_sentiment ?? ''),
+    escapeCsv(row.ds_sentiment_evidence ?? ''),
+    escapeCsv(row.entity_sentiments ?? ''),
+    escapeCsv(row.ds_page_types ?? ''),
+    escapeCsv(row.ds_inline_links ?? ''),
   ].join(',');
 }
 
@@ -75,7 +151,13 @@ function buildRow(row) {
  * Ensure the CSV file exists with a header row. If the file is missing
  * or empty, create it. Parent directories are also created as needed.
  *
+ * New columns are only ever appended to HEADERS, so a file written by an
+ * older version has a header that is a prefix of the current one. Such a
+ * header is rewritten in place; older rows simply end before the new
+ * columns, which spreadsheet tools read as empty cells.
+ *
  * @param {string} filepath - Path to the CSV file
+ * @throws {Error} If the existing header is not a prefix of HEADERS
  */
 export function initCsv(filepath) {
   const dir = dirname(filepath);
@@ -92,7 +174,22 @@ export function initCsv(filepath) {
   const content = readFileSync(filepath, 'utf-8');
   if (content.trim().length === 0) {
     appendFileSync(filepath, HEADERS.join(',') + '\n', 'utf-8');
+    return;
+  }
+
+  const newlineIndex = content.indexOf('\n');
+  const headerLine = newlineIndex === -1 ? content : content.slice(0, newlineIndex);
+  const existing = headerLine.trim().split(',');
+  if (existing.join(',') === HEADERS.join(',')) return;
+
+  const isPrefix = existing.length < HEADERS.length
+    && existing.every((column, i) => column === HEADERS[i]);
+  if (!isPrefix) {
+    throw new Error(`Unexpected CSV header in ${filepath}: ${headerLine}`);
   }
+
+  const rest = newlineIndex === -1 ? '\n' : content.slice(newlineIndex);
+  writeFileSync(filepath, HEADERS.join(',') + rest, 'utf-8');
 }
 
 /**
@@ -113,5 +210,94 @@ export function appendResults(filepath, rows) {
   return rows.length;
 }
 
+/**
+ * Write a complete CSV file (header + rows), replacing any existing file.
+ * Used for derived datasets such as re-scored results; the tracking CSV
+ * itself is only ever appended to.
+ *
+ * @param {string} filepath - Path to the CSV file
+ * @param {Object[]} rows - Array of result objects
+ * @returns {number} Number of rows written
+ */
+export function writeResults(filepath, rows) {
+  const dir = dirname(filepath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  const lines = [HEADERS.join(','), ...rows.map(buildRow)];
+  writeFileSync(filepath, lines.join('\n') + '\n', 'utf-8');
+  return rows.length;
+}
+
+/**
+ * Parse CSV text into an array of records (arrays of field strings).
+ * Handles quoted fields containing commas, doubled quotes and newlines,
+ * i.e. everything escapeCsv() can produce.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field.length > 0 || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Read the results CSV into row objects keyed by its header. Values are
+ * returned as strings; columns missing from older rows read as ''.
+ *
+ * @param {string} filepath - Path to the CSV file
+ * @returns {Object<string, string>[]} Rows (empty if the file does not exist)
+ */
+export function readResults(filepath) {
+  if (!existsSync(filepath)) return [];
+
+  const [header, ...records] = parseCsv(readFileSync(filepath, 'utf-8'));
+  if (!header) return [];
+
+  return records
+    .filter((fields) => fields.some((value) => value.length > 0))
+    .map((fields) => Object.fromEntries(header.map((column, i) => [column, fields[i] ?? ''])));
+}
+
 // Export internals for testing
-export { HEADERS, escapeCsv, buildRow };
+export { HEADERS, escapeCsv, buildRow, parseCsv };
@@ -10,25 +10,31 @@
  * @module orchestrator
  */
 
-import { analyzeResponse } from './analysis.js';
+import { randomUUID } from 'node:crypto';
+import { analyzeResponse, DEFAULT_LOCALE } from './analysis.js';
+import { createRateLimiter, resolveRateLimit } from './rate-limiter.js';
+import { createBudget } from './budget.js';
+import { callCost, projectCallCost } from './pricing.js';
+import { selectDueQueries } from './cadence.js';
+import { promptHash, promptKey } from './prompt-log.js';
+import { OWNED_URL_TYPES } from './profiles.js';
 
 /**
- * Delay execution for specified milliseconds.
- * @param {number} ms
- * @returns {Promise<void>}
+ * Token estimate for a call when no average is known: a source's first
+ * call (projected against the budget) and dry-run forecasts for sources
+ * without history.
  */
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const FIRST_CALL_TOKENS = 1000;
 
 /**
  * @typedef {Object} EventRow
+ * @property {string} response_id - Unique ID joining this row to its archived response
  * @property {string} date - ISO date string (YYYY-MM-DD)
  * @property {string} source - LLM source name
  * @property {string} query_name - Human-readable query name
  * @property {string} query_id - Machine-readable query ID
  * @property {string} category - Query category
- * @property {string} search_term - The exact prompt sent to the LLM
+ * @property {string} search_term - The search term (the opening prompt of a conversation)
  * @property {number} prominence_score - 0-100 prominence score
  * @property {boolean} mentioned - Whether DS was mentioned
  * @property {boolean} recommended - Whether DS was recommended
@@ -37,14 +43,66 @@ function delay(ms) {
  * @property {string} data_source - Source type (web/training)
  * @property {string} ds_pages - Pipe-separated list of DS page URLs
  * @property {number} tokens - Total tokens used for this query
+ * @property {number} attempts - HTTP attempts needed (1 = no retries)
+ * @property {number|string} sample - 1-based sample number, or "aggregate" for the summary row
+ * @property {number} [sample_count] - Aggregate rows: successful samples summarized
+ * @property {number} [mention_rate] - Aggregate rows: share of samples mentioning DS (0-1)
+ * @property {number} [score_mean] - Aggregate rows: mean prominence score
+ * @property {number} [score_stddev] - Aggregate rows: sample standard deviation of the score
+ * @property {string} system_prompt - System prompt sent with the prompt ('' for none)
+ * @property {number|string} temperature - Temperature sent ('' for the vendor default)
+ * @property {number|string} max_tokens - Max output tokens sent ('' for the vendor default)
+ * @property {number} turn - 1-based turn of the conversation (1 for single prompts)
+ * @property {string} turn_prompt - The prompt sent in this turn (the search term on turn 1)
+ * @property {string} conversation_id - Shared by the turns of one conversation ('' for single prompts)
+ * @property {string} locale - Locale of the prompt (e.g. "en", "es")
+ * @property {string} location - Id of the user location the prompt ran for ('' for none)
+ * @property {string} model - Model that answered ('' if the source does not declare one)
+ * @property {number} cost - USD cost of the call, from the pricing table (0 on aggregate rows)
+ * @property {string} pricing_version - Pricing table version the cost was computed with
+ * @property {string} term_id - Stable id of the prompt ('' when the run had no change log)
+ * @property {string} term_hash - Content hash of the prompt (search term and follow-ups)
+ * @property {string} entity_mentions - Mentioned entities in order of first appearance, as
+ *   "id:count" pairs separated by " | " (DS is "development-seed"; '' on aggregate rows)
+ * @property {string} entity_citations - Cited entities as "id:count" pairs ('' on aggregate rows)
+ * @property {number|string} ds_rank - Order of DS among mentioned entities (0 = not mentioned; '' on aggregate rows)
+ * @property {number} sov_mentions - DS share of all entity mentions (0-1; the mean on aggregate rows)
+ * @property {number} sov_citations - DS share of all entity citations (0-1; the mean on aggregate rows)
+ * @property {string} ds_products_mentioned - Ids of DS products named in the response, in order of
+ *   first appearance, separated by " | " (the union of the samples on aggregate rows)
+ * @property {string} ds_products_cited - Ids of DS products with a cited page (the union on aggregate rows)
+ * @property {string} ds_mention_spans - Every DS mention as "id:start-end" offsets into the response
+ *   text, separated by " | " ('' on aggregate rows)
+ * @property {string} recommendation_trigger - Text that set `recommended`, as written in the response
+ *   ('' when not recommended, and on aggregate rows)
+ * @property {number|string} recommendation_offset - Offset of that text in the response ('' when
+ *   not recommended, and on aggregate rows)
+ * @property {number|string} ds_list_rank - Rank of the first list item mentioning DS (0 = not in a
+ *   list; '' on aggregate rows)
+ * @property {number|string} ds_list_length - Number of items in that list (0 = not in a list; '' on aggregate rows)
+ * @property {string} entity_list_ranks - Entities found in a list, as "id:rank/length" separated by
+ *   " | " ('' on aggregate rows)
+ * @property {string} ds_sentiment - positive, neutral or negative ('' when DS is not mentioned, and
+ *   on aggregate rows)
+ * @property {string} ds_sentiment_evidence - Phrases behind ds_sentiment as written, each prefixed
+ *   with "+" or "-" for its polarity, separated by " | " ('' on aggregate rows)
+ * @property {string} entity_sentiments - Sentiment of each mentioned entity, as "id:sentiment"
+ *   pairs separated by " | " ('' on aggregate rows)
+ * @property {string} ds_page_types - DS pages per type, as "type:count" pairs in the order website,
+ *   repo, package, docs, separated by " | " ('' on aggregate rows)
+ * @property {number|string} ds_inline_links - DS pages found only as links in the response text
+ *   ('' on aggregate rows)
  */
 
 /**
  * @typedef {Object} SourceResult
  * @property {number} success - Number of successful queries
  * @property {number} fail - Number of failed queries
+ * @property {number} retries - Extra HTTP attempts spent on retries
  * @property {number} tokens - Total tokens used
- * @property {number} cost - Estimated cost in USD
+ * @property {number} cost - Cost in USD (sum of the row costs)
+ * @property {number} skipped - Calls not sent because a budget limit was reached
+ * @property {string|null} stopReason - Why the source stopped early, or null
  */
 
 /**
@@ -52,31 +110,193 @@ function delay(ms) {
  * @property {number} totalEvents - Total events attempted
  * @property {number} totalSuccess - Total successful events
  * @property {number} totalFail - Total failed events
+ * @property {number} totalRetries - Total extra HTTP attempts across all sources
  * @property {number} totalTokens - Total tokens across all sources
- * @property {number} totalCost - Estimated total cost in USD
+ * @property {number} totalCost - Total cost in USD across all sources
  * @property {Object<string, SourceResult>} perSource - Breakdown per source name
  * @property {EventRow[]} rows - Detailed per-event results for storage
+ * @property {import('./archive.js').ArchiveRecord[]} responses - Raw responses, one per row
  * @property {number} duration - Duration in seconds
+ * @property {string|null} budgetStop - First budget limit that stopped a source or the run, or null
+ * @property {string[]} notDue - Ids of the queries skipped because their cadence is not due
+ */
+
+/**
+ * Build a CSV event row from an archived response and its analysis.
+ * Shared by live runs and offline re-scoring so both produce identical rows.
+ *
+ * @param {import('./archive.js').ArchiveRecord} record - Raw response with its run metadata
+ * @param {import('./analysis.js').AnalysisResult} analysis - Result of analyzeResponse()
+ * @returns {EventRow}
+ */
+export function buildEventRow(record, analysis) {
+  const { cost, version } = callCost(record.model ?? '', record.usage, record.date);
+  return {
+    response_id: record.response_id,
+    date: record.date,
+    source: record.source,
+    query_name: record.query_name,
+    query_id: record.query_id,
+    category: record.category,
+    search_term: record.search_term,
+    prominence_score: analysis.prominenceScore,
+    mentioned: analysis.mentioned,
+    recommended: analysis.recommended,
+    position: analysis.position,
+    citation_count: analysis.citationCount,
+    data_source: record.data_source,
+    ds_pages: analysis.dsPages.join(' | '),
+    tokens: record.usage?.totalTokens ?? 0,
+    attempts: record.attempts ?? 1,
+    sample: record.sample ?? 1,
+    system_prompt: record.params?.systemPrompt ?? '',
+    temperature: record.params?.temperature ?? '',
+    max_tokens: record.params?.maxTokens ?? '',
+    locale: record.locale ?? DEFAULT_LOCALE,
+    turn: record.turn ?? 1,
+    turn_prompt: record.turn_prompt ?? record.search_term,
+    conversation_id: record.conversation_id ?? '',
+    location: record.location?.id ?? '',
+    model: record.model ?? '',
+    cost,
+    pricing_version: version,
+    term_id: record.term_id ?? '',
+    term_hash: record.term_hash ?? '',
+    entity_mentions: analysis.entities.filter((e) => e.mentions > 0).map((e) => `${e.id}:${e.mentions}`).join(' | '),
+    entity_citations: analysis.entities.filter((e) => e.citations > 0).map((e) => `${e.id}:${e.citations}`).join(' | '),
+    ds_rank: analysis.shareOfVoice.dsRank,
+    sov_mentions: round(analysis.shareOfVoice.mentions),
+    sov_citations: round(analysis.shareOfVoice.citations),
+    ds_products_mentioned: analysis.productsMentioned.join(' | '),
+    ds_products_cited: analysis.productsCited.join(' | '),
+    ds_mention_spans: analysis.mentionSpans.map((span) => `${span.id}:${span.start}-${span.end}`).join(' | '),
+    recommendation_trigger: analysis.recommendation?.text ?? '',
+    recommendation_offset: analysis.recommendation?.start ?? '',
+    ds_list_rank: analysis.listRank,
+    ds_list_length: analysis.listLength,
+    entity_list_ranks: analysis.entities.filter((e) => e.listRank > 0).map((e) => `${e.id}:${e.listRank}/${e.listLength}`).join(' | '),
+    ds_sentiment: analysis.sentiment,
+    ds_sentiment_evidence: analysis.sentimentEvidence.map((e) => `${e.polarity === 'positive' ? '+' : '-'}${e.text}`).join(' | '),
+    entity_sentiments: analysis.sentiments.map((e) => `${e.id}:${e.sentiment}`).join(' | '),
+    ds_page_types: OWNED_URL_TYPES
+      .map((type) => [type, analysis.dsLinks.filter((link) => link.type === type).length])
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${type}:${count}`)
+      .join(' | '),
+    ds_inline_links: analysis.dsLinks.filter((link) => link.origin === 'content').length,
+  };
+}
+
+/**
+ * Round to a fixed number of decimals for storage.
+ * @param {number} value
+ * @param {number} [decimals=2]
+ * @returns {number}
  */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
 
 /**
- * Estimate cost for a source based on token usage.
- * Rough per-token rates (input + output averaged).
+ * Summarize the sample rows of one prompt into an aggregate row.
  *
- * @param {string} sourceName
- * @param {number} totalTokens
- * @returns {number} Estimated cost in USD
+ * The aggregate row copies the prompt metadata from the samples and carries
+ * the variance statistics. Its `prominence_score` is the mean score, and
+ * `mentioned`/`recommended` are true when more than half the samples were.
+ * It carries no tokens, attempts or cost, so summing usage or spend over
+ * all rows does not double count. Share of voice is the mean over the
+ * samples; the per-entity columns are left empty.
+ *
+ * @param {EventRow[]} sampleRows - Successful sample rows of one prompt and turn (at least one)
+ * @returns {EventRow}
  */
-function estimateCost(sourceName, totalTokens) {
-  // Approximate cost per 1M tokens (blended input/output)
-  const rates = {
-    'Perplexity': 1,    // $1/1M tokens
-    'Gemini': 0.5,      // ~$0.50/1M tokens (flash model)
-    'ChatGPT': 7.5,     // ~$2.50 input + $10 output / 1M, averaged
-    'Claude': 6,        // ~$3 input + $15 output / 1M, averaged
+export function buildAggregateRow(sampleRows) {
+  const n = sampleRows.length;
+  const scores = sampleRows.map((row) => row.prominence_score);
+  const mean = scores.reduce((sum, score) => sum + score, 0) / n;
+  // Sample standard deviation (n - 1); undefined for a single sample, stored as 0
+  const variance = n > 1
+    ? scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / (n - 1)
+    : 0;
+  const mentionRate = sampleRows.filter((row) => row.mentioned).length / n;
+  const recommendRate = sampleRows.filter((row) => row.recommended).length / n;
+  const citationMean = sampleRows.reduce((sum, row) => sum + row.citation_count, 0) / n;
+  const columnMean = (column) => round(sampleRows.reduce((sum, row) => sum + row[column], 0) / n);
+  const columnUnion = (column) => [...new Set(sampleRows.flatMap((row) => (row[column] ? row[column].split(' | ') : [])))].join(' | ');
+  const [first] = sampleRows;
+
+  return {
+    response_id: '',
+    date: first.date,
+    source: first.source,
+    query_name: first.query_name,
+    query_id: first.query_id,
+    category: first.category,
+    search_term: first.search_term,
+    prominence_score: round(mean, 1),
+    mentioned: mentionRate > 0.5,
+    recommended: recommendRate > 0.5,
+    position: '',
+    citation_count: round(citationMean),
+    data_source: first.data_source,
+    ds_pages: columnUnion('ds_pages'),
+    tokens: 0,
+    attempts: 0,
+    sample: 'aggregate',
+    sample_count: n,
+    mention_rate: round(mentionRate),
+    score_mean: round(mean),
+    score_stddev: round(Math.sqrt(variance)),
+    system_prompt: first.system_prompt,
+    temperature: first.temperature,
+    max_tokens: first.max_tokens,
+    locale: first.locale,
+    turn: first.turn,
+    turn_prompt: first.turn_prompt,
+    conversation_id: '',
+    location: first.location,
+    model: first.model,
+    cost: 0,
+    pricing_version: first.pricing_version,
+    term_id: first.term_id,
+    term_hash: first.term_hash,
+    entity_mentions: '',
+    entity_citations: '',
+    ds_rank: '',
+    sov_mentions: columnMean('sov_mentions'),
+    sov_citations: columnMean('sov_citations'),
+    ds_products_mentioned: columnUnion('ds_products_mentioned'),
+    ds_products_cited: columnUnion('ds_products_cited'),
+    ds_mention_spans: '',
+    recommendation_trigger: '',
+    recommendation_offset: '',
+    ds_list_rank: '',
+    ds_list_length: '',
+    entity_list_ranks: '',
+    ds_sentiment: '',
+    ds_sentiment_evidence: '',
+    entity_sentiments: '',
+    ds_page_types: '',
+    ds_inline_links: '',
   };
-  const rate = rates[sourceName] || 1;
-  return (totalTokens / 1_000_000) * rate;
+}
+
+/**
+ * Resolve the generation parameters for a query: fields set on the query
+ * win over the run-wide defaults. Unset fields are left out.
+ *
+ * @param {import('./queries.js').GeoQuery} query
+ * @param {import('./queries.js').GenerationParams} [defaults]
+ * @returns {import('./queries.js').GenerationParams}
+ */
+export function resolveGenerationParams(query, defaults = {}) {
+  const params = {};
+  for (const name of ['systemPrompt', 'temperature', 'maxTokens']) {
+    const value = query[name] ?? defaults[name];
+    if (value !== undefined) params[name] = value;
+  }
+  return params;
 }
 
 /**
@@ -84,95 +304,286 @@ function estimateCost(sourceName, totalTokens) {
  * Each query can have multiple search terms — this expands them into
  * one entry per term so the orchestrator can iterate linearly.
  *
+ * The query's own `searchTerms` and `followUps` are English; the terms of
+ * each entry in `query.locales` follow, tagged with that locale and paired
+ * with that locale's follow-ups.
+ *
  * @param {Array} queryList - Array of GeoQuery objects
- * @returns {Array<{query: Object, searchTerm: string}>}
+ * @returns {Array<{query: Object, searchTerm: string, locale: string, followUps: string[]}>}
  */
 function expandQueries(queryList) {
   const expanded = [];
   for (const query of queryList) {
     for (const term of query.searchTerms) {
-      expanded.push({ query, searchTerm: term });
+      expanded.push({ query, searchTerm: term, locale: DEFAULT_LOCALE, followUps: query.followUps ?? [] });
+    }
+    for (const [locale, localized] of Object.entries(query.locales ?? {})) {
+      for (const term of localized.searchTerms) {
+        expanded.push({ query, searchTerm: term, locale, followUps: localized.followUps ?? [] });
+      }
     }
   }
   return expanded;
 }
 
+/**
+ * Locations a source runs each prompt for. Only web-grounded sources take
+ * a location, and only locations with the fields the source requires
+ * (`requiredLocationFields`, e.g. Gemini needs coordinates), so no call is
+ * paid for a location that would not be sent. A source left without any
+ * runs each prompt once, without one (`null`).
+ *
+ * @param {Object} source - LLM source object
+ * @param {import('./config.js').UserLocation[]} locations
+ * @returns {Array<import('./config.js').UserLocation|null>}
+ */
+function promptLocationsFor(source, locations) {
+  if (!source.supportsLocation) return [null];
+  const required = source.requiredLocationFields ?? [];
+  const usable = locations.filter((location) => required.every((field) => location[field] !== undefined));
+  return usable.length > 0 ? usable : [null];
+}
+
+/**
+ * Count the API calls a source makes for a query list: one per prompt,
+ * location, sample and conversation turn.
+ *
+ * @param {Object} source - LLM source object
+ * @param {Array} queryList - Queries to process
+ * @param {Object} [options]
+ * @param {number} [options.samples=1] - Samples per prompt for queries that do not set their own
+ * @param {import('./config.js').UserLocation[]} [options.locations] - Configured user locations
+ * @returns {number}
+ */
+export function countPlannedCalls(source, queryList, { samples = 1, locations = [] } = {}) {
+  const locationCount = promptLocationsFor(source, locations).length;
+  return expandQueries(queryList).reduce(
+    (sum, { query, followUps }) => sum + locationCount * (query.samples ?? samples) * (1 + followUps.length),
+    0,
+  );
+}
+
 /**
  * Query a single LLM source for all configured queries and collect results.
- * Each search term in each query is sent as a separate prompt.
+ * Each search term in each query is sent as a separate prompt, paced by the
+ * source's own rate limiter.
+ *
+ * When a prompt is sampled more than once (`query.samples`, else the
+ * run-wide `samples`), one row is stored per sample, followed by an
+ * aggregate row summarizing them.
+ *
+ * A query with `followUps` turns each search term into a conversation:
+ * every follow-up is sent with the history so far, and every turn is
+ * analyzed and stored as its own row. If a turn fails, the rest of that
+ * conversation is skipped. With sampling, each sample is a separate
+ * conversation and one aggregate row is stored per turn.
+ *
+ * Sources with `supportsLocation` run every prompt once per configured
+ * location (samples and aggregates are per location); other sources run
+ * it once, without a location.
+ *
+ * Before each call its projected cost is reserved against the budget. If
+ * that would cross a limit, the source stops; rows gathered so far are kept.
  *
  * @param {Object} source - LLM source object
  * @param {Array} queryList - Queries to process
  * @param {string} dateStr - ISO date string for this run
- * @returns {Promise<{sourceResult: SourceResult, rows: EventRow[]}>}
+ * @param {Object} [options]
+ * @param {ReturnType<typeof createRateLimiter>} [options.limiter] - Defaults to one built from the source's rate limit
+ * @param {number} [options.samples=1] - Samples per prompt for queries that do not set their own
+ * @param {import('./queries.js').GenerationParams} [options.generation] - Defaults for queries that do not set their own
+ * @param {import('./config.js').UserLocation[]} [options.locations] - Locations to run each prompt for, on sources with `supportsLocation`
+ * @param {ReturnType<typeof createBudget>} [options.budget] - Shared run budget (default: unlimited)
+ * @param {Map<string, string>} [options.termIds] - Term id per promptKey(), from reconcilePrompts()
+ * @param {import('./competitors.js').Competitor[]} [options.competitors] - Registry for share of voice
+ * @param {boolean} [options.scoreListRank=false] - Score DS's list rank instead of its position
+ * @param {import('./profiles.js').OwnedUrl[]} [options.ownedUrls=[]] - URL prefixes owned by DS beyond profiles.js
+ * @returns {Promise<{sourceResult: SourceResult, rows: EventRow[], responses: import('./archive.js').ArchiveRecord[]}>}
  */
-async function trackSource(source, queryList, dateStr) {
+async function trackSource(source, queryList, dateStr, {
+  limiter = createRateLimiter(resolveRateLimit(source)),
+  samples = 1,
+  generation = {},
+  locations = [],
+  budget = createBudget(),
+  termIds = new Map(),
+  competitors,
+  scoreListRank = false,
+  ownedUrls = [],
+} = {}) {
   let success = 0;
   let fail = 0;
+  // Turns never sent because an earlier turn of their conversation failed
+  let dropped = 0;
+  let retries = 0;
   let totalTokens = 0;
+  let totalCost = 0;
   const rows = [];
+  const responses = [];
 
   const prompts = expandQueries(queryList);
+  const promptLocations = promptLocationsFor(source, locations);
+  let stopReason = null;
+
+  // Sources run concurrently, so every line is tagged with the source name
+  const log = `  [${source.name}]`;
+
+  const skippedLocations = source.supportsLocation ? locations.filter((location) => !promptLocations.includes(location)) : [];
+  if (skippedLocations.length > 0) {
+    console.log(`${log} Skipping locations without ${source.requiredLocationFields.join(', ')}: ${skippedLocations.map((l) => l.id).join(', ')}`);
+  }
 
   for (let i = 0; i < prompts.length; i++) {
-    const { query, searchTerm } = prompts[i];
+    const { query, searchTerm, locale, followUps } = prompts[i];
     const promptNum = i + 1;
+    const sampleCount = query.samples ?? samples;
+    const params = resolveGenerationParams(query, generation);
+    const turnPrompts = [searchTerm, ...followUps];
+    const termHash = promptHash(searchTerm, followUps);
+    const termId = termIds.get(promptKey(query.id, locale, termHash)) ?? '';
 
     // Truncate long prompts in log output for readability
     const displayTerm = searchTerm.length > 70
       ? searchTerm.slice(0, 67) + '...'
       : searchTerm;
-    console.log(`  [${promptNum}/${prompts.length}] "${query.name}" → "${displayTerm}"`);
 
-    try {
-      // Query the LLM
-      const result = await source.query(searchTerm);
-      const queryTokens = result.usage.totalTokens;
-      totalTokens += queryTokens;
+    for (const location of promptLocations) {
+      // Successful rows per turn, across samples, for the aggregate rows
+      const turnRows = turnPrompts.map(() => []);
 
-      // Analyze the response
-      const analysis = analyzeResponse(result);
+      for (let sample = 1; sample <= sampleCount; sample++) {
+        const sampleNote = sampleCount > 1 ? ` (sample ${sample}/${sampleCount})` : '';
+        const localeNote = locale !== DEFAULT_LOCALE ? ` [${locale}]` : '';
+        const locationNote = location ? ` @ ${location.id}` : '';
+        console.log(`${log} [${promptNum}/${prompts.length}] "${query.name}"${localeNote} → "${displayTerm}"${locationNote}${sampleNote}`);
 
-      console.log(`    Score: ${analysis.prominenceScore}/100 | Mentioned: ${analysis.mentioned} | Citations: ${analysis.citationCount}`);
+        // Each sample is a fresh conversation; follow-ups are sent with its history
+        const conversationId = turnPrompts.length > 1 ? randomUUID() : '';
+        const history = [];
 
-      if (analysis.dsPages.length > 0) {
-        console.log(`    DS pages: ${analysis.dsPages.join(', ')}`);
-      }
+        for (let turn = 1; turn <= turnPrompts.length; turn++) {
+          const turnPrompt = turnPrompts[turn - 1];
+          const turnLog = turnPrompts.length > 1 ? `${log}   Turn ${turn}/${turnPrompts.length}:` : `${log}  `;
+          if (turn > 1) {
+            console.log(`${log}   → follow-up: "${turnPrompt.length > 70 ? turnPrompt.slice(0, 67) + '...' : turnPrompt}"`);
+          }
 
-      // Collect the result row
-      rows.push({
-        date: dateStr,
-        source: source.name,
-        query_name: query.name,
-        query_id: query.id,
-        category: query.category,
-        search_term: searchTerm,
-        prominence_score: analysis.prominenceScore,
-        mentioned: analysis.mentioned,
-        recommended: analysis.recommended,
-        position: analysis.position,
-        citation_count: analysis.citationCount,
-        data_source: source.dataSource,
-        ds_pages: analysis.dsPages.join(' | '),
-        tokens: queryTokens,
-      });
-
-      success++;
-    } catch (error) {
-      fail++;
-      console.error(`    Error querying ${source.name} for "${query.name}": ${error.message}`);
-    }
+          // Charge the token bucket with this source's average so far
+          const estimatedTokens = success > 0 ? Math.round(totalTokens / success) : 0;
+          await limiter.acquire(estimatedTokens);
+
+          // Other sources may have spent while this one waited, so check the budget last
+          const projectedCost = success > 0
+            ? totalCost / success
+            : projectCallCost(source.model ?? '', FIRST_CALL_TOKENS, dateStr);
+          const reservation = budget.reserve(source.name, projectedCost);
+          if (!reservation.ok) {
+            stopReason = reservation.reason;
+            console.warn(`${log}   Budget: ${stopReason} — stopping ${source.name}`);
+            break;
+          }
 
-    // Rate limiting between API calls (except after last one)
-    if (i < prompts.length - 1) {
-      await delay(source.rateLimitMs);
+          try {
+            // Query the LLM
+            const result = await source.query(turnPrompt, params, [...history], location ?? undefined);
+            const queryTokens = result.usage.totalTokens;
+            const attempts = result.attempts ?? 1;
+            totalTokens += queryTokens;
+            retries += attempts - 1;
+            limiter.record(queryTokens, estimatedTokens);
+
+            // Analyze the response
+            const analysis = analyzeResponse(result, { locale, competitors, scoreListRank, ownedUrls });
+
+            console.log(`${turnLog} Score: ${analysis.prominenceScore}/100 | Mentioned: ${analysis.mentioned} | Citations: ${analysis.citationCount}${attempts > 1 ? ` | Attempts: ${attempts}` : ''}`);
+
+            if (analysis.dsPages.length > 0) {
+              console.log(`${log}   DS pages: ${analysis.dsLinks.map((link) => `${link.url} (${link.type})`).join(', ')}`);
+            }
+            if (analysis.productsMentioned.length > 0 || analysis.productsCited.length > 0) {
+              console.log(`${log}   Products: mentioned ${analysis.productsMentioned.join(', ') || '-'} | cited ${analysis.productsCited.join(', ') || '-'}`);
+            }
+
+            // Collect the raw response and the result row derived from it
+            const record = {
+              response_id: randomUUID(),
+              date: dateStr,
+              recorded_at: new Date().toISOString(),
+              source: source.name,
+              data_source: source.dataSource,
+              query_id: query.id,
+              query_name: query.name,
+              category: query.category,
+              search_term: searchTerm,
+              term_id: termId,
+              term_hash: termHash,
+              locale,
+              location,
+              sample,
+              samples: sampleCount,
+              // Parameters as sent: the query's, plus any the source always sends
+              params: { ...source.defaultParams, ...params },
+              conversation_id: conversationId,
+              turn,
+              turn_prompt: turnPrompt,
+              content: result.content,
+              citations: result.citations,
+              searchResults: result.searchResults,
+              usage: result.usage,
+              attempts,
+              model: source.model ?? '',
+            };
+            responses.push(record);
+            const row = buildEventRow(record, analysis);
+            totalCost += row.cost;
+            budget.settle(source.name, projectedCost, row.cost);
+            rows.push(row);
+            turnRows[turn - 1].push(row);
+            history.push({ role: 'user', content: turnPrompt }, { role: 'assistant', content: result.content });
+
+            success++;
+          } catch (error) {
+            fail++;
+            retries += (error.attempts ?? 1) - 1;
+            budget.settle(source.name, projectedCost, 0);
+            const attemptNote = error.attempts > 1 ? ` (after ${error.attempts} attempts)` : '';
+            const turnNote = turnPrompts.length > 1 ? ` (turn ${turn})` : '';
+            console.error(`${log}   Error querying ${source.name} for "${query.name}"${turnNote}${attemptNote}: ${error.message}`);
+            // Later turns build on this answer, so the conversation cannot continue
+            if (turn < turnPrompts.length) {
+              dropped += turnPrompts.length - turn;
+              console.error(`${log}   Skipping ${turnPrompts.length - turn} remaining turn(s)`);
+            }
+            break;
+          }
+        }
+        if (stopReason) break;
+      }
+
+      // Aggregates still cover the samples gathered before a budget stop
+      if (sampleCount > 1) {
+        for (const sampleRows of turnRows) {
+          if (sampleRows.length === 0) continue;
+          const aggregate = buildAggregateRow(sampleRows);
+          rows.push(aggregate);
+          const turnNote = turnPrompts.length > 1 ? ` (turn ${aggregate.turn})` : '';
+          console.log(`${log}   Aggregate${turnNote}: mention rate ${aggregate.mention_rate} | score ${aggregate.score_mean} ± ${aggregate.score_stddev} (n=${aggregate.sample_count})`);
+        }
+      }
+      if (stopReason) break;
     }
+    if (stopReason) break;
   }
 
-  const cost = estimateCost(source.name, totalTokens);
+  // Calls the budget stop kept from being sent; turns dropped after a failure are not counted
+  const skipped = stopReason
+    ? countPlannedCalls(source, queryList, { samples, locations }) - success - fail - dropped
+    : 0;
+
   return {
-    sourceResult: { success, fail, tokens: totalTokens, cost },
+    sourceResult: { success, fail, retries, tokens: totalTokens, cost: totalCost, skipped, stopReason },
     rows,
+    responses,
   };
 }
 
@@ -183,36 +594,103 @@ async function trackSource(source, queryList, dateStr) {
  * (no process.exitCode, no dotenv loading, no file I/O) — the caller
  * handles persistence and exit codes.
  *
- * @param {Array} queries - Array of GeoQuery objects
+ * Sources run concurrently, each paced by its own token-bucket limiter.
+ * Results are assembled in the order of `sources`, so row order is the
+ * same as a sequential run regardless of which source finishes first.
+ *
+ * Only queries whose `cadence` is due on the run date are processed,
+ * unless `force` is set.
+ *
+ * @param {Array} allQueries - Array of GeoQuery objects
  * @param {Array} sources - Array of enabled LLM source objects
+ * @param {Object} [options]
+ * @param {Object<string, import('./rate-limiter.js').RateLimit>} [options.rateLimits] - Per-source overrides
+ * @param {number} [options.samples=1] - Samples per prompt for queries that do not set their own
+ * @param {import('./queries.js').GenerationParams} [options.generation] - Default generation parameters
+ * @param {import('./config.js').UserLocation[]} [options.locations] - User locations for web-grounded sources
+ * @param {import('./budget.js').BudgetConfig} [options.budget] - USD limits for the run and per source
+ * @param {string} [options.date] - Run date (YYYY-MM-DD, default: today)
+ * @param {boolean} [options.force=false] - Run every query regardless of its cadence
+ * @param {Map<string, string>} [options.termIds] - Term id per promptKey(), from reconcilePrompts()
+ * @param {import('./competitors.js').Competitor[]} [options.competitors] - Registry for share of voice
+ *   (default: competitors.js)
+ * @param {boolean} [options.scoreListRank=false] - Score DS's list rank instead of its position
+ *   when DS is in a list
+ * @param {import('./profiles.js').OwnedUrl[]} [options.ownedUrls=[]] - URL prefixes owned by DS
+ *   beyond those in profiles.js
  * @returns {Promise<TrackerResults>}
  */
-export async function runTracker(queries, sources) {
+export async function runTracker(allQueries, sources, {
+  rateLimits = {},
+  samples = 1,
+  generation = {},
+  locations = [],
+  budget: budgetConfig = {},
+  date: dateStr = new Date().toISOString().split('T')[0], // e.g. "2026-02-09"
+  force = false,
+  termIds = new Map(),
+  competitors,
+  scoreListRank = false,
+  ownedUrls = [],
+} = {}) {
   const startTime = Date.now();
-  const dateStr = new Date().toISOString().split('T')[0]; // e.g. "2026-02-09"
+  const { due: queries, notDue } = selectDueQueries(allQueries, dateStr, { force });
   const perSource = {};
   const allRows = [];
+  const allResponses = [];
 
   let totalSuccess = 0;
   let totalFail = 0;
+  let totalRetries = 0;
   let totalTokens = 0;
   let totalCost = 0;
 
   for (const source of sources) {
-    console.log(`--- ${source.name} (${source.dataSource}) ---`);
+    const limit = resolveRateLimit(source, rateLimits);
+    const rpm = limit.requestsPerMinute ? `${Math.round(limit.requestsPerMinute)} req/min` : 'unlimited';
+    const tpm = limit.tokensPerMinute ? `, ${limit.tokensPerMinute} tokens/min` : '';
+    console.log(`--- ${source.name} (${source.dataSource}) — ${rpm}${tpm} ---`);
+  }
+  if (notDue.length > 0) {
+    console.log(`Not due on ${dateStr}: ${notDue.map((query) => `${query.id} (${query.cadence})`).join(', ')}`);
+  }
+  console.log('');
+
+  const budget = createBudget(budgetConfig);
+  const sourceResults = await Promise.all(sources.map((source) => (
+    trackSource(source, queries, dateStr, {
+      limiter: createRateLimiter(resolveRateLimit(source, rateLimits)),
+      samples,
+      generation,
+      locations,
+      budget,
+      termIds,
+      competitors,
+      scoreListRank,
+      ownedUrls,
+    })
+  )));
 
-    const { sourceResult, rows } = await trackSource(source, queries, dateStr);
+  sources.forEach((source, i) => {
+    const { sourceResult, rows, responses } = sourceResults[i];
 
     perSource[source.name] = sourceResult;
     allRows.push(...rows);
+    allResponses.push(...responses);
     totalSuccess += sourceResult.success;
     totalFail += sourceResult.fail;
+    totalRetries += sourceResult.retries;
     totalTokens += sourceResult.tokens;
     totalCost += sourceResult.cost;
+  });
 
-    console.log(`  Tokens: ${sourceResult.tokens} | Cost: ~$${sourceResult.cost.toFixed(4)} | ${sourceResult.success}/${sourceResult.success + sourceResult.fail} succeeded`);
-    console.log('');
+  console.log('');
+  for (const source of sources) {
+    const sourceResult = perSource[source.name];
+    const skippedNote = sourceResult.skipped > 0 ? ` | ${sourceResult.skipped} skipped (budget)` : '';
+    console.log(`  ${source.name}: Tokens: ${sourceResult.tokens} | Cost: $${sourceResult.cost.toFixed(4)} | ${sourceResult.success}/${sourceResult.success + sourceResult.fail} succeeded${skippedNote}`);
   }
+  console.log('');
 
   const duration = (Date.now() - startTime) / 1000;
 
@@ -220,13 +698,19 @@ export async function runTracker(queries, sources) {
     totalEvents: totalSuccess + totalFail,
     totalSuccess,
     totalFail,
+    totalRetries,
     totalTokens,
     totalCost,
     perSource,
     rows: allRows,
+    responses: allResponses,
     duration,
+    budgetStop: budget.abortReason
+      ?? sources.map((source) => perSource[source.name].stopReason).find(Boolean)
+      ?? null,
+    notDue: notDue.map((query) => query.id),
   };
 }
 
 // Export internals for testing
-export { estimateCost, trackSource, expandQueries };
+export { FIRST_CALL_TOKENS, trackSource, expandQueries };
@@ -1,6 +1,12 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { runTracker, estimateCost, expandQueries } from './orchestrator.js';
+import {
+  runTracker,
+  expandQueries,
+  buildAggregateRow,
+  resolveGenerationParams,
+} from './orchestrator.js';
+import { promptHash, promptKey } from './prompt-log.js';
 
 // ============================================================
 // Helpers: mock sources and queries
@@ -12,6 +18,7 @@ function createMockSource(overrides = {}) {
     referrer: overrides.referrer || 'https://mock.ai',
     rateLimitMs: overrides.rateLimitMs ?? 0, // No delay in tests
     dataSource: overrides.dataSource || 'web',
+    ...(overrides.model && { model: overrides.model }),
     enabled: () => true,
     query: overrides.query || (async () => ({
       content: 'Development Seed offers titiler for dynamic tile serving.',
@@ -57,31 +64,145 @@ describe('expandQueries', () => {
   it('returns empty array for no queries', () => {
     assert.equal(expandQueries([]).length, 0);
   });
+
+  it('appends localized prompts after the English ones, with their own follow-ups', () => {
+    const [query] = createMockQueries(1, 1);
+    query.followUps = ['Which would you recommend?'];
+    query.locales = {
+      es: { searchTerms: ['¿Qué es titiler?'], followUps: ['¿Cuál recomendarías?'] },
+      fr: { searchTerms: ["Qu'est-ce que titiler ?"] },
+    };
+
+    const expanded = expandQueries([query]);
+
+    assert.deepEqual(expanded.map((p) => [p.locale, p.searchTerm, p.followUps]), [
+      ['en', 'What about VEDA Dashboard term 0?', ['Which would you recommend?']],
+      ['es', '¿Qué es titiler?', ['¿Cuál recomendarías?']],
+      ['fr', "Qu'est-ce que titiler ?", []],
+    ]);
+  });
 });
 
 // ============================================================
-// estimateCost — unit tests
+// resolveGenerationParams — unit tests
 // ============================================================
 
-describe('estimateCost', () => {
-  it('calculates Perplexity cost at $1/1M tokens', () => {
-    const cost = estimateCost('Perplexity', 1_000_000);
-    assert.equal(cost, 1);
+describe('resolveGenerationParams', () => {
+  it('returns no parameters when neither the query nor the defaults set any', () => {
+    assert.deepEqual(resolveGenerationParams({ id: 'q' }), {});
   });
 
-  it('calculates ChatGPT cost at $7.5/1M tokens', () => {
-    const cost = estimateCost('ChatGPT', 1_000_000);
-    assert.equal(cost, 7.5);
+  it('lets query fields win over run-wide defaults, field by field', () => {
+    const params = resolveGenerationParams(
+      { id: 'q', temperature: 0, maxTokens: 300 },
+      { systemPrompt: 'Be brief.', temperature: 0.7 },
+    );
+    assert.deepEqual(params, { systemPrompt: 'Be brief.', temperature: 0, maxTokens: 300 });
   });
+});
+
+// ============================================================
+// buildAggregateRow — unit tests
+// ============================================================
+
+describe('buildAggregateRow', () => {
+  function sampleRow(sample, score, mentioned, overrides = {}) {
+    return {
+      response_id: `r-${sample}`,
+      date: '2026-02-09',
+      source: 'Mock',
+      query_name: 'titiler',
+      query_id: 'titiler',
+      category: 'product',
+      search_term: 'What is titiler?',
+      prominence_score: score,
+      mentioned,
+      recommended: false,
+      position: mentioned ? 1 : 0,
+      citation_count: 0,
+      data_source: 'web',
+      ds_pages: '',
+      tokens: 100,
+      attempts: 1,
+      sample,
+      model: 'gpt-4o',
+      cost: 0.002,
+      pricing_version: '2025-01',
+      ...overrides,
+    };
+  }
+
+  it('computes mention rate, mean and sample standard deviation', () => {
+    const aggregate = buildAggregateRow([
+      sampleRow(1, 60, true),
+      sampleRow(2, 0, false),
+      sampleRow(3, 30, true),
+      sampleRow(4, 30, true),
+    ]);
 
-  it('returns small cost for typical daily usage', () => {
-    const cost = estimateCost('Perplexity', 2500);
-    assert.ok(cost < 0.01, `Expected < $0.01, got $${cost}`);
+    assert.equal(aggregate.sample, 'aggregate');
+    assert.equal(aggregate.sample_count, 4);
+    assert.equal(aggregate.mention_rate, 0.75);
+    assert.equal(aggregate.score_mean, 30);
+    assert.equal(aggregate.score_stddev, 24.49); // sqrt(1800 / 3)
+    assert.equal(aggregate.prominence_score, 30);
+    assert.equal(aggregate.mentioned, true);
   });
 
-  it('falls back to $1/1M for unknown source', () => {
-    const cost = estimateCost('Unknown', 1_000_000);
-    assert.equal(cost, 1);
+  it('carries prompt metadata but no usage, so totals are not double counted', () => {
+    const aggregate = buildAggregateRow([sampleRow(1, 30, true), sampleRow(2, 30, true)]);
+    assert.equal(aggregate.query_id, 'titiler');
+    assert.equal(aggregate.search_term, 'What is titiler?');
+    assert.equal(aggregate.response_id, '');
+    assert.equal(aggregate.tokens, 0);
+    assert.equal(aggregate.attempts, 0);
+    assert.equal(aggregate.cost, 0);
+    assert.equal(aggregate.model, 'gpt-4o');
+  });
+
+  it('averages share of voice and leaves the per-entity columns empty', () => {
+    const aggregate = buildAggregateRow([
+      sampleRow(1, 30, true, { sov_mentions: 0.5, sov_citations: 0, ds_rank: 2, entity_mentions: 'esri:1 | development-seed:1' }),
+      sampleRow(2, 30, true, { sov_mentions: 1, sov_citations: 1, ds_rank: 1, entity_mentions: 'development-seed:2' }),
+    ]);
+    assert.equal(aggregate.sov_mentions, 0.75);
+    assert.equal(aggregate.sov_citations, 0.5);
+    assert.equal(aggregate.ds_rank, '');
+    assert.equal(aggregate.entity_mentions, '');
+    assert.equal(aggregate.ds_sentiment, '');
+    assert.equal(aggregate.ds_page_types, '');
+    assert.equal(aggregate.ds_inline_links, '');
+  });
+
+  it('keeps the term id and hash of the prompt', () => {
+    const aggregate = buildAggregateRow([
+      sampleRow(1, 30, true, { term_id: 'titiler:en:1', term_hash: 'abc123def456' }),
+      sampleRow(2, 30, true, { term_id: 'titiler:en:1', term_hash: 'abc123def456' }),
+    ]);
+    assert.equal(aggregate.term_id, 'titiler:en:1');
+    assert.equal(aggregate.term_hash, 'abc123def456');
+  });
+
+  it('unions DS pages across samples', () => {
+    const aggregate = buildAggregateRow([
+      sampleRow(1, 30, true, { ds_pages: 'https://developmentseed.org/a' }),
+      sampleRow(2, 30, true, { ds_pages: 'https://developmentseed.org/a | https://developmentseed.org/b' }),
+    ]);
+    assert.equal(aggregate.ds_pages, 'https://developmentseed.org/a | https://developmentseed.org/b');
+  });
+
+  it('unions DS products across samples', () => {
+    const aggregate = buildAggregateRow([
+      sampleRow(1, 30, true, { ds_products_mentioned: 'lonboard', ds_products_cited: '' }),
+      sampleRow(2, 30, true, { ds_products_mentioned: 'titiler | lonboard', ds_products_cited: 'titiler' }),
+    ]);
+    assert.equal(aggregate.ds_products_mentioned, 'lonboard | titiler');
+    assert.equal(aggregate.ds_products_cited, 'titiler');
+  });
+
+  it('reports zero deviation for a single sample', () => {
+    const aggregate = buildAggregateRow([sampleRow(1, 45, true)]);
+    assert.equal(aggregate.score_stddev, 0);
   });
 });
 
@@ -142,6 +263,58 @@ describe('runTracker', () => {
     assert.equal(typeof results.rows[0].prominence_score, 'number');
     assert.equal(typeof results.rows[0].mentioned, 'boolean');
     assert.equal(typeof results.rows[0].tokens, 'number');
+    assert.equal(results.rows[0].attempts, 1);
+  });
+
+  it('returns one archive record per row, joined by response_id', async () => {
+    const queries = createMockQueries(2, 1);
+    const source = createMockSource({ name: 'TestSource' });
+
+    const results = await runTracker(queries, [source]);
+
+    assert.equal(results.responses.length, results.rows.length);
+    results.rows.forEach((row, i) => {
+      const record = results.responses[i];
+      assert.ok(row.response_id, 'row should have a response_id');
+      assert.equal(record.response_id, row.response_id);
+      assert.equal(record.date, row.date);
+      assert.equal(record.source, 'TestSource');
+      assert.equal(record.query_id, row.query_id);
+      assert.equal(record.search_term, row.search_term);
+      assert.equal(record.content, 'Development Seed offers titiler for dynamic tile serving.');
+      assert.deepEqual(record.citations, ['https://developmentseed.org/blog/titiler-v2']);
+      assert.equal(record.usage.totalTokens, 250);
+    });
+    assert.notEqual(results.rows[0].response_id, results.rows[1].response_id);
+  });
+
+  it('records attempts and counts retries from the shared HTTP client', async () => {
+    const queries = createMockQueries(2, 1);
+    let calls = 0;
+    const source = createMockSource({
+      name: 'RetrySource',
+      query: async () => {
+        calls++;
+        if (calls === 2) {
+          const error = new Error('HTTP 503');
+          error.attempts = 4;
+          throw error;
+        }
+        return {
+          content: 'Development Seed',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+          attempts: 3,
+        };
+      },
+    });
+
+    const results = await runTracker(queries, [source]);
+
+    assert.equal(results.rows[0].attempts, 3);
+    assert.equal(results.perSource['RetrySource'].retries, 2 + 3);
+    assert.equal(results.totalRetries, 5);
   });
 
   it('isolates errors: one source failure does not block others', async () => {
@@ -193,6 +366,455 @@ describe('runTracker', () => {
     assert.equal(results.rows.length, 2);
   });
 
+  it('runs sources concurrently', async () => {
+    const queries = createMockQueries(1, 1);
+    let active = 0;
+    let maxActive = 0;
+    const slowQuery = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      active--;
+      return {
+        content: 'Response',
+        citations: [],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      };
+    };
+
+    await runTracker(queries, [
+      createMockSource({ name: 'A', query: slowQuery }),
+      createMockSource({ name: 'B', query: slowQuery }),
+      createMockSource({ name: 'C', query: slowQuery }),
+    ]);
+
+    assert.equal(maxActive, 3);
+  });
+
+  it('keeps row order deterministic: by source order, then prompt order', async () => {
+    const queries = createMockQueries(2, 1);
+    const respondAfter = (ms) => async () => {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      return {
+        content: 'Response',
+        citations: [],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      };
+    };
+
+    // Slow finishes last but comes first in the sources list
+    const results = await runTracker(queries, [
+      createMockSource({ name: 'Slow', query: respondAfter(30) }),
+      createMockSource({ name: 'Fast', query: respondAfter(0) }),
+    ]);
+
+    assert.deepEqual(
+      results.rows.map((r) => `${r.source}:${r.query_id}`),
+      ['Slow:query-0', 'Slow:query-1', 'Fast:query-0', 'Fast:query-1'],
+    );
+    assert.deepEqual(Object.keys(results.perSource), ['Slow', 'Fast']);
+    assert.equal(results.perSource['Slow'].success, 2);
+    assert.equal(results.perSource['Fast'].success, 2);
+  });
+
+  it('paces each source with its own rate limit override', async () => {
+    const queries = createMockQueries(3, 1);
+    const source = createMockSource({ name: 'Paced' });
+
+    const startedAt = Date.now();
+    await runTracker(queries, [source], { rateLimits: { Paced: { requestsPerMinute: 1200 } } });
+    const elapsed = Date.now() - startedAt;
+
+    // 1200/min = one call per 50ms; the first is free, so >= ~100ms for 3 calls
+    assert.ok(elapsed >= 90, `Expected >= 90ms, got ${elapsed}ms`);
+  });
+
+  it('runs only the queries whose cadence is due on the run date', async () => {
+    const [daily, weekly, monthly] = createMockQueries(3, 1);
+    const queries = [daily, { ...weekly, cadence: 'weekly:monday' }, { ...monthly, cadence: 'monthly' }];
+    const source = createMockSource({ name: 'TestSource' });
+
+    // 2026-03-02 is a Monday
+    const monday = await runTracker(queries, [source], { date: '2026-03-02' });
+    assert.deepEqual(monday.rows.map((r) => r.query_id), ['query-0', 'query-1']);
+    assert.deepEqual(monday.notDue, ['query-2']);
+    assert.equal(monday.rows[0].date, '2026-03-02');
+
+    const first = await runTracker(queries, [source], { date: '2026-03-01' });
+    assert.deepEqual(first.rows.map((r) => r.query_id), ['query-0', 'query-2']);
+    assert.deepEqual(first.notDue, ['query-1']);
+  });
+
+  it('runs every query with force, whatever the cadence', async () => {
+    const queries = createMockQueries(2, 1).map((query) => ({ ...query, cadence: 'weekly:sunday' }));
+    const source = createMockSource({ name: 'TestSource' });
+
+    const results = await runTracker(queries, [source], { date: '2026-03-02', force: true });
+    assert.equal(results.totalSuccess, 2);
+    assert.deepEqual(results.notDue, []);
+  });
+
+  it('stores one row per sample plus an aggregate row when sampling', async () => {
+    const queries = createMockQueries(2, 1);
+    let calls = 0;
+    const source = createMockSource({
+      name: 'Sampled',
+      query: async () => {
+        calls++;
+        return {
+          content: calls % 2 === 1 ? 'Development Seed' : 'Nothing relevant',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+        };
+      },
+    });
+
+    const results = await runTracker(queries, [source], { samples: 3 });
+
+    assert.equal(calls, 6);
+    assert.equal(results.totalEvents, 6);
+    assert.equal(results.responses.length, 6);
+    assert.equal(results.rows.length, 8); // (3 samples + 1 aggregate) × 2 prompts
+    assert.deepEqual(results.rows.slice(0, 4).map((r) => r.sample), [1, 2, 3, 'aggregate']);
+    const aggregate = results.rows[3];
+    assert.equal(aggregate.query_id, 'query-0');
+    assert.equal(aggregate.sample_count, 3);
+    assert.equal(aggregate.mention_rate, 0.67);
+    assert.deepEqual(results.responses.slice(0, 3).map((r) => r.sample), [1, 2, 3]);
+  });
+
+  it('passes generation parameters to the source and records them per row', async () => {
+    const queries = createMockQueries(2, 1);
+    queries[1].systemPrompt = 'You are a GIS analyst.';
+    queries[1].maxTokens = 400;
+    const received = [];
+    const source = createMockSource({
+      name: 'Params',
+      query: async (searchTerm, params) => {
+        received.push(params);
+        return {
+          content: 'Development Seed',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+        };
+      },
+    });
+
+    const results = await runTracker(queries, [source], { generation: { temperature: 0.3 } });
+
+    assert.deepEqual(received, [
+      { temperature: 0.3 },
+      { systemPrompt: 'You are a GIS analyst.', temperature: 0.3, maxTokens: 400 },
+    ]);
+    assert.equal(results.rows[0].system_prompt, '');
+    assert.equal(results.rows[0].temperature, 0.3);
+    assert.equal(results.rows[0].max_tokens, '');
+    assert.equal(results.rows[1].system_prompt, 'You are a GIS analyst.');
+    assert.equal(results.rows[1].max_tokens, 400);
+    assert.deepEqual(results.responses[1].params, received[1]);
+  });
+
+  it('records the parameters a source sends by default', async () => {
+    const queries = createMockQueries(2, 1);
+    queries[1].maxTokens = 400;
+    const received = [];
+    const source = createMockSource({
+      name: 'Defaults',
+      query: async (searchTerm, params) => {
+        received.push(params);
+        return { content: '', citations: [], searchResults: [], usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+      },
+    });
+    source.defaultParams = { maxTokens: 1024 };
+
+    const results = await runTracker(queries, [source]);
+
+    assert.deepEqual(received, [{}, { maxTokens: 400 }], 'the source applies its own defaults');
+    assert.deepEqual(results.rows.map((r) => r.max_tokens), [1024, 400]);
+    assert.deepEqual(results.responses[0].params, { maxTokens: 1024 });
+  });
+
+  it('runs follow-ups as a conversation and stores one row per turn', async () => {
+    const queries = createMockQueries(1, 1);
+    queries[0].followUps = ['Which of those would you recommend?', 'Any alternatives?'];
+    const calls = [];
+    const source = createMockSource({
+      name: 'Chat',
+      query: async (prompt, params, history) => {
+        calls.push({ prompt, history });
+        return {
+          content: calls.length === 2 ? 'I recommend titiler by Development Seed.' : `Answer ${calls.length}`,
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+        };
+      },
+    });
+
+    const results = await runTracker(queries, [source]);
+
+    assert.equal(calls.length, 3);
+    assert.deepEqual(calls[0].history, []);
+    assert.deepEqual(calls[2].history, [
+      { role: 'user', content: 'What about VEDA Dashboard term 0?' },
+      { role: 'assistant', content: 'Answer 1' },
+      { role: 'user', content: 'Which of those would you recommend?' },
+      { role: 'assistant', content: 'I recommend titiler by Development Seed.' },
+    ]);
+
+    assert.equal(results.rows.length, 3);
+    assert.deepEqual(results.rows.map((r) => r.turn), [1, 2, 3]);
+    assert.deepEqual(results.rows.map((r) => r.mentioned), [false, true, false]);
+    assert.equal(results.rows[1].turn_prompt, 'Which of those would you recommend?');
+    assert.equal(results.rows[1].search_term, 'What about VEDA Dashboard term 0?');
+    const [conversationId] = new Set(results.rows.map((r) => r.conversation_id));
+    assert.ok(conversationId);
+    assert.ok(results.rows.every((r) => r.conversation_id === conversationId));
+  });
+
+  it('skips the rest of a conversation when a turn fails', async () => {
+    const queries = createMockQueries(2, 1);
+    queries[0].followUps = ['Follow-up one?', 'Follow-up two?'];
+    let calls = 0;
+    const source = createMockSource({
+      name: 'Broken',
+      query: async () => {
+        calls++;
+        if (calls === 2) throw new Error('boom');
+        return {
+          content: 'Development Seed',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+        };
+      },
+    });
+
+    const results = await runTracker(queries, [source]);
+
+    assert.equal(calls, 3, 'turn 3 of query 0 is skipped, query 1 still runs');
+    assert.equal(results.perSource['Broken'].fail, 1);
+    assert.deepEqual(results.rows.map((r) => [r.query_id, r.turn]), [['query-0', 1], ['query-1', 1]]);
+  });
+
+  it('aggregates sampled conversations per turn', async () => {
+    const queries = createMockQueries(1, 1);
+    queries[0].followUps = ['Which would you recommend?'];
+    const source = createMockSource({ name: 'SampledChat' });
+
+    const results = await runTracker(queries, [source], { samples: 2 });
+
+    assert.deepEqual(
+      results.rows.map((r) => [r.sample, r.turn]),
+      [[1, 1], [1, 2], [2, 1], [2, 2], ['aggregate', 1], ['aggregate', 2]],
+    );
+    assert.notEqual(results.rows[0].conversation_id, results.rows[2].conversation_id);
+    assert.equal(results.rows[5].turn_prompt, 'Which would you recommend?');
+    assert.equal(results.rows[5].sample_count, 2);
+  });
+
+  it('tags rows with the prompt locale and uses its recommendation lexicon', async () => {
+    const [query] = createMockQueries(1, 1);
+    query.locales = { es: { searchTerms: ['¿Qué herramientas de teselas recomiendas?'] } };
+    const source = createMockSource({
+      name: 'Multilingual',
+      query: async () => ({
+        content: 'Development Seed mantiene titiler, la mejor opción para COGs.',
+        citations: [],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const results = await runTracker([query], [source]);
+
+    assert.deepEqual(results.rows.map((r) => r.locale), ['en', 'es']);
+    assert.deepEqual(results.rows.map((r) => r.recommended), [false, true]);
+    assert.equal(results.responses[1].locale, 'es');
+  });
+
+  it('runs each prompt once per location on location-aware sources only', async () => {
+    const queries = createMockQueries(1, 1);
+    const locations = [{ id: 'us', country: 'US' }, { id: 'de', country: 'DE' }];
+    const received = [];
+    const web = createMockSource({
+      name: 'Web',
+      query: async (prompt, params, history, location) => {
+        received.push(location);
+        return {
+          content: 'Development Seed',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+        };
+      },
+    });
+    web.supportsLocation = true;
+    const training = createMockSource({ name: 'Training', dataSource: 'training' });
+
+    const results = await runTracker(queries, [web, training], { locations });
+
+    assert.deepEqual(received, locations);
+    assert.deepEqual(results.rows.map((r) => [r.source, r.location]), [['Web', 'us'], ['Web', 'de'], ['Training', '']]);
+    assert.deepEqual(results.responses[1].location, locations[1]);
+  });
+
+  it('skips locations without the fields a source requires', async () => {
+    const queries = createMockQueries(1, 1);
+    const locations = [{ id: 'us', country: 'US' }, { id: 'de', country: 'DE', latitude: 52.52, longitude: 13.405 }];
+    const received = [];
+    const source = createMockSource({
+      name: 'Coordinates',
+      query: async (prompt, params, history, location) => {
+        received.push(location);
+        return { content: '', citations: [], searchResults: [], usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+      },
+    });
+    source.supportsLocation = true;
+    source.requiredLocationFields = ['latitude', 'longitude'];
+
+    const results = await runTracker(queries, [source], { locations });
+    assert.deepEqual(received, [locations[1]]);
+    assert.deepEqual(results.rows.map((r) => r.location), ['de']);
+
+    received.length = 0;
+    const unlocated = await runTracker(queries, [source], { locations: [locations[0]] });
+    assert.deepEqual(received, [undefined]);
+    assert.deepEqual(unlocated.rows.map((r) => r.location), ['']);
+  });
+
+  it('aggregates samples per location', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({ name: 'SampledWeb' });
+    source.supportsLocation = true;
+
+    const results = await runTracker(queries, [source], {
+      samples: 2,
+      locations: [{ id: 'us', country: 'US' }, { id: 'de', country: 'DE' }],
+    });
+
+    assert.deepEqual(
+      results.rows.map((r) => [r.location, r.sample]),
+      [['us', 1], ['us', 2], ['us', 'aggregate'], ['de', 1], ['de', 2], ['de', 'aggregate']],
+    );
+  });
+
+  it('stops a source before it crosses its budget and keeps the rows so far', async () => {
+    const queries = createMockQueries(8, 1);
+    // Each mock call uses 50 + 200 tokens: $0.0013 at Mistral Large's rates.
+    // The first call is projected at 1000 output tokens ($0.006), later ones
+    // at the average cost so far.
+    const mistral = createMockSource({ name: 'Mistral', model: 'mistral-large-latest' });
+    const claude = createMockSource({ name: 'Claude' });
+
+    const results = await runTracker(queries, [mistral, claude], {
+      budget: { perSource: { Mistral: 0.009 } },
+    });
+
+    assert.equal(results.perSource['Mistral'].success, 6);
+    assert.equal(results.perSource['Mistral'].skipped, 2);
+    assert.match(results.perSource['Mistral'].stopReason, /Mistral budget/);
+    assert.equal(results.perSource['Claude'].success, 8, 'skip mode stops only the source over budget');
+    assert.equal(results.rows.filter((r) => r.source === 'Mistral').length, 6);
+    assert.match(results.budgetStop, /Mistral budget/);
+  });
+
+  it('counts only the calls a budget stop kept from being sent as skipped', async () => {
+    const queries = createMockQueries(9, 1);
+    queries[0].followUps = ['Follow-up one?', 'Follow-up two?'];
+    let calls = 0;
+    const source = createMockSource({
+      name: 'Mistral',
+      model: 'mistral-large-latest',
+      query: async () => {
+        calls++;
+        if (calls === 1) throw new Error('boom');
+        return {
+          content: 'Development Seed',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 50, completionTokens: 200, totalTokens: 250 },
+        };
+      },
+    });
+
+    // The failed first turn costs nothing and drops its two follow-ups; the
+    // budget then allows six of the eight single-turn queries, as above
+    const results = await runTracker(queries, [source], {
+      budget: { perSource: { Mistral: 0.009 } },
+    });
+
+    assert.equal(results.perSource['Mistral'].fail, 1);
+    assert.equal(results.perSource['Mistral'].success, 6);
+    assert.match(results.perSource['Mistral'].stopReason, /Mistral budget/);
+    assert.equal(results.perSource['Mistral'].skipped, 2, 'the dropped follow-ups are not budget skips');
+  });
+
+  it('aborts every source once the run budget would be crossed in abort mode', async () => {
+    const queries = createMockQueries(5, 1);
+    const sources = [
+      createMockSource({ name: 'ChatGPT', model: 'mistral-large-latest' }),
+      createMockSource({ name: 'Claude', model: 'mistral-large-latest' }),
+    ];
+
+    const results = await runTracker(queries, sources, {
+      budget: { runUsd: 0.004, action: 'abort' },
+    });
+
+    assert.ok(results.totalSuccess < 10);
+    assert.match(results.budgetStop, /run budget of \$0\.0040/);
+    for (const name of ['ChatGPT', 'Claude']) {
+      assert.equal(results.perSource[name].stopReason, results.budgetStop);
+      assert.equal(results.perSource[name].success + results.perSource[name].skipped, 5);
+    }
+  });
+
+  it('reports no budget stop when the run stays within budget', async () => {
+    const results = await runTracker(createMockQueries(2, 1), [createMockSource()], {
+      budget: { runUsd: 100 },
+    });
+    assert.equal(results.budgetStop, null);
+    assert.equal(results.perSource['MockLLM'].skipped, 0);
+  });
+
+  it('lets a query override the global sample count', async () => {
+    const queries = createMockQueries(2, 1);
+    queries[1].samples = 2;
+    const source = createMockSource({ name: 'Mixed' });
+
+    const results = await runTracker(queries, [source]);
+
+    assert.deepEqual(results.rows.map((r) => r.sample), [1, 1, 2, 'aggregate']);
+  });
+
+  it('aggregates only the samples that succeeded', async () => {
+    const queries = createMockQueries(1, 1);
+    let calls = 0;
+    const source = createMockSource({
+      name: 'Flaky',
+      query: async () => {
+        calls++;
+        if (calls === 2) throw new Error('boom');
+        return {
+          content: 'Development Seed',
+          citations: [],
+          searchResults: [],
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+        };
+      },
+    });
+
+    const results = await runTracker(queries, [source], { samples: 3 });
+
+    assert.equal(results.perSource['Flaky'].fail, 1);
+    assert.deepEqual(results.rows.map((r) => r.sample), [1, 3, 'aggregate']);
+    assert.equal(results.rows[2].sample_count, 2);
+  });
+
   it('handles empty sources array gracefully', async () => {
     const queries = createMockQueries(2, 2);
 
@@ -218,6 +840,7 @@ describe('runTracker', () => {
 
     const source1 = createMockSource({
       name: 'Perplexity',
+      model: 'sonar',
       query: async () => ({
         content: 'Response 1',
         citations: [],
@@ -228,22 +851,178 @@ describe('runTracker', () => {
 
     const source2 = createMockSource({
       name: 'ChatGPT',
+      model: 'gpt-4o',
       query: async () => ({
         content: 'Response 2',
         citations: [],
         searchResults: [],
-        usage: { promptTokens: 100, completionTokens: 300, totalTokens: 400 },
+        usage: { promptTokens: 100, completionTokens: 300, totalTokens: 400, searches: 1 },
       }),
     });
 
     const results = await runTracker(queries, [source1, source2]);
 
     assert.equal(results.totalTokens, 650);
-    assert.ok(results.totalCost > 0);
+    // sonar: 250 tokens at $1/1M + $0.005 request fee; gpt-4o: $0.00325 + one $0.01 search
+    assert.deepEqual(results.rows.map((r) => [r.model, r.cost]), [['sonar', 0.00525], ['gpt-4o', 0.01325]]);
+    assert.equal(results.perSource['ChatGPT'].cost, 0.01325);
+    assert.ok(Math.abs(results.totalCost - 0.0185) < 1e-9);
+    assert.equal(results.rows[0].pricing_version, '2025-01');
     assert.equal(results.perSource['Perplexity'].tokens, 250);
     assert.equal(results.perSource['ChatGPT'].tokens, 400);
   });
 
+  it('tags rows with the prompt hash and the term id from the change log', async () => {
+    const [query] = createMockQueries(1, 2);
+    query.followUps = ['Which would you recommend?'];
+    const source = createMockSource({ name: 'TestSource' });
+    const [first, second] = query.searchTerms.map((term) => promptHash(term, query.followUps));
+    const termIds = new Map([[promptKey(query.id, 'en', first), 'query-0:en:1']]);
+
+    const results = await runTracker([query], [source], { termIds });
+
+    assert.deepEqual(results.rows.map((r) => [r.turn, r.term_id, r.term_hash]), [
+      [1, 'query-0:en:1', first],
+      [2, 'query-0:en:1', first],
+      [1, '', second],
+      [2, '', second],
+    ]);
+    assert.equal(results.responses[0].term_id, 'query-0:en:1');
+  });
+
+  it('stores share of voice against the competitor registry given', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({
+      name: 'TestSource',
+      query: async () => ({
+        content: 'Acme leads; Development Seed and Acme follow.',
+        citations: ['https://acme.com/a', 'https://developmentseed.org/b', 'https://acme.com/c'],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const results = await runTracker(queries, [source], {
+      competitors: [{ id: 'acme', name: 'Acme', aliases: ['acme'], domains: ['acme.com'] }],
+    });
+
+    const [row] = results.rows;
+    assert.equal(row.entity_mentions, 'acme:2 | development-seed:1');
+    assert.equal(row.entity_citations, 'acme:2 | development-seed:1');
+    assert.equal(row.ds_rank, 2);
+    assert.equal(row.sov_mentions, 0.33);
+    assert.equal(row.sov_citations, 0.33);
+  });
+
+  it('stores the DS products mentioned and cited', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({
+      name: 'TestSource',
+      query: async () => ({
+        content: 'Try eoAPI, which bundles TiTiler.',
+        citations: ['https://github.com/developmentseed/titiler'],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const results = await runTracker(queries, [source]);
+
+    const [row] = results.rows;
+    assert.equal(row.ds_products_mentioned, 'eoapi | titiler');
+    assert.equal(row.ds_products_cited, 'titiler');
+    assert.equal(row.ds_pages, 'https://github.com/developmentseed/titiler');
+    assert.equal(row.ds_mention_spans, 'eoapi:4-9 | titiler:25-32');
+    assert.equal(row.recommendation_trigger, '');
+    assert.equal(row.recommendation_offset, '');
+  });
+
+  it('stores the phrase that set recommended, and its offset', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({
+      name: 'TestSource',
+      query: async () => ({
+        content: 'GDAL is common. TiTiler is Widely Used for tiles.',
+        citations: [],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const results = await runTracker(queries, [source]);
+
+    const [row] = results.rows;
+    assert.equal(row.recommended, true);
+    assert.equal(row.recommendation_trigger, 'Widely Used');
+    assert.equal(row.recommendation_offset, 27);
+  });
+
+  it('stores list ranks, and scores them only when asked', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({
+      name: 'TestSource',
+      query: async () => ({
+        content: `Tile servers:\n\n1. MapServer\n2. TiTiler\n3. Mapbox\n\n${'More details follow. '.repeat(5)}`,
+        citations: [],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const plain = await runTracker(queries, [source]);
+    const ranked = await runTracker(queries, [source], { scoreListRank: true });
+
+    const [row] = plain.rows;
+    assert.equal(row.ds_list_rank, 2);
+    assert.equal(row.ds_list_length, 3);
+    assert.equal(row.entity_list_ranks, 'development-seed:2/3 | mapbox:3/3');
+    assert.equal(row.prominence_score, 45);
+    assert.equal(ranked.rows[0].prominence_score, 40);
+  });
+
+  it('stores the sentiment of DS and its evidence', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({
+      name: 'TestSource',
+      query: async () => ({
+        content: 'cogeo-mosaic is Deprecated and not easy to use. Mapbox is popular.',
+        citations: [],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const results = await runTracker(queries, [source]);
+
+    const [row] = results.rows;
+    assert.equal(row.ds_sentiment, 'negative');
+    assert.equal(row.ds_sentiment_evidence, '-Deprecated | -not easy to use');
+    assert.equal(row.entity_sentiments, 'development-seed:negative | mapbox:positive');
+  });
+
+  it('labels DS pages by type, including links in the response text', async () => {
+    const queries = createMockQueries(1, 1);
+    const source = createMockSource({
+      name: 'TestSource',
+      query: async () => ({
+        content: 'Install [TiTiler](https://pypi.org/project/titiler/) or read https://titiler.xyz/docs.',
+        citations: ['https://developmentseed.org/blog/x', 'https://github.com/developmentseed/titiler'],
+        searchResults: [],
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      }),
+    });
+
+    const plain = await runTracker(queries, [source]);
+    const owned = await runTracker(queries, [source], { ownedUrls: [{ url: 'titiler.xyz', type: 'docs', product: 'titiler' }] });
+
+    assert.equal(plain.rows[0].citation_count, 3);
+    assert.equal(plain.rows[0].ds_page_types, 'website:1 | repo:1 | package:1');
+    assert.equal(plain.rows[0].ds_inline_links, 1);
+    assert.equal(owned.rows[0].citation_count, 4);
+    assert.equal(owned.rows[0].ds_page_types, 'website:1 | repo:1 | package:1 | docs:1');
+    assert.equal(owned.rows[0].ds_inline_links, 2);
+  });
+
   it('records duration', async () => {
     const queries = createMockQueries(1, 1);
     const source = createMockSource({ name: 'Fast' });
@@ -0,0 +1,223 @@
+/**
+ * Dry-Run Planning
+ *
+ * Forecasts a run before it is started: how many calls each source will
+ * make, how long its rate limit makes that take, and what it will cost.
+ * Token and cost averages come from the rows of earlier runs. Makes no
+ * API calls and has no side effects — the caller reads results.csv and
+ * prints the plan.
+ *
+ * @module plan
+ */
+
+import { expandQueries, countPlannedCalls, FIRST_CALL_TOKENS } from './orchestrator.js';
+import { resolveRateLimit } from './rate-limiter.js';
+import { projectCallCost } from './pricing.js';
+import { DEFAULT_LOCALE } from './analysis.js';
+import { selectDueQueries } from './cadence.js';
+
+/**
+ * @typedef {Object} SourceHistory
+ * @property {number} calls - Stored per-call rows of the source
+ * @property {number} tokensPerCall - Mean `tokens` per call
+ * @property {number|null} costPerCall - Mean `cost` per call over rows that have one, or null
+ */
+
+/**
+ * @typedef {Object} SourcePlan
+ * @property {string} name - Source name
+ * @property {string} model - Model the source calls ('' if undeclared)
+ * @property {number} calls - API calls the run will make
+ * @property {number} durationSec - Time the rate limit needs for those calls (excludes response time)
+ * @property {number} tokensPerCall - Expected tokens per call
+ * @property {number} tokens - Expected tokens for the run
+ * @property {number} cost - Expected USD cost for the run
+ * @property {'cost'|'tokens'|'default'} basis - What the forecast is based on:
+ *   historical cost per call, historical tokens priced now, or no history
+ */
+
+/**
+ * @typedef {Object} RunPlan
+ * @property {Array<{query: Object, searchTerm: string, locale: string, followUps: string[]}>} prompts - Expanded prompts
+ * @property {Array} notDue - Queries left out because their cadence is not due on the run date
+ * @property {SourcePlan[]} sources - One plan per source, in run order
+ * @property {number} calls - Total API calls
+ * @property {number} tokens - Total expected tokens
+ * @property {number} cost - Total expected USD cost
+ * @property {number} durationSec - Expected duration (sources run concurrently, so the slowest one)
+ */
+
+/**
+ * Average tokens and cost per call for each source, from stored CSV rows.
+ * Aggregate rows carry no usage and are skipped.
+ *
+ * @param {Object<string, string>[]} rows - Rows read from results.csv
+ * @returns {Object<string, SourceHistory>} Keyed by source name
+ */
+export function historicalAverages(rows) {
+  const totals = {};
+  for (const row of rows) {
+    if (row.sample === 'aggregate' || row.tokens === '' || row.tokens === undefined) continue;
+    const total = totals[row.source] ??= { calls: 0, tokens: 0, pricedCalls: 0, cost: 0 };
+    total.calls++;
+    total.tokens += Number(row.tokens);
+    if (row.cost !== undefined && row.cost !== '') {
+      total.pricedCalls++;
+      total.cost += Number(row.cost);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([source, total]) => [source, {
+    calls: total.calls,
+    tokensPerCall: total.tokens / total.calls,
+    costPerCall: total.pricedCalls > 0 ? total.cost / total.pricedCalls : null,
+  }]));
+}
+
+/**
+ * Seconds a rate limit needs to let `calls` calls of `tokensPerCall`
+ * tokens through. Both buckets start full, so the first burst is free.
+ *
+ * @param {import('./rate-limiter.js').RateLimit} limit
+ * @param {number} calls
+ * @param {number} tokensPerCall
+ * @returns {number}
+ */
+function rateLimitedSeconds({ requestsPerMinute, tokensPerMinute, burst = 1 }, calls, tokensPerCall) {
+  const byRequests = requestsPerMinute > 0 ? Math.max(0, calls - burst) * 60 / requestsPerMinute : 0;
+  const byTokens = tokensPerMinute > 0
+    ? Math.max(0, calls * tokensPerCall - tokensPerMinute) * 60 / tokensPerMinute
+    : 0;
+  return Math.max(byRequests, byTokens);
+}
+
+/**
+ * Plan a run of the given queries on the given sources.
+ *
+ * A source's cost per call is its historical mean `cost` when its rows
+ * are priced; otherwise its historical mean tokens priced with today's
+ * table, all at the output rate plus one search (an upper bound). A
+ * source with no history is assumed to use FIRST_CALL_TOKENS per call.
+ *
+ * Like a run, the plan only covers queries whose cadence is due on `date`,
+ * unless `force` is set.
+ *
+ * @param {Array} allQueries - Queries to process
+ * @param {Array} sources - Sources that would run
+ * @param {Object} [options]
+ * @param {number} [options.samples=1] - Samples per prompt for queries that do not set their own
+ * @param {import('./config.js').UserLocation[]} [options.locations] - User locations for web-grounded sources
+ * @param {Object<string, import('./rate-limiter.js').RateLimit>} [options.rateLimits] - Per-source overrides
+ * @param {Object<string, SourceHistory>} [options.history] - From historicalAverages()
+ * @param {string} [options.date] - Run date used for cadence and pricing (default: today)
+ * @param {boolean} [options.force=false] - Plan every query regardless of its cadence
+ * @returns {RunPlan}
+ */
+export function buildPlan(allQueries, sources, {
+  samples = 1,
+  locations = [],
+  rateLimits = {},
+  history = {},
+  date = new Date().toISOString().split('T')[0],
+  force = false,
+} = {}) {
+  const { due: queryList, notDue } = selectDueQueries(allQueries, date, { force });
+  const sourcePlans = sources.map((source) => {
+    const model = source.model ?? '';
+    const calls = countPlannedCalls(source, queryList, { samples, locations });
+    const past = history[source.name];
+    const tokensPerCall = past ? past.tokensPerCall : FIRST_CALL_TOKENS;
+
+    let basis = 'default';
+    let costPerCall = projectCallCost(model, tokensPerCall, date);
+    if (past?.costPerCall != null) {
+      basis = 'cost';
+      costPerCall = past.costPerCall;
+    } else if (past) {
+      basis = 'tokens';
+    }
+
+    return {
+      name: source.name,
+      model,
+      calls,
+      durationSec: rateLimitedSeconds(resolveRateLimit(source, rateLimits), calls, tokensPerCall),
+      tokensPerCall: Math.round(tokensPerCall),
+      tokens: Math.round(calls * tokensPerCall),
+      cost: calls * costPerCall,
+      basis,
+    };
+  });
+
+  return {
+    prompts: expandQueries(queryList),
+    notDue,
+    sources: sourcePlans,
+    calls: sourcePlans.reduce((sum, plan) => sum + plan.calls, 0),
+    tokens: sourcePlans.reduce((sum, plan) => sum + plan.tokens, 0),
+    cost: sourcePlans.reduce((sum, plan) => sum + plan.cost, 0),
+    durationSec: Math.max(0, ...sourcePlans.map((plan) => plan.durationSec)),
+  };
+}
+
+/**
+ * Format seconds as e.g. "45s", "3m 20s" or "1h 5m".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+/** Labels for SourcePlan.basis in the printed plan. */
+const BASIS_LABELS = {
+  cost: 'historical cost/call',
+  tokens: 'historical tokens/call',
+  default: `no history, ${FIRST_CALL_TOKENS} tokens/call assumed`,
+};
+
+/**
+ * Format a plan for the console, flagging forecasts over a budget.
+ *
+ * @param {RunPlan} plan
+ * @param {import('./budget.js').BudgetConfig} [budget]
+ * @returns {string[]} Lines to print
+ */
+export function formatPlan(plan, { runUsd, perSource = {} } = {}) {
+  const lines = [`Prompts: ${plan.prompts.length}`];
+  for (const { query, searchTerm, locale, followUps } of plan.prompts) {
+    const localeNote = locale === DEFAULT_LOCALE ? '' : ` [${locale}]`;
+    const followUpNote = followUps.length > 0 ? ` (+${followUps.length} follow-up${followUps.length > 1 ? 's' : ''})` : '';
+    lines.push(`  ${query.id}${localeNote}: "${searchTerm}"${followUpNote}`);
+  }
+  if (plan.notDue.length > 0) {
+    lines.push(`Not due (cadence): ${plan.notDue.map((query) => `${query.id} (${query.cadence})`).join(', ')}`);
+  }
+
+  lines.push('', 'Per source:');
+  for (const source of plan.sources) {
+    const over = perSource[source.name] !== undefined && source.cost > perSource[source.name]
+      ? ` — over its $${perSource[source.name]} budget`
+      : '';
+    lines.push(
+      `  ${source.name}: ${source.calls} calls | ~${formatDuration(source.durationSec)} | `
+      + `~${source.tokens} tokens (${source.tokensPerCall}/call) | ~$${source.cost.toFixed(4)} `
+      + `(${BASIS_LABELS[source.basis]})${over}`,
+    );
+  }
+
+  lines.push(
+    '',
+    `Total calls:    ${plan.calls}`,
+    `Est. tokens:    ~${plan.tokens}`,
+    `Est. cost:      ~$${plan.cost.toFixed(4)}`,
+    `Est. duration:  ~${formatDuration(plan.durationSec)} (rate limits only; response time comes on top)`,
+  );
+  if (runUsd !== undefined && plan.cost > runUsd) {
+    lines.push(`Budget:         forecast exceeds the $${runUsd} run budget`);
+  }
+  return lines;
+}
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { historicalAverages, buildPlan, formatPlan, formatDuration } from './plan.js';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function createQueries() {
+  return [
+    { id: 'a', name: 'A', category: 'product', searchTerms: ['A one?', 'A two?'] },
+    {
+      id: 'b',
+      name: 'B',
+      category: 'product',
+      searchTerms: ['B?'],
+      followUps: ['And then?'],
+      locales: { es: { searchTerms: ['¿B?'], followUps: ['¿Y luego?'] } },
+    },
+  ];
+}
+
+function createSource(overrides = {}) {
+  return {
+    name: 'Mock',
+    model: 'mistral-large-latest',
+    rateLimitMs: 1000,
+    dataSource: 'training',
+    enabled: () => true,
+    query: async () => { throw new Error('a plan must not query'); },
+    ...overrides,
+  };
+}
+
+// ============================================================
+// historicalAverages
+// ============================================================
+
+describe('historicalAverages', () => {
+  it('averages tokens and cost per call for each source, skipping aggregate rows', () => {
+    const history = historicalAverages([
+      { source: 'A', sample: '1', tokens: '100', cost: '0.002' },
+      { source: 'A', sample: '2', tokens: '300', cost: '0.004' },
+      { source: 'A', sample: 'aggregate', tokens: '0', cost: '0' },
+      { source: 'B', sample: '1', tokens: '50', cost: '' },
+    ]);
+    assert.deepEqual(history.A, { calls: 2, tokensPerCall: 200, costPerCall: 0.003 });
+    assert.deepEqual(history.B, { calls: 1, tokensPerCall: 50, costPerCall: null });
+  });
+
+  it('reads rows written before the sample and cost columns existed', () => {
+    const history = historicalAverages([{ source: 'A', tokens: '400' }]);
+    assert.deepEqual(history.A, { calls: 1, tokensPerCall: 400, costPerCall: null });
+  });
+});
+
+// ============================================================
+// buildPlan
+// ============================================================
+
+describe('buildPlan', () => {
+  it('counts calls per prompt, sample and turn', () => {
+    const plan = buildPlan(createQueries(), [createSource()], { samples: 2 });
+    // 2 single-turn prompts + 2 two-turn prompts, twice each
+    assert.equal(plan.prompts.length, 4);
+    assert.equal(plan.sources[0].calls, 12);
+  });
+
+  it('multiplies calls by locations only on sources that support them', () => {
+    const locations = [{ id: 'us', country: 'US' }, { id: 'de', country: 'DE' }];
+    const plan = buildPlan(createQueries(), [
+      createSource({ name: 'Web', supportsLocation: true }),
+      createSource({ name: 'Training' }),
+    ], { locations });
+    assert.deepEqual(plan.sources.map((s) => s.calls), [12, 6]);
+    assert.equal(plan.calls, 18);
+  });
+
+  it('counts only the locations with the fields a source requires', () => {
+    const locations = [{ id: 'us', country: 'US', latitude: 37.77, longitude: -122.42 }, { id: 'de', country: 'DE' }];
+    const coordinatesOnly = { supportsLocation: true, requiredLocationFields: ['latitude', 'longitude'] };
+    const plan = buildPlan(createQueries(), [
+      createSource({ name: 'Web', supportsLocation: true }),
+      createSource({ name: 'Coordinates', ...coordinatesOnly }),
+    ], { locations });
+    assert.deepEqual(plan.sources.map((s) => s.calls), [12, 6]);
+
+    const none = buildPlan(createQueries(), [createSource({ name: 'Coordinates', ...coordinatesOnly })], { locations: [locations[1]] });
+    assert.equal(none.sources[0].calls, 6);
+  });
+
+  it('plans only the queries due on the run date, unless forced', () => {
+    const [a, b] = createQueries();
+    const queries = [a, { ...b, cadence: 'weekly:friday' }];
+    // 2026-03-02 is a Monday
+    const plan = buildPlan(queries, [createSource()], { date: '2026-03-02' });
+    assert.equal(plan.sources[0].calls, 2);
+    assert.deepEqual(plan.notDue.map((q) => q.id), ['b']);
+    assert.ok(formatPlan(plan).includes('Not due (cadence): b (weekly:friday)'));
+
+    const forced = buildPlan(queries, [createSource()], { date: '2026-03-02', force: true });
+    assert.equal(forced.sources[0].calls, 6);
+    assert.deepEqual(forced.notDue, []);
+  });
+
+  it('derives duration from the rate limit, with the first call free', () => {
+    const plan = buildPlan(createQueries(), [createSource({ rateLimitMs: 2000 })]);
+    assert.equal(plan.sources[0].durationSec, 10); // 5 waits of 2s
+    assert.equal(plan.durationSec, 10);
+  });
+
+  it('applies rate limit overrides and the token bucket', () => {
+    const plan = buildPlan(createQueries(), [createSource()], {
+      rateLimits: { Mock: { tokensPerMinute: 2000 } },
+      history: { Mock: { calls: 10, tokensPerCall: 1000, costPerCall: null } },
+    });
+    // 6000 tokens through a 2000/min bucket that starts full: 2 minutes
+    assert.equal(plan.sources[0].durationSec, 120);
+  });
+
+  it('forecasts cost from historical cost per call when rows are priced', () => {
+    const plan = buildPlan(createQueries(), [createSource()], {
+      history: { Mock: { calls: 10, tokensPerCall: 500, costPerCall: 0.01 } },
+    });
+    assert.equal(plan.sources[0].basis, 'cost');
+    assert.equal(plan.sources[0].tokens, 3000);
+    assert.ok(Math.abs(plan.sources[0].cost - 0.06) < 1e-9);
+  });
+
+  it('prices historical tokens when rows have no cost', () => {
+    const plan = buildPlan(createQueries(), [createSource()], {
+      history: { Mock: { calls: 10, tokensPerCall: 500, costPerCall: null } },
+      date: '2026-01-01',
+    });
+    assert.equal(plan.sources[0].basis, 'tokens');
+    // 500 tokens at Mistral Large's $6/1M output rate, 6 calls
+    assert.ok(Math.abs(plan.sources[0].cost - 0.018) < 1e-9);
+  });
+
+  it('assumes 1000 tokens per call for a source without history', () => {
+    const plan = buildPlan(createQueries(), [createSource()]);
+    assert.equal(plan.sources[0].basis, 'default');
+    assert.equal(plan.sources[0].tokensPerCall, 1000);
+  });
+});
+
+// ============================================================
+// formatPlan / formatDuration
+// ============================================================
+
+describe('formatPlan', () => {
+  it('lists prompts, per-source forecasts and totals', () => {
+    const lines = formatPlan(buildPlan(createQueries(), [createSource()]));
+    assert.equal(lines[0], 'Prompts: 4');
+    assert.ok(lines.includes('  b [es]: "¿B?" (+1 follow-up)'));
+    assert.ok(lines.some((line) => line.startsWith('  Mock: 6 calls | ~5s |')));
+    assert.ok(lines.includes('Total calls:    6'));
+  });
+
+  it('flags forecasts over the run or source budget', () => {
+    const plan = buildPlan(createQueries(), [createSource()]);
+    const lines = formatPlan(plan, { runUsd: 0.001, perSource: { Mock: 0.001 } });
+    assert.ok(lines.some((line) => line.endsWith('over its $0.001 budget')));
+    assert.ok(lines.includes('Budget:         forecast exceeds the $0.001 run budget'));
+    assert.ok(!formatPlan(plan, { runUsd: 100 }).some((line) => line.startsWith('Budget:')));
+  });
+});
+
+describe('formatDuration', () => {
+  it('formats seconds, minutes and hours', () => {
+    assert.equal(formatDuration(45), '45s');
+    assert.equal(formatDuration(200), '3m 20s');
+    assert.equal(formatDuration(3900), '1h 5m');
+  });
+});
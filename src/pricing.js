@@ -0,0 +1,131 @@
+/**
+ * Model Pricing
+ *
+ * Vendor list prices keyed by model, so the cost of every call can be
+ * computed from its usage and stored with its row. Prices change, so the
+ * table is versioned: each version applies from its `effectiveFrom` date
+ * until the next one, and a call is priced with the version in force on
+ * its run date. Add a new version rather than editing an old one — rows
+ * already written record the version they were priced with.
+ *
+ * A call costs:
+ *   input tokens  × inputPerMTok  / 1M
+ * + output tokens × outputPerMTok / 1M
+ * + searches      × perSearch        (web searches the call ran)
+ * + perRequest                       (flat fee per call)
+ *
+ * @module pricing
+ */
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {number} inputPerMTok - USD per 1M input (prompt) tokens
+ * @property {number} outputPerMTok - USD per 1M output (completion) tokens
+ * @property {number} [perSearch=0] - USD per web search the call ran
+ * @property {number} [perRequest=0] - USD per call, regardless of usage
+ */
+
+/**
+ * @typedef {Object} PricingVersion
+ * @property {string} version - Stored in the `pricing_version` column
+ * @property {string} effectiveFrom - First run date (YYYY-MM-DD) the version applies to
+ * @property {Object<string, ModelPrice>} models - Prices keyed by model name
+ * @property {ModelPrice} fallback - Price for models missing from `models`
+ */
+
+/** @type {PricingVersion[]} Oldest first */
+export const PRICING_VERSIONS = [
+  {
+    version: '2025-01',
+    effectiveFrom: '2025-01-01',
+    models: {
+      // Perplexity: request fee at low search context size ($5/1K requests)
+      'sonar': { inputPerMTok: 1, outputPerMTok: 1, perRequest: 0.005 },
+      // OpenAI: web_search tool calls ($10/1K calls)
+      'gpt-4o': { inputPerMTok: 2.5, outputPerMTok: 10, perSearch: 0.01 },
+      // Google: Search grounding is billed per grounded prompt ($35/1K)
+      'gemini-2.0-flash': { inputPerMTok: 0.1, outputPerMTok: 0.4, perSearch: 0.035 },
+      'claude-sonnet-4-5-20250929': { inputPerMTok: 3, outputPerMTok: 15 },
+      'mistral-large-latest': { inputPerMTok: 2, outputPerMTok: 6 },
+      'deepseek-chat': { inputPerMTok: 0.27, outputPerMTok: 1.1 },
+      'llama-3.3-70b-versatile': { inputPerMTok: 0.59, outputPerMTok: 0.79 },
+      // Local Ollama server
+      'llama3.1': { inputPerMTok: 0, outputPerMTok: 0 },
+    },
+    fallback: { inputPerMTok: 1, outputPerMTok: 1 },
+  },
+];
+
+/**
+ * Find the pricing version in force on a date. Dates before the first
+ * version use the first version.
+ *
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @param {PricingVersion[]} [versions=PRICING_VERSIONS]
+ * @returns {PricingVersion}
+ */
+export function pricingVersionFor(date, versions = PRICING_VERSIONS) {
+  let current = versions[0];
+  for (const version of versions) {
+    if (version.effectiveFrom <= date) current = version;
+  }
+  return current;
+}
+
+/**
+ * Look up the price of a model on a date.
+ *
+ * @param {string} model
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @param {PricingVersion[]} [versions=PRICING_VERSIONS]
+ * @returns {{ price: ModelPrice, version: string, known: boolean }}
+ */
+export function modelPrice(model, date, versions = PRICING_VERSIONS) {
+  const pricing = pricingVersionFor(date, versions);
+  const price = pricing.models[model];
+  return { price: price ?? pricing.fallback, version: pricing.version, known: !!price };
+}
+
+/**
+ * Round a USD amount to a millionth of a dollar, so CSV values stay short
+ * and sum back to the same total.
+ * @param {number} usd
+ * @returns {number}
+ */
+function roundUsd(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+/**
+ * Price one call from its usage.
+ *
+ * @param {string} model - Model that answered the call
+ * @param {{ promptTokens?: number, completionTokens?: number, searches?: number }} [usage]
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @param {PricingVersion[]} [versions=PRICING_VERSIONS]
+ * @returns {{ cost: number, version: string }} Cost in USD and the pricing version used
+ */
+export function callCost(model, usage = {}, date, versions = PRICING_VERSIONS) {
+  const { price, version } = modelPrice(model, date, versions);
+  const cost = ((usage.promptTokens ?? 0) * price.inputPerMTok
+    + (usage.completionTokens ?? 0) * price.outputPerMTok) / 1_000_000
+    + (usage.searches ?? 0) * (price.perSearch ?? 0)
+    + (price.perRequest ?? 0);
+  return { cost: roundUsd(cost), version };
+}
+
+/**
+ * Project the cost of a call before it is sent, for budget checks. All
+ * tokens are charged at the output rate and one search is assumed, so the
+ * projection errs high.
+ *
+ * @param {string} model
+ * @param {number} tokens - Expected total tokens
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @param {PricingVersion[]} [versions=PRICING_VERSIONS]
+ * @returns {number} USD
+ */
+export function projectCallCost(model, tokens, date, versions = PRICING_VERSIONS) {
+  const { price } = modelPrice(model, date, versions);
+  return roundUsd(tokens * price.outputPerMTok / 1_000_000 + (price.perSearch ?? 0) + (price.perRequest ?? 0));
+}
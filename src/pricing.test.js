@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PRICING_VERSIONS,
+  pricingVersionFor,
+  modelPrice,
+  callCost,
+  projectCallCost,
+} from './pricing.js';
+
+const VERSIONS = [
+  {
+    version: 'v1',
+    effectiveFrom: '2025-01-01',
+    models: { 'model-a': { inputPerMTok: 1, outputPerMTok: 2 } },
+    fallback: { inputPerMTok: 5, outputPerMTok: 5 },
+  },
+  {
+    version: 'v2',
+    effectiveFrom: '2026-03-01',
+    models: { 'model-a': { inputPerMTok: 0.5, outputPerMTok: 1, perSearch: 0.01, perRequest: 0.002 } },
+    fallback: { inputPerMTok: 5, outputPerMTok: 5 },
+  },
+];
+
+describe('pricingVersionFor', () => {
+  it('picks the latest version in force on the date', () => {
+    assert.equal(pricingVersionFor('2026-02-28', VERSIONS).version, 'v1');
+    assert.equal(pricingVersionFor('2026-03-01', VERSIONS).version, 'v2');
+    assert.equal(pricingVersionFor('2027-01-01', VERSIONS).version, 'v2');
+  });
+
+  it('uses the first version for dates before it', () => {
+    assert.equal(pricingVersionFor('2024-06-01', VERSIONS).version, 'v1');
+  });
+
+  it('lists the built-in versions oldest first', () => {
+    const dates = PRICING_VERSIONS.map((v) => v.effectiveFrom);
+    assert.deepEqual(dates, [...dates].sort());
+  });
+});
+
+describe('modelPrice', () => {
+  it('falls back to the version fallback for unknown models', () => {
+    const { price, known } = modelPrice('mystery', '2025-06-01', VERSIONS);
+    assert.equal(known, false);
+    assert.deepEqual(price, VERSIONS[0].fallback);
+  });
+
+  it('prices every built-in source model', () => {
+    for (const model of ['sonar', 'gpt-4o', 'gemini-2.0-flash', 'claude-sonnet-4-5-20250929']) {
+      assert.equal(modelPrice(model, '2026-01-01').known, true, model);
+    }
+  });
+});
+
+describe('callCost', () => {
+  it('charges input and output tokens at their own rates', () => {
+    const { cost, version } = callCost('model-a', { promptTokens: 1_000_000, completionTokens: 500_000 }, '2025-06-01', VERSIONS);
+    assert.equal(cost, 2);
+    assert.equal(version, 'v1');
+  });
+
+  it('adds search and request fees', () => {
+    const usage = { promptTokens: 2000, completionTokens: 1000, searches: 3 };
+    // 0.001 + 0.001 tokens + 3 × 0.01 searches + 0.002 request
+    assert.equal(callCost('model-a', usage, '2026-04-01', VERSIONS).cost, 0.034);
+  });
+
+  it('rounds to a millionth of a dollar', () => {
+    const { cost } = callCost('gpt-4o', { promptTokens: 7, completionTokens: 3 }, '2026-01-01');
+    assert.equal(cost, 0.000048); // 0.0000175 + 0.00003, rounded
+  });
+
+  it('treats missing usage as zero', () => {
+    assert.equal(callCost('model-a', undefined, '2025-06-01', VERSIONS).cost, 0);
+    assert.equal(callCost('model-a', {}, '2026-04-01', VERSIONS).cost, 0.002);
+  });
+});
+
+describe('projectCallCost', () => {
+  it('charges all tokens at the output rate plus one search and the request fee', () => {
+    assert.equal(projectCallCost('model-a', 1000, '2026-04-01', VERSIONS), 0.013);
+  });
+});
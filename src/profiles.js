@@ -0,0 +1,217 @@
+/**
+ * Development Seed Entity Profiles
+ *
+ * What counts as a Development Seed mention or citation: the organization
+ * and each of its products, with the names they go by and the places they
+ * live on the web. A response mentions DS when it names any of them, and
+ * cites DS when it links to any of them.
+ *
+ * Aliases that are also ordinary words get disambiguation rules: "VEDA"
+ * only counts near NASA or Earth data context, and never in "Rig Veda".
+ *
+ * Edit this file to add a product or an alias. After a change, re-score
+ * the archive (`npm run rescore`) so old and new rows stay comparable.
+ *
+ * @module profiles
+ */
+
+/**
+ * @typedef {Object} EntityProfile
+ * @property {string} id - Unique identifier in kebab-case
+ * @property {string} name - Display name
+ * @property {string[]} aliases - Names matched in response text as whole words, ignoring case
+ *   and diacritics
+ * @property {Object<string, string[]>} [context] - Disambiguation rules: an alias listed here only
+ *   counts when one of its context terms occurs near it (see CONTEXT_WINDOW in analysis.js)
+ * @property {string[]} [negativePhrases] - Phrases that are never a mention: an alias match
+ *   overlapping one of them is discarded
+ * @property {string[]} [domains] - Domains owned outright; any URL on them or their
+ *   subdomains is a citation
+ * @property {string[]} [github] - GitHub organizations ("developmentseed") or
+ *   repositories ("developmentseed/titiler")
+ * @property {string[]} [pypi] - PyPI package names
+ * @property {string[]} [npm] - npm package names
+ * @property {string[]} [docs] - Documentation URL prefixes: a host and optional path
+ *   ("developmentseed.org/titiler", "eoapi.dev")
+ * @property {OwnedUrl[]} [urls] - Other owned URL prefixes, with their type (set by
+ *   GEO_OWNED_URLS, see withOwnedUrls())
+ */
+
+/**
+ * @typedef {Object} OwnedUrl
+ * @property {string} url - URL prefix: a host and optional path ("titiler.xyz/docs")
+ * @property {OwnedUrlType} type
+ * @property {string} [product] - Id of the product it belongs to (default: the organization)
+ */
+
+/**
+ * @typedef {'website'|'repo'|'package'|'docs'} OwnedUrlType
+ */
+
+/**
+ * Kinds of owned URL: domains are websites, GitHub prefixes repos,
+ * PyPI and npm prefixes packages, documentation prefixes docs.
+ */
+export const OWNED_URL_TYPES = ['website', 'repo', 'package', 'docs'];
+
+/** @type {EntityProfile} */
+export const ORGANIZATION = {
+  id: 'development-seed',
+  name: 'Development Seed',
+  aliases: ['development seed', 'developmentseed', 'devseed'],
+  domains: ['developmentseed.org'],
+  github: ['developmentseed'],
+};
+
+/** @type {EntityProfile[]} */
+export const PRODUCTS = [
+  {
+    id: 'titiler',
+    name: 'TiTiler',
+    aliases: ['titiler'],
+    github: ['developmentseed/titiler'],
+    pypi: ['titiler', 'titiler.core', 'titiler.application', 'titiler.mosaic', 'titiler.extensions'],
+    docs: ['developmentseed.org/titiler'],
+  },
+  {
+    id: 'veda',
+    name: 'VEDA Dashboard',
+    aliases: ['veda dashboard', 'veda'],
+    context: {
+      veda: ['nasa', 'dashboard', 'earthdata', 'earth data', 'earth-data', 'earth science', 'geospatial', 'satellite', 'stac', 'climate'],
+    },
+    negativePhrases: ['rig veda', 'rigveda', 'sama veda', 'yajur veda', 'atharva veda', 'veda vyasa'],
+    github: ['NASA-IMPACT/veda-ui', 'NASA-IMPACT/veda-backend'],
+    docs: ['nasa-impact.github.io/veda-docs'],
+  },
+  {
+    id: 'cogeo-mosaic',
+    name: 'cogeo-mosaic',
+    aliases: ['cogeo-mosaic'],
+    github: ['developmentseed/cogeo-mosaic'],
+    pypi: ['cogeo-mosaic'],
+    docs: ['developmentseed.org/cogeo-mosaic'],
+  },
+  {
+    id: 'lonboard',
+    name: 'Lonboard',
+    aliases: ['lonboard'],
+    github: ['developmentseed/lonboard'],
+    pypi: ['lonboard'],
+    docs: ['developmentseed.org/lonboard'],
+  },
+  {
+    id: 'eoapi',
+    name: 'eoAPI',
+    aliases: ['eoapi'],
+    github: ['developmentseed/eoapi'],
+    docs: ['eoapi.dev'],
+  },
+];
+
+/**
+ * Normalize a PyPI project name (PEP 503): lowercase, with runs of
+ * "-", "_" and "." as a single "-".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePypiName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Reduce a URL to "host/path" for prefix matching: lowercase, without
+ * "www.", a trailing slash or the query string. PyPI project names are
+ * normalized so "titiler.core" and "titiler-core" compare equal.
+ *
+ * @param {string} url
+ * @returns {{ host: string, location: string }|null} null if the URL does not parse
+ */
+function urlLocation(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  let path = parsed.pathname.toLowerCase().replace(/\/+$/, '');
+  if (host === 'pypi.org') {
+    path = path.replace(/^\/project\/([^/]+)/, (_, name) => `/project/${normalizePypiName(name)}`);
+  }
+  return { host, location: `${host}${path}` };
+}
+
+/**
+ * The "host/path" prefixes a profile owns, other than whole domains, with
+ * their type.
+ *
+ * @param {EntityProfile} profile
+ * @returns {Array<{prefix: string, type: OwnedUrlType}>}
+ */
+function profilePrefixes(profile) {
+  return [
+    ...(profile.github ?? []).map((repo) => ({ prefix: `github.com/${repo}`, type: 'repo' })),
+    ...(profile.pypi ?? []).map((name) => ({ prefix: `pypi.org/project/${normalizePypiName(name)}`, type: 'package' })),
+    ...(profile.npm ?? []).map((name) => ({ prefix: `npmjs.com/package/${name}`, type: 'package' })),
+    ...(profile.docs ?? []).map((prefix) => ({ prefix, type: 'docs' })),
+    ...(profile.urls ?? []).map(({ url, type }) => ({ prefix: url.replace(/^[a-z]+:\/\//i, ''), type })),
+  ].map(({ prefix, type }) => ({ prefix: prefix.toLowerCase().replace(/^www\./, '').replace(/\/+$/, ''), type }));
+}
+
+/**
+ * Match a URL against a profile: under one of its GitHub, PyPI, npm,
+ * documentation or other owned prefixes (whole path segments only, so
+ * "developmentseed/titiler" does not match "developmentseed/titiler-pgstac"),
+ * or else on one of its domains. The longest matching prefix wins.
+ *
+ * @param {string} url
+ * @param {EntityProfile} profile
+ * @returns {{ type: OwnedUrlType, length: number }|null} The type of the match, and the
+ *   length of its prefix (0 for a domain); null if the URL is not the profile's
+ */
+export function matchProfileUrl(url, profile) {
+  const parsed = typeof url === 'string' ? urlLocation(url) : null;
+  if (!parsed) return null;
+  const { host, location } = parsed;
+
+  let best = null;
+  for (const { prefix, type } of profilePrefixes(profile)) {
+    if ((location === prefix || location.startsWith(`${prefix}/`)) && prefix.length > (best?.length ?? -1)) {
+      best = { type, length: prefix.length };
+    }
+  }
+  if (best) return best;
+  if ((profile.domains ?? []).some((domain) => host === domain || host.endsWith(`.${domain}`))) {
+    return { type: 'website', length: 0 };
+  }
+  return null;
+}
+
+/**
+ * Whether a URL belongs to a profile (see matchProfileUrl()).
+ *
+ * @param {string} url
+ * @param {EntityProfile} profile
+ * @returns {boolean}
+ */
+export function matchesProfileUrl(url, profile) {
+  return matchProfileUrl(url, profile) !== null;
+}
+
+/**
+ * Add owned URL prefixes to the profiles they belong to.
+ *
+ * @param {EntityProfile[]} profiles - The organization and its products
+ * @param {OwnedUrl[]} ownedUrls - Prefixes without a product go to the organization
+ *   (the first profile)
+ * @returns {EntityProfile[]} Copies of the profiles; the input is not changed
+ */
+export function withOwnedUrls(profiles, ownedUrls) {
+  if (ownedUrls.length === 0) return profiles;
+  return profiles.map((profile, i) => {
+    const urls = ownedUrls.filter(({ product }) => (product ? product === profile.id : i === 0));
+    return urls.length > 0 ? { ...profile, urls: [...(profile.urls ?? []), ...urls] } : profile;
+  });
+}
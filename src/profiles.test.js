@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORGANIZATION, PRODUCTS, matchProfileUrl, matchesProfileUrl, withOwnedUrls } from './profiles.js';
+
+describe('profiles', () => {
+  it('have unique kebab-case ids and at least one alias', () => {
+    const ids = [ORGANIZATION, ...PRODUCTS].map((profile) => profile.id);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const profile of [ORGANIZATION, ...PRODUCTS]) {
+      assert.match(profile.id, /^[a-z0-9]+(-[a-z0-9]+)*$/);
+      assert.ok(profile.aliases.length > 0, profile.id);
+    }
+  });
+
+  it('include every DS product tracked by a query', () => {
+    const ids = PRODUCTS.map((product) => product.id);
+    for (const id of ['titiler', 'veda', 'cogeo-mosaic', 'lonboard']) {
+      assert.ok(ids.includes(id), id);
+    }
+  });
+});
+
+describe('matchesProfileUrl', () => {
+  const profile = {
+    id: 'titiler',
+    name: 'TiTiler',
+    aliases: ['titiler'],
+    domains: ['titiler.dev'],
+    github: ['developmentseed/titiler'],
+    pypi: ['titiler.core'],
+    npm: ['@developmentseed/titiler'],
+    docs: ['developmentseed.org/titiler'],
+  };
+
+  it('matches domains and their subdomains', () => {
+    assert.equal(matchesProfileUrl('https://titiler.dev', profile), true);
+    assert.equal(matchesProfileUrl('https://docs.titiler.dev/a', profile), true);
+    assert.equal(matchesProfileUrl('https://nottitiler.dev', profile), false);
+  });
+
+  it('matches GitHub, npm and documentation prefixes by whole path segments', () => {
+    assert.equal(matchesProfileUrl('https://github.com/developmentseed/titiler/blob/main/README.md', profile), true);
+    assert.equal(matchesProfileUrl('https://www.github.com/DevelopmentSeed/TiTiler', profile), true);
+    assert.equal(matchesProfileUrl('https://github.com/developmentseed/titiler-pgstac', profile), false);
+    assert.equal(matchesProfileUrl('https://www.npmjs.com/package/@developmentseed/titiler', profile), true);
+    assert.equal(matchesProfileUrl('https://developmentseed.org/titiler/', profile), true);
+    assert.equal(matchesProfileUrl('https://developmentseed.org/blog/titiler', profile), false);
+  });
+
+  it('matches PyPI projects under any spelling of the name', () => {
+    assert.equal(matchesProfileUrl('https://pypi.org/project/titiler.core/', profile), true);
+    assert.equal(matchesProfileUrl('https://pypi.org/project/Titiler_Core/0.18.0/', profile), true);
+    assert.equal(matchesProfileUrl('https://pypi.org/project/titiler/', profile), false);
+  });
+
+  it('ignores URLs that do not parse', () => {
+    assert.equal(matchesProfileUrl('not a url', profile), false);
+    assert.equal(matchesProfileUrl(undefined, profile), false);
+  });
+
+  it('matches a GitHub organization with any of its repositories', () => {
+    assert.equal(matchesProfileUrl('https://github.com/developmentseed/lonboard', ORGANIZATION), true);
+    assert.equal(matchesProfileUrl('https://github.com/developmentseedling', ORGANIZATION), false);
+  });
+});
+
+describe('matchProfileUrl', () => {
+  const profile = {
+    id: 'titiler',
+    name: 'TiTiler',
+    aliases: ['titiler'],
+    domains: ['developmentseed.org'],
+    github: ['developmentseed/titiler'],
+    pypi: ['titiler'],
+    docs: ['developmentseed.org/titiler'],
+    urls: [{ url: 'https://titiler.xyz/', type: 'docs' }, { url: 'huggingface.co/developmentseed', type: 'repo' }],
+  };
+
+  it('labels matches by type', () => {
+    assert.equal(matchProfileUrl('https://developmentseed.org/blog/x', profile).type, 'website');
+    assert.equal(matchProfileUrl('https://github.com/developmentseed/titiler/pulls', profile).type, 'repo');
+    assert.equal(matchProfileUrl('https://pypi.org/project/titiler/', profile).type, 'package');
+    assert.equal(matchProfileUrl('https://developmentseed.org/titiler/advanced/', profile).type, 'docs');
+  });
+
+  it('matches owned URL prefixes with their own type', () => {
+    assert.deepEqual(matchProfileUrl('https://www.titiler.xyz/endpoints', profile), { type: 'docs', length: 'titiler.xyz'.length });
+    assert.equal(matchProfileUrl('https://huggingface.co/developmentseed/model', profile).type, 'repo');
+    assert.equal(matchProfileUrl('https://huggingface.co/other', profile), null);
+  });
+
+  it('prefers a path prefix over a domain, and the longest prefix', () => {
+    const nested = { ...profile, urls: [{ url: 'developmentseed.org/titiler/blog', type: 'website' }] };
+    assert.equal(matchProfileUrl('https://developmentseed.org/titiler/blog/v1', nested).type, 'website');
+    assert.equal(matchProfileUrl('https://developmentseed.org/titiler/v1', nested).type, 'docs');
+  });
+
+  it('returns null for URLs of other owners or that do not parse', () => {
+    assert.equal(matchProfileUrl('https://gdal.org', profile), null);
+    assert.equal(matchProfileUrl('not a url', profile), null);
+  });
+});
+
+describe('withOwnedUrls', () => {
+  const profiles = [ORGANIZATION, ...PRODUCTS];
+
+  it('adds owned URLs to their product, or else to the organization', () => {
+    const [organization, ...products] = withOwnedUrls(profiles, [
+      { url: 'titiler.xyz', type: 'docs', product: 'titiler' },
+      { url: 'huggingface.co/developmentseed', type: 'repo' },
+    ]);
+    assert.deepEqual(organization.urls, [{ url: 'huggingface.co/developmentseed', type: 'repo' }]);
+    assert.deepEqual(products.find((p) => p.id === 'titiler').urls, [{ url: 'titiler.xyz', type: 'docs', product: 'titiler' }]);
+    assert.equal(products.find((p) => p.id === 'lonboard').urls, undefined);
+    assert.equal(matchesProfileUrl('https://titiler.xyz', products[0]), true);
+  });
+
+  it('leaves the built-in profiles unchanged', () => {
+    withOwnedUrls(profiles, [{ url: 'titiler.xyz', type: 'docs', product: 'titiler' }]);
+    assert.equal(PRODUCTS[0].urls, undefined);
+    assert.equal(withOwnedUrls(profiles, []), profiles);
+  });
+});
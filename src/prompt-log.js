@@ -0,0 +1,221 @@
+/**
+ * Prompt Versioning
+ *
+ * Gives every prompt a stable term id and a content hash, and keeps an
+ * append-only change log (`data/prompt-changes.csv`) of when each term was
+ * added, modified or retired. Rows carry both, so a series can be split or
+ * annotated where its prompt changed.
+ *
+ * A prompt is one search term of a query in one locale, together with the
+ * follow-ups sent after it; its hash covers all of that text. Term ids are
+ * assigned by the log, not written in the catalog:
+ *
+ *   - a term whose hash is already registered for its query and locale
+ *     keeps that term's id, even after being moved in the list
+ *   - otherwise, a changed term takes the id of a registered term of the
+ *     same query and locale that no longer matches, in list order (an edit
+ *     in place is a "modified" change)
+ *   - any term left over is "added" with a new id, e.g. "titiler:es:3"
+ *   - any registered term left over is "retired"; its id is never reused
+ *
+ * A run from an ad-hoc catalog (`run --catalog`) is reconciled as
+ * `partial`: its terms already registered keep their ids, and nothing is
+ * added, modified or retired, so the main catalog's ids survive it.
+ *
+ * @module prompt-log
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, appendFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { escapeCsv, readResults } from './csv-store.js';
+
+/**
+ * @typedef {Object} PromptChange
+ * @property {string} date - Run date the change was detected (YYYY-MM-DD)
+ * @property {'added'|'modified'|'retired'} change
+ * @property {string} term_id - Stable id of the term
+ * @property {string} query_id
+ * @property {string} locale
+ * @property {string} term_hash - Hash of the prompt after the change ('' when retired)
+ * @property {string} previous_hash - Hash before the change ('' when added)
+ * @property {string} search_term - Search term after the change (before it, when retired)
+ */
+
+/** Change log column headers — order matters. */
+export const PROMPT_LOG_HEADERS = [
+  'date',
+  'change',
+  'term_id',
+  'query_id',
+  'locale',
+  'term_hash',
+  'previous_hash',
+  'search_term',
+];
+
+/**
+ * Content hash of a prompt: its search term and follow-ups.
+ *
+ * @param {string} searchTerm
+ * @param {string[]} [followUps]
+ * @returns {string} 12 hex characters
+ */
+export function promptHash(searchTerm, followUps = []) {
+  return createHash('sha256').update(JSON.stringify([searchTerm, ...followUps])).digest('hex').slice(0, 12);
+}
+
+/**
+ * Key of a prompt in the term id map returned by reconcilePrompts().
+ *
+ * @param {string} queryId
+ * @param {string} locale
+ * @param {string} hash
+ * @returns {string}
+ */
+export function promptKey(queryId, locale, hash) {
+  return `${queryId}\u0000${locale}\u0000${hash}`;
+}
+
+/**
+ * Replay a change log into the registered terms, grouped by query and
+ * locale in the order they were first added, plus the highest term number
+ * used per group (retired ids included).
+ *
+ * @param {PromptChange[]} entries
+ * @returns {{ groups: Map<string, Array<{term_id: string, term_hash: string, search_term: string}>>, lastNumber: Map<string, number> }}
+ */
+function replayLog(entries) {
+  const groups = new Map();
+  const lastNumber = new Map();
+
+  for (const entry of entries) {
+    const group = `${entry.query_id}\u0000${entry.locale}`;
+    if (!groups.has(group)) groups.set(group, []);
+    const terms = groups.get(group);
+    const number = Number(entry.term_id.split(':').pop()) || 0;
+    lastNumber.set(group, Math.max(lastNumber.get(group) ?? 0, number));
+
+    const index = terms.findIndex((term) => term.term_id === entry.term_id);
+    if (entry.change === 'retired') {
+      if (index !== -1) terms.splice(index, 1);
+    } else if (index === -1) {
+      terms.push({ term_id: entry.term_id, term_hash: entry.term_hash, search_term: entry.search_term });
+    } else {
+      terms[index] = { ...terms[index], term_hash: entry.term_hash, search_term: entry.search_term };
+    }
+  }
+  return { groups, lastNumber };
+}
+
+/**
+ * Match the current prompts against the change log.
+ *
+ * @param {PromptChange[]} entries - The change log so far
+ * @param {Array<{query: Object, searchTerm: string, locale: string, followUps: string[]}>} prompts -
+ *   Every prompt of the catalog, from expandQueries() (not just those due or
+ *   filtered for this run, or the rest would be retired)
+ * @param {string} dateStr - Run date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - The prompts are not the catalog of record: only
+ *   look up the ids of registered terms, and record no changes (other terms get no id)
+ * @returns {{ termIds: Map<string, string>, changes: PromptChange[] }} Term id per
+ *   promptKey(), and the changes to append to the log
+ */
+export function reconcilePrompts(entries, prompts, dateStr, { partial = false } = {}) {
+  const { groups: registered, lastNumber } = replayLog(entries);
+
+  const current = new Map();
+  for (const { query, searchTerm, locale, followUps } of prompts) {
+    const group = `${query.id}\u0000${locale}`;
+    if (!current.has(group)) current.set(group, { queryId: query.id, locale, terms: [] });
+    current.get(group).terms.push({ searchTerm, hash: promptHash(searchTerm, followUps) });
+  }
+
+  const termIds = new Map();
+  const changes = [];
+  const entry = (change, fields) => ({ date: dateStr, change, previous_hash: '', ...fields });
+
+  for (const [group, { queryId, locale, terms }] of current) {
+    const known = registered.get(group) ?? [];
+    registered.delete(group);
+
+    // Unchanged terms keep their id wherever they moved in the list
+    const unmatched = terms.filter(({ hash }) => {
+      const term = known.find((candidate) => candidate.term_hash === hash);
+      if (!term) return true;
+      termIds.set(promptKey(queryId, locale, hash), term.term_id);
+      known.splice(known.indexOf(term), 1);
+      return false;
+    });
+    if (partial) continue;
+
+    for (const { searchTerm, hash } of unmatched) {
+      const previous = known.shift();
+      let termId;
+      if (previous) {
+        termId = previous.term_id;
+        changes.push(entry('modified', {
+          term_id: termId, query_id: queryId, locale, term_hash: hash, previous_hash: previous.term_hash, search_term: searchTerm,
+        }));
+      } else {
+        const number = (lastNumber.get(group) ?? 0) + 1;
+        lastNumber.set(group, number);
+        termId = `${queryId}:${locale}:${number}`;
+        changes.push(entry('added', { term_id: termId, query_id: queryId, locale, term_hash: hash, search_term: searchTerm }));
+      }
+      termIds.set(promptKey(queryId, locale, hash), termId);
+    }
+
+    for (const term of known) {
+      changes.push(entry('retired', {
+        term_id: term.term_id, query_id: queryId, locale, term_hash: '', previous_hash: term.term_hash, search_term: term.search_term,
+      }));
+    }
+  }
+
+  // Queries or locales removed from the catalog altogether
+  for (const [group, terms] of partial ? [] : registered) {
+    const [queryId, locale] = group.split('\u0000');
+    for (const term of terms) {
+      changes.push(entry('retired', {
+        term_id: term.term_id, query_id: queryId, locale, term_hash: '', previous_hash: term.term_hash, search_term: term.search_term,
+      }));
+    }
+  }
+
+  return { termIds, changes };
+}
+
+/**
+ * Read the change log.
+ *
+ * @param {string} filepath
+ * @returns {PromptChange[]} Entries in log order (empty if the file does not exist)
+ */
+export function readPromptLog(filepath) {
+  return readResults(filepath);
+}
+
+/**
+ * Append changes to the log, creating it with a header row if needed.
+ *
+ * @param {string} filepath
+ * @param {PromptChange[]} changes
+ * @returns {number} Number of entries written
+ */
+export function appendPromptLog(filepath, changes) {
+  if (changes.length === 0) return 0;
+
+  const dir = dirname(filepath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  if (!existsSync(filepath)) {
+    appendFileSync(filepath, PROMPT_LOG_HEADERS.join(',') + '\n', 'utf-8');
+  }
+
+  const lines = changes.map((change) => PROMPT_LOG_HEADERS.map((column) => escapeCsv(change[column] ?? '')).join(','));
+  appendFileSync(filepath, lines.join('\n') + '\n', 'utf-8');
+  return changes.length;
+}
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  PROMPT_LOG_HEADERS,
+  promptHash,
+  promptKey,
+  reconcilePrompts,
+  readPromptLog,
+  appendPromptLog,
+} from './prompt-log.js';
+import { expandQueries } from './orchestrator.js';
+
+// Use a temp directory for test log files
+const TEST_DIR = join(import.meta.dirname, '..', '.test-tmp-prompt-log');
+
+function cleanup() {
+  try { rmSync(TEST_DIR, { recursive: true }); } catch { /* ignore */ }
+}
+
+function prompts(searchTerms, locales) {
+  return expandQueries([{ id: 'titiler', name: 'titiler', category: 'product', searchTerms, ...(locales && { locales }) }]);
+}
+
+/** Reconcile a sequence of catalog versions, feeding each run's changes into the next. */
+function runAll(...versions) {
+  const log = [];
+  let result;
+  versions.forEach((version, i) => {
+    result = reconcilePrompts(log, version, `2026-03-0${i + 1}`);
+    log.push(...result.changes);
+  });
+  return { ...result, log };
+}
+
+describe('promptHash', () => {
+  it('is stable and covers the search term and follow-ups', () => {
+    assert.equal(promptHash('What is titiler?'), promptHash('What is titiler?', []));
+    assert.match(promptHash('What is titiler?'), /^[0-9a-f]{12}$/);
+    assert.notEqual(promptHash('What is titiler?'), promptHash('What is titiler ?'));
+    assert.notEqual(promptHash('What is titiler?'), promptHash('What is titiler?', ['Who maintains it?']));
+  });
+});
+
+describe('reconcilePrompts', () => {
+  it('adds every term on the first run', () => {
+    const { termIds, changes } = reconcilePrompts([], prompts(['A?', 'B?'], { es: { searchTerms: ['¿A?'] } }), '2026-03-01');
+
+    assert.deepEqual(changes.map((c) => [c.date, c.change, c.term_id, c.search_term]), [
+      ['2026-03-01', 'added', 'titiler:en:1', 'A?'],
+      ['2026-03-01', 'added', 'titiler:en:2', 'B?'],
+      ['2026-03-01', 'added', 'titiler:es:1', '¿A?'],
+    ]);
+    assert.equal(termIds.get(promptKey('titiler', 'es', promptHash('¿A?'))), 'titiler:es:1');
+  });
+
+  it('records nothing when the catalog is unchanged, and keeps ids when terms move', () => {
+    const { termIds, changes } = runAll(prompts(['A?', 'B?']), prompts(['B?', 'A?']));
+    assert.deepEqual(changes, []);
+    assert.equal(termIds.get(promptKey('titiler', 'en', promptHash('A?'))), 'titiler:en:1');
+    assert.equal(termIds.get(promptKey('titiler', 'en', promptHash('B?'))), 'titiler:en:2');
+  });
+
+  it('records an edited term as modified under the same id', () => {
+    const { termIds, changes } = runAll(prompts(['A?', 'B?']), prompts(['A?', 'B, revised?']));
+
+    assert.deepEqual(changes, [{
+      date: '2026-03-02',
+      change: 'modified',
+      term_id: 'titiler:en:2',
+      query_id: 'titiler',
+      locale: 'en',
+      term_hash: promptHash('B, revised?'),
+      previous_hash: promptHash('B?'),
+      search_term: 'B, revised?',
+    }]);
+    assert.equal(termIds.get(promptKey('titiler', 'en', promptHash('B, revised?'))), 'titiler:en:2');
+  });
+
+  it('retires removed terms and never reuses their ids', () => {
+    const { changes, log } = runAll(prompts(['A?', 'B?']), prompts(['A?']), prompts(['A?', 'C?']));
+
+    assert.deepEqual(log.slice(2).map((c) => [c.date, c.change, c.term_id, c.search_term, c.previous_hash]), [
+      ['2026-03-02', 'retired', 'titiler:en:2', 'B?', promptHash('B?')],
+      ['2026-03-03', 'added', 'titiler:en:3', 'C?', ''],
+    ]);
+    assert.equal(changes.length, 1);
+  });
+
+  it('changes nothing for a partial (--catalog) run, and keeps the ids of registered terms', () => {
+    const { log } = runAll(prompts(['A?', 'B?'], { es: { searchTerms: ['¿A?'] } }));
+    const adHoc = [...prompts(['B?', 'New?']), ...expandQueries([{ id: 'other', name: 'other', category: 'trend', searchTerms: ['X?'] }])];
+
+    const { termIds, changes } = reconcilePrompts(log, adHoc, '2026-03-02', { partial: true });
+
+    assert.deepEqual(changes, []);
+    assert.equal(termIds.get(promptKey('titiler', 'en', promptHash('B?'))), 'titiler:en:2');
+    assert.equal(termIds.has(promptKey('titiler', 'en', promptHash('New?'))), false);
+    assert.equal(termIds.has(promptKey('other', 'en', promptHash('X?'))), false);
+
+    // The next regular run still finds every term under its id
+    assert.deepEqual(reconcilePrompts(log, prompts(['A?', 'B?'], { es: { searchTerms: ['¿A?'] } }), '2026-03-03').changes, []);
+  });
+
+  it('retires the terms of a query or locale removed from the catalog', () => {
+    const { changes } = runAll(prompts(['A?'], { es: { searchTerms: ['¿A?'] } }), []);
+    assert.deepEqual(changes.map((c) => [c.change, c.term_id]), [['retired', 'titiler:en:1'], ['retired', 'titiler:es:1']]);
+  });
+});
+
+describe('prompt change log file', () => {
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('creates the log with a header, appends, and reads entries back', () => {
+    const path = join(TEST_DIR, 'prompt-changes.csv');
+    const { changes } = reconcilePrompts([], prompts(['What is titiler, really?']), '2026-03-01');
+
+    assert.equal(appendPromptLog(path, changes), 1);
+    assert.equal(appendPromptLog(path, []), 0);
+    assert.equal(readFileSync(path, 'utf-8').split('\n')[0], PROMPT_LOG_HEADERS.join(','));
+    assert.deepEqual(readPromptLog(path), changes);
+
+    // The log read back reconciles to no further changes
+    assert.deepEqual(reconcilePrompts(readPromptLog(path), prompts(['What is titiler, really?']), '2026-03-02').changes, []);
+  });
+
+  it('reads a missing log as empty', () => {
+    assert.deepEqual(readPromptLog(join(TEST_DIR, 'missing.csv')), []);
+  });
+});
@@ -22,6 +22,52 @@
  *   - "technology" - Geospatial technologies and standards
  *   - "trend" - Industry trends and use cases
  *   - "organization" - Organization/brand mentions
+ *   (the allowed values are CATEGORIES in catalog.js)
+ * @property {string} [cadence] - How often the query runs: "daily" (default),
+ *   "weekly:<weekday>" (e.g. "weekly:monday") or "monthly[:<day 1-28>]"
+ *   (the 1st by default). See cadence.js.
+ * @property {number} [samples] - Times each search term is queried per run, to
+ *   measure answer variance. Overrides the global GEO_SAMPLES setting.
+ * @property {string} [systemPrompt] - System prompt / persona for this query's prompts
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Maximum output tokens
+ * @property {string[]} [followUps] - Follow-up prompts that turn each search term
+ *   into a conversation. After each answer the next follow-up is sent with the
+ *   full history, so it can refer to the previous answer ("which of those...").
+ *   Every turn is analyzed and stored as its own row.
+ * @property {Object<string, LocalizedPrompts>} [locales] - Prompts in other
+ *   languages, keyed by locale (e.g. "es", "pt-BR", "fr"). `searchTerms` and
+ *   `followUps` above are English.
+ */
+
+/**
+ * Prompts for one locale. Localized conversations only use the follow-ups
+ * given here, never the English ones.
+ *
+ * @typedef {Object} LocalizedPrompts
+ * @property {string[]} searchTerms - Prompts in this locale
+ * @property {string[]} [followUps] - Follow-up prompts in this locale
+ */
+
+/**
+ * One message of a conversation's history, in vendor-neutral form.
+ * Sources translate it into their own API format.
+ *
+ * @typedef {Object} ChatMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * Generation parameters sent with a prompt. Unset fields fall back to the
+ * global config (GEO_SYSTEM_PROMPT, GEO_TEMPERATURE, GEO_MAX_TOKENS), then
+ * to the vendor's defaults. Each source translates them into its own API
+ * format.
+ *
+ * @typedef {Object} GenerationParams
+ * @property {string} [systemPrompt] - System prompt / persona
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Maximum output tokens
  */
 
 /**
@@ -0,0 +1,132 @@
+/**
+ * Token-Bucket Rate Limiter
+ *
+ * Each source gets its own limiter so sources can run concurrently while
+ * each stays inside its vendor limits. Two independent buckets:
+ *
+ *   - requests/minute — one token per API call
+ *   - tokens/minute (optional) — LLM tokens per call, charged up front from
+ *     an estimate and corrected with the actual usage once the call returns
+ *
+ * Both buckets start full and refill continuously.
+ *
+ * @module rate-limiter
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} [requestsPerMinute] - Max API calls per minute (omit or 0 for unlimited)
+ * @property {number} [tokensPerMinute] - Max LLM tokens per minute (omit or 0 for unlimited)
+ * @property {number} [burst=1] - Calls allowed back-to-back before spacing kicks in
+ */
+
+/**
+ * Delay execution for specified milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a continuously refilling bucket.
+ *
+ * @param {number} capacity - Maximum stored tokens
+ * @param {number} perMinute - Refill rate
+ * @param {() => number} now
+ */
+function createBucket(capacity, perMinute, now) {
+  const refillPerMs = perMinute / 60_000;
+  let level = capacity;
+  let updatedAt = now();
+
+  function refill() {
+    const t = now();
+    level = Math.min(capacity, level + (t - updatedAt) * refillPerMs);
+    updatedAt = t;
+  }
+
+  return {
+    capacity,
+    /** Milliseconds until `amount` is available (0 if it already is). */
+    waitFor(amount) {
+      refill();
+      return level >= amount ? 0 : Math.ceil((amount - level) / refillPerMs);
+    },
+    take(amount) {
+      refill();
+      level -= amount;
+    },
+  };
+}
+
+/**
+ * Derive a source's rate limit: explicit `rateLimit` on the source, else the
+ * legacy `rateLimitMs` spacing, with per-source overrides applied on top.
+ *
+ * @param {Object} source - LLM source object
+ * @param {Object<string, RateLimit>} [overrides] - Keyed by source name
+ * @returns {RateLimit}
+ */
+export function resolveRateLimit(source, overrides = {}) {
+  const base = source.rateLimit
+    || (source.rateLimitMs > 0 ? { requestsPerMinute: 60_000 / source.rateLimitMs } : {});
+  return { ...base, ...overrides[source.name] };
+}
+
+/**
+ * Create a rate limiter.
+ *
+ * @param {RateLimit} limit
+ * @param {Object} [deps] - Injectable for tests
+ * @param {() => number} [deps.now=Date.now]
+ * @param {(ms: number) => Promise<void>} [deps.sleep]
+ * @returns {{ acquire: (estimatedTokens?: number) => Promise<number>, record: (actualTokens: number, estimatedTokens?: number) => void }}
+ */
+export function createRateLimiter(limit = {}, { now = Date.now, sleep = delay } = {}) {
+  const { requestsPerMinute, tokensPerMinute, burst = 1 } = limit;
+  const requests = requestsPerMinute > 0 ? createBucket(burst, requestsPerMinute, now) : null;
+  const tokens = tokensPerMinute > 0 ? createBucket(tokensPerMinute, tokensPerMinute, now) : null;
+
+  return {
+    /**
+     * Wait until one request and `estimatedTokens` tokens are available,
+     * then take them.
+     *
+     * @param {number} [estimatedTokens=0] - Expected LLM tokens for the call
+     * @returns {Promise<number>} Total milliseconds waited
+     */
+    async acquire(estimatedTokens = 0) {
+      // A single call larger than the whole bucket can only wait for a full bucket
+      const tokenCost = tokens ? Math.min(estimatedTokens, tokens.capacity) : 0;
+      let waited = 0;
+
+      for (;;) {
+        const waitMs = Math.max(
+          requests ? requests.waitFor(1) : 0,
+          tokens ? tokens.waitFor(tokenCost) : 0,
+        );
+        if (waitMs === 0) break;
+        await sleep(waitMs);
+        waited += waitMs;
+      }
+
+      requests?.take(1);
+      tokens?.take(tokenCost);
+      return waited;
+    },
+
+    /**
+     * Correct the token bucket once actual usage is known. Overshoot is
+     * charged (and may push the bucket into debt), undershoot refunded.
+     *
+     * @param {number} actualTokens
+     * @param {number} [estimatedTokens=0] - The amount passed to acquire()
+     */
+    record(actualTokens, estimatedTokens = 0) {
+      if (!tokens) return;
+      tokens.take(actualTokens - Math.min(estimatedTokens, tokens.capacity));
+    },
+  };
+}
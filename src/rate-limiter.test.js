@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, resolveRateLimit } from './rate-limiter.js';
+
+// ============================================================
+// Helpers: fake clock
+// ============================================================
+
+/** A clock whose sleep() advances time instantly and logs each wait. */
+function createFakeClock() {
+  const clock = { t: 0, sleeps: [] };
+  clock.now = () => clock.t;
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.t += ms;
+  };
+  return clock;
+}
+
+// ============================================================
+// resolveRateLimit
+// ============================================================
+
+describe('resolveRateLimit', () => {
+  it('derives requests/minute from legacy rateLimitMs', () => {
+    assert.deepEqual(resolveRateLimit({ name: 'A', rateLimitMs: 1000 }), { requestsPerMinute: 60 });
+  });
+
+  it('treats rateLimitMs 0 as unlimited', () => {
+    assert.deepEqual(resolveRateLimit({ name: 'A', rateLimitMs: 0 }), {});
+  });
+
+  it('prefers an explicit rateLimit on the source', () => {
+    const source = { name: 'A', rateLimitMs: 1000, rateLimit: { requestsPerMinute: 20 } };
+    assert.deepEqual(resolveRateLimit(source), { requestsPerMinute: 20 });
+  });
+
+  it('applies per-source overrides by name', () => {
+    const source = { name: 'A', rateLimitMs: 1000 };
+    const limit = resolveRateLimit(source, { A: { tokensPerMinute: 5000 }, B: { requestsPerMinute: 1 } });
+    assert.deepEqual(limit, { requestsPerMinute: 60, tokensPerMinute: 5000 });
+  });
+});
+
+// ============================================================
+// createRateLimiter
+// ============================================================
+
+describe('createRateLimiter', () => {
+  it('never waits when unlimited', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({}, clock);
+    for (let i = 0; i < 5; i++) await limiter.acquire(1000);
+    assert.deepEqual(clock.sleeps, []);
+  });
+
+  it('spaces requests evenly at requests/minute', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ requestsPerMinute: 60 }, clock);
+
+    await limiter.acquire(); // bucket starts full
+    await limiter.acquire();
+    await limiter.acquire();
+
+    assert.deepEqual(clock.sleeps, [1000, 1000]);
+  });
+
+  it('allows a burst before spacing kicks in', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ requestsPerMinute: 60, burst: 3 }, clock);
+
+    for (let i = 0; i < 4; i++) await limiter.acquire();
+
+    assert.deepEqual(clock.sleeps, [1000]);
+  });
+
+  it('does not wait when time has already passed', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ requestsPerMinute: 60 }, clock);
+
+    await limiter.acquire();
+    clock.t += 5000; // the call itself took 5s
+    await limiter.acquire();
+
+    assert.deepEqual(clock.sleeps, []);
+  });
+
+  it('waits for the token bucket to refill', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 6000 }, clock); // 100 tokens/s
+
+    await limiter.acquire(6000); // drains the bucket
+    const waited = await limiter.acquire(500);
+
+    assert.equal(waited, 5000);
+  });
+
+  it('charges actual usage beyond the estimate', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 6000 }, clock);
+
+    await limiter.acquire(0);
+    limiter.record(6000 + 1000, 0); // bucket is now 1000 tokens in debt
+    const waited = await limiter.acquire(0);
+
+    assert.equal(waited, 10_000);
+  });
+
+  it('caps an oversized estimate at the bucket capacity', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 1000 }, clock);
+
+    const waited = await limiter.acquire(50_000);
+
+    assert.equal(waited, 0);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Results Report
+ *
+ * Summarizes stored CSV rows per query and source: how often Development
+ * Seed was mentioned and recommended, the mean prominence score, its
+ * share of voice among competitors and the spend. Prompt changes from the
+ * change log that fall inside the period are flagged, since they split a
+ * series. No side effects — the caller reads results.csv and the change
+ * log, and prints.
+ *
+ * @module report
+ */
+
+/**
+ * @typedef {Object} ReportLine
+ * @property {string} query_id
+ * @property {string} query_name
+ * @property {string} source
+ * @property {number} responses - Per-response rows summarized
+ * @property {number} mentionRate - Share of responses mentioning DS (0-1)
+ * @property {number} recommendRate - Share of responses recommending DS (0-1)
+ * @property {number} meanScore - Mean prominence score
+ * @property {number|null} shareOfVoice - Mean DS share of entity mentions (0-1), over rows
+ *   that have one (null if none do)
+ * @property {number} cost - Summed USD cost (0 for rows stored without one)
+ * @property {number} promptChanges - Prompt changes of the query within the period
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {string|null} firstDate - Earliest date summarized
+ * @property {string|null} lastDate - Latest date summarized
+ * @property {number} responses - Per-response rows summarized
+ * @property {number} cost - Summed USD cost
+ * @property {ReportLine[]} lines - One per query and source, in order of first appearance
+ * @property {import('./prompt-log.js').PromptChange[]} changes - Prompt changes of the reported
+ *   queries after the first date and up to the last, in log order
+ */
+
+/**
+ * Summarize stored rows. Aggregate rows are skipped, since the sample
+ * rows they summarize are counted directly.
+ *
+ * @param {Object<string, string>[]} rows - Rows read from results.csv
+ * @param {Object} [range]
+ * @param {string} [range.from] - First date to include (YYYY-MM-DD)
+ * @param {string} [range.to] - Last date to include (YYYY-MM-DD)
+ * @param {import('./prompt-log.js').PromptChange[]} [range.changes] - The prompt change log
+ * @returns {Report}
+ */
+export function summarizeResults(rows, { from, to, changes = [] } = {}) {
+  const groups = new Map();
+  let firstDate = null;
+  let lastDate = null;
+
+  for (const row of rows) {
+    if (row.sample === 'aggregate') continue;
+    if ((from && row.date < from) || (to && row.date > to)) continue;
+
+    if (!firstDate || row.date < firstDate) firstDate = row.date;
+    if (!lastDate || row.date > lastDate) lastDate = row.date;
+
+    const key = `${row.query_id}\u0000${row.source}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        query_id: row.query_id,
+        query_name: row.query_name,
+        source: row.source,
+        responses: 0,
+        mentioned: 0,
+        recommended: 0,
+        score: 0,
+        sovRows: 0,
+        sov: 0,
+        cost: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.responses++;
+    if (row.mentioned === 'true') group.mentioned++;
+    if (row.recommended === 'true') group.recommended++;
+    group.score += Number(row.prominence_score) || 0;
+    if (row.sov_mentions !== undefined && row.sov_mentions !== '') {
+      group.sovRows++;
+      group.sov += Number(row.sov_mentions);
+    }
+    group.cost += Number(row.cost) || 0;
+  }
+
+  // A change on the first date predates every row; later ones split the series
+  const queryIds = new Set([...groups.values()].map((group) => group.query_id));
+  const periodChanges = changes.filter((change) => (
+    queryIds.has(change.query_id) && change.date > firstDate && change.date <= lastDate
+  ));
+
+  const lines = [...groups.values()].map((group) => ({
+    query_id: group.query_id,
+    query_name: group.query_name,
+    source: group.source,
+    responses: group.responses,
+    mentionRate: group.mentioned / group.responses,
+    recommendRate: group.recommended / group.responses,
+    meanScore: group.score / group.responses,
+    shareOfVoice: group.sovRows > 0 ? group.sov / group.sovRows : null,
+    cost: group.cost,
+    promptChanges: periodChanges.filter((change) => change.query_id === group.query_id).length,
+  }));
+
+  return {
+    firstDate,
+    lastDate,
+    responses: lines.reduce((sum, line) => sum + line.responses, 0),
+    cost: lines.reduce((sum, line) => sum + line.cost, 0),
+    lines,
+    changes: periodChanges,
+  };
+}
+
+/**
+ * Format a percentage for the report table.
+ * @param {number} rate - 0-1
+ * @returns {string}
+ */
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Format a report as a plain-text table.
+ *
+ * @param {Report} report
+ * @returns {string[]} Lines to print
+ */
+export function formatReport(report) {
+  if (report.responses === 0) return ['No results match.'];
+
+  const header = ['Query', 'Source', 'Responses', 'Mentioned', 'Recommended', 'Mean score', 'Share of voice', 'Cost'];
+  const table = report.lines.map((line) => [
+    line.promptChanges > 0 ? `${line.query_id} *` : line.query_id,
+    line.source,
+    String(line.responses),
+    percent(line.mentionRate),
+    percent(line.recommendRate),
+    line.meanScore.toFixed(1),
+    line.shareOfVoice === null ? '-' : percent(line.shareOfVoice),
+    `$${line.cost.toFixed(4)}`,
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...table.map((cells) => cells[i].length)));
+  const format = (cells) => cells.map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+  return [
+    `Dates:      ${report.firstDate} to ${report.lastDate}`,
+    `Responses:  ${report.responses}`,
+    `Cost:       $${report.cost.toFixed(4)}`,
+    '',
+    format(header),
+    format(widths.map((width) => '-'.repeat(width))),
+    ...table.map(format),
+    ...(report.changes.length > 0 ? [
+      '',
+      '* Prompt changed within the period; its series mixes prompt versions (split by term_id/term_hash):',
+      ...report.changes.map((change) => `  ${change.date}  ${change.change.padEnd(8)} ${change.term_id}: "${change.search_term}"`),
+    ] : []),
+  ];
+}
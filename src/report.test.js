@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeResults, formatReport } from './report.js';
+
+/** A stored CSV row as readResults() returns it: all strings. */
+function row(overrides = {}) {
+  return {
+    date: '2026-03-01',
+    source: 'Claude',
+    query_name: 'titiler',
+    query_id: 'titiler',
+    prominence_score: '50',
+    mentioned: 'true',
+    recommended: 'false',
+    sample: '1',
+    cost: '0.01',
+    sov_mentions: '0.5',
+    ...overrides,
+  };
+}
+
+describe('summarizeResults', () => {
+  it('summarizes per query and source', () => {
+    const report = summarizeResults([
+      row(),
+      row({ date: '2026-03-02', prominence_score: '0', mentioned: 'false', recommended: 'true' }),
+      row({ source: 'ChatGPT', cost: '' }),
+    ]);
+
+    assert.equal(report.firstDate, '2026-03-01');
+    assert.equal(report.lastDate, '2026-03-02');
+    assert.equal(report.responses, 3);
+    assert.deepEqual(report.lines.map((line) => [line.source, line.responses]), [['Claude', 2], ['ChatGPT', 1]]);
+    const [claude] = report.lines;
+    assert.equal(claude.mentionRate, 0.5);
+    assert.equal(claude.recommendRate, 0.5);
+    assert.equal(claude.meanScore, 25);
+    assert.equal(claude.cost, 0.02);
+    assert.equal(report.lines[1].cost, 0, 'rows without a cost count as 0');
+  });
+
+  it('averages share of voice over the rows that have one', () => {
+    const report = summarizeResults([row({ sov_mentions: '0.2' }), row({ sov_mentions: '' }), row({ sov_mentions: '0.6' }), row({ source: 'ChatGPT', sov_mentions: '' })]);
+    assert.ok(Math.abs(report.lines[0].shareOfVoice - 0.4) < 1e-9);
+    assert.equal(report.lines[1].shareOfVoice, null);
+    assert.match(formatReport(report)[7], /ChatGPT.*\s-\s/);
+  });
+
+  it('skips aggregate rows and rows outside the date range', () => {
+    const report = summarizeResults([
+      row({ date: '2026-02-28' }),
+      row(),
+      row({ sample: 'aggregate' }),
+      row({ date: '2026-03-05' }),
+    ], { from: '2026-03-01', to: '2026-03-04' });
+    assert.equal(report.responses, 1);
+  });
+
+  it('flags prompt changes of the reported queries within the period', () => {
+    const change = (date, query_id, change = 'modified') => ({ date, change, term_id: `${query_id}:en:1`, query_id, search_term: 'x' });
+    const report = summarizeResults([row(), row({ date: '2026-03-03' }), row({ query_id: 'stac', query_name: 'STAC' })], {
+      changes: [
+        change('2026-03-01', 'titiler', 'added'), // first date: predates the rows
+        change('2026-03-02', 'titiler'),
+        change('2026-03-02', 'cogeo'), // not reported
+        change('2026-03-04', 'titiler'), // after the last date
+      ],
+    });
+    assert.deepEqual(report.changes.map((c) => [c.date, c.query_id]), [['2026-03-02', 'titiler']]);
+    assert.deepEqual(report.lines.map((line) => [line.query_id, line.promptChanges]), [['titiler', 1], ['stac', 0]]);
+  });
+});
+
+describe('formatReport', () => {
+  it('prints a table with one line per query and source', () => {
+    const lines = formatReport(summarizeResults([row(), row({ source: 'ChatGPT' })]));
+    assert.equal(lines[0], 'Dates:      2026-03-01 to 2026-03-01');
+    assert.match(lines[4], /^Query\s+Source\s+Responses/);
+    assert.match(lines[6], /^titiler\s+Claude\s+1\s+100%\s+0%\s+50\.0\s+50%\s+\$0\.0100$/);
+    assert.equal(lines.length, 8);
+  });
+
+  it('marks lines whose prompt changed and lists the changes', () => {
+    const lines = formatReport(summarizeResults([row(), row({ date: '2026-03-02' })], {
+      changes: [{ date: '2026-03-02', change: 'modified', term_id: 'titiler:en:1', query_id: 'titiler', search_term: 'What is titiler, really?' }],
+    }));
+    assert.match(lines[6], /^titiler \*\s+Claude/);
+    assert.equal(lines.at(-1), '  2026-03-02  modified titiler:en:1: "What is titiler, really?"');
+  });
+
+  it('says so when nothing matches', () => {
+    assert.deepEqual(formatReport(summarizeResults([])), ['No results match.']);
+  });
+});
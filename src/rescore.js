@@ -0,0 +1,170 @@
+/**
+ * Offline Re-scoring
+ *
+ * Replays archived raw responses through the current `analyzeResponse` so
+ * historical scores stay comparable after changes to profiles, lexicons or
+ * `calculateScore`. Makes no API calls and has no side effects — the caller
+ * reads the archive and CSV and writes the re-scored dataset.
+ *
+ * @module rescore
+ */
+
+import { analyzeResponse } from './analysis.js';
+import { buildEventRow, buildAggregateRow } from './orchestrator.js';
+
+/** Columns whose change is counted in the diff summary. */
+const COMPARED_COLUMNS = ['mentioned', 'recommended', 'prominence_score'];
+
+/**
+ * @typedef {Object} RescoreDiff
+ * @property {number} total - Archived responses re-scored
+ * @property {number} matched - Responses joined to a stored CSV row via response_id
+ * @property {number} unmatched - Responses with no stored CSV row to compare against
+ * @property {number} rowsChanged - Matched rows where any compared column changed
+ * @property {Object<string, number>} changed - Changed-row count per compared column
+ * @property {number} scoreDelta - Sum of (new - old) prominence_score over matched rows
+ */
+
+/**
+ * Key of the prompt a row belongs to, shared by its samples and their
+ * aggregate rows.
+ *
+ * @param {Object} row - Event row, or a stored CSV row
+ * @returns {string}
+ */
+function promptGroupKey(row) {
+  return [row.date, row.source, row.query_id, row.search_term, row.location ?? ''].join('\u0000');
+}
+
+/**
+ * Re-insert aggregate rows after each run of samples of the same prompt,
+ * one per conversation turn, in the order a live run writes them.
+ *
+ * The archive is append-ordered and a prompt's samples (and each sample's
+ * turns) are written back to back, so a new group starts whenever the
+ * prompt changes or the (sample, turn) pair does not move forward.
+ *
+ * A group gets aggregates when the live run wrote them: its records say
+ * more than one sample was asked for, or (for archives older than that
+ * field) the stored CSV has an aggregate row for the prompt, or a sample
+ * above 1 survives. A prompt left with one successful sample keeps its
+ * aggregate.
+ *
+ * @param {import('./orchestrator.js').EventRow[]} rows - Re-scored sample rows, in archive order
+ * @param {(group: import('./orchestrator.js').EventRow[]) => boolean} wasAggregated - Whether
+ *   the live run wrote aggregates for a group
+ * @returns {import('./orchestrator.js').EventRow[]}
+ */
+function withAggregates(rows, wasAggregated) {
+  const output = [];
+  let group = [];
+
+  const flush = () => {
+    output.push(...group);
+    if (group.length > 0 && wasAggregated(group)) {
+      const turns = [...new Set(group.map((row) => row.turn))].sort((a, b) => a - b);
+      for (const turn of turns) {
+        output.push(buildAggregateRow(group.filter((row) => row.turn === turn)));
+      }
+    }
+    group = [];
+  };
+
+  for (const row of rows) {
+    const previous = group[group.length - 1];
+    const samePrompt = previous
+      && previous.date === row.date
+      && previous.source === row.source
+      && previous.query_id === row.query_id
+      && previous.search_term === row.search_term
+      && previous.location === row.location
+      && (row.sample > previous.sample || (row.sample === previous.sample && row.turn > previous.turn));
+    if (!samePrompt) flush();
+    group.push(row);
+  }
+  flush();
+
+  return output;
+}
+
+/**
+ * Re-score archived responses and diff them against the stored CSV rows.
+ * Multi-sample prompts get their aggregate rows rebuilt from the new scores.
+ *
+ * @param {import('./archive.js').ArchiveRecord[]} records - Archived raw responses
+ * @param {Object<string, string>[]} storedRows - Rows read from results.csv
+ * @param {Object} [options]
+ * @param {import('./competitors.js').Competitor[]} [options.competitors] - Registry for share of
+ *   voice (default: competitors.js)
+ * @param {boolean} [options.scoreListRank=false] - Score DS's list rank instead of its position
+ * @param {import('./profiles.js').OwnedUrl[]} [options.ownedUrls=[]] - URL prefixes owned by DS
+ *   beyond those in profiles.js
+ * @returns {{ rows: import('./orchestrator.js').EventRow[], diff: RescoreDiff }}
+ */
+export function rescoreRecords(records, storedRows, { competitors, scoreListRank = false, ownedUrls = [] } = {}) {
+  const storedById = new Map();
+  for (const row of storedRows) {
+    if (row.response_id) storedById.set(row.response_id, row);
+  }
+
+  const changed = Object.fromEntries(COMPARED_COLUMNS.map((column) => [column, 0]));
+  let matched = 0;
+  let rowsChanged = 0;
+  let scoreDelta = 0;
+
+  const rows = records.map((record) => {
+    const row = buildEventRow(record, analyzeResponse(record, { locale: record.locale, competitors, scoreListRank, ownedUrls }));
+
+    const stored = storedById.get(record.response_id);
+    if (stored) {
+      matched++;
+      // Stored values are CSV strings, so compare string forms
+      const differing = COMPARED_COLUMNS.filter((column) => String(row[column]) !== stored[column]);
+      for (const column of differing) {
+        changed[column]++;
+      }
+      if (differing.length > 0) rowsChanged++;
+      scoreDelta += row.prominence_score - Number(stored.prominence_score);
+    }
+
+    return row;
+  });
+
+  const sampleCounts = new Map(records.map((record) => [record.response_id, record.samples]));
+  const storedAggregates = new Set(storedRows.filter((row) => row.sample === 'aggregate').map(promptGroupKey));
+  const wasAggregated = (group) => {
+    const samples = sampleCounts.get(group[0].response_id);
+    if (samples !== undefined) return samples > 1;
+    return storedAggregates.has(promptGroupKey(group[0])) || group.some((row) => row.sample > 1);
+  };
+
+  return {
+    rows: withAggregates(rows, wasAggregated),
+    diff: {
+      total: records.length,
+      matched,
+      unmatched: records.length - matched,
+      rowsChanged,
+      changed,
+      scoreDelta,
+    },
+  };
+}
+
+/**
+ * Format a diff summary for the console.
+ *
+ * @param {RescoreDiff} diff
+ * @returns {string[]} Lines to print
+ */
+export function formatDiff(diff) {
+  const meanDelta = diff.matched > 0 ? diff.scoreDelta / diff.matched : 0;
+  const sign = meanDelta > 0 ? '+' : '';
+  return [
+    `Re-scored:      ${diff.total}`,
+    `Matched rows:   ${diff.matched} (${diff.unmatched} without a stored CSV row)`,
+    `Rows changed:   ${diff.rowsChanged}`,
+    ...COMPARED_COLUMNS.map((column) => `  ${column.padEnd(18)} ${diff.changed[column]}`),
+    `Mean score Δ:   ${sign}${meanDelta.toFixed(2)}`,
+  ];
+}
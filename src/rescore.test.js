@@ -0,0 +1,213 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rescoreRecords, formatDiff } from './rescore.js';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function sampleRecord(overrides = {}) {
+  return {
+    response_id: 'r-1',
+    date: '2026-02-09',
+    recorded_at: '2026-02-09T09:00:01.000Z',
+    source: 'Perplexity',
+    data_source: 'web',
+    query_id: 'titiler',
+    query_name: 'titiler',
+    category: 'product',
+    search_term: 'What is titiler?',
+    content: 'Development Seed built titiler, a recommended tile server.',
+    citations: [],
+    searchResults: [],
+    usage: { promptTokens: 10, completionTokens: 20, totalTokens: 30 },
+    attempts: 1,
+    ...overrides,
+  };
+}
+
+/** A stored CSV row as readResults() returns it: all strings. */
+function storedRow(overrides = {}) {
+  return {
+    response_id: 'r-1',
+    prominence_score: '65',
+    mentioned: 'true',
+    recommended: 'true',
+    ...overrides,
+  };
+}
+
+// ============================================================
+// rescoreRecords
+// ============================================================
+
+describe('rescoreRecords', () => {
+  it('rebuilds full event rows from archived responses', () => {
+    const { rows } = rescoreRecords([sampleRecord()], []);
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].response_id, 'r-1');
+    assert.equal(rows[0].source, 'Perplexity');
+    assert.equal(rows[0].search_term, 'What is titiler?');
+    assert.equal(rows[0].mentioned, true);
+    assert.equal(rows[0].tokens, 30);
+  });
+
+  it('prices each response from its model, usage and date', () => {
+    const { rows } = rescoreRecords([sampleRecord({ model: 'sonar' })], []);
+    // 30 tokens at $1/1M plus the $0.005 request fee
+    assert.equal(rows[0].cost, 0.00503);
+    assert.equal(rows[0].model, 'sonar');
+    assert.equal(rows[0].pricing_version, '2025-01');
+  });
+
+  it('reports no changes when stored values match the current analysis', () => {
+    const { rows, diff } = rescoreRecords([sampleRecord()], []);
+    const stored = storedRow({
+      prominence_score: String(rows[0].prominence_score),
+      mentioned: String(rows[0].mentioned),
+      recommended: String(rows[0].recommended),
+    });
+
+    const result = rescoreRecords([sampleRecord()], [stored]);
+
+    assert.equal(diff.unmatched, 1);
+    assert.equal(result.diff.matched, 1);
+    assert.equal(result.diff.rowsChanged, 0);
+    assert.equal(result.diff.scoreDelta, 0);
+  });
+
+  it('counts changed columns per matched row', () => {
+    const stored = storedRow({ prominence_score: '30', recommended: 'false' });
+
+    const { rows, diff } = rescoreRecords([sampleRecord()], [stored]);
+
+    assert.equal(diff.rowsChanged, 1);
+    assert.equal(diff.changed.recommended, 1);
+    assert.equal(diff.changed.mentioned, 0);
+    assert.equal(diff.changed.prominence_score, 1);
+    assert.equal(diff.scoreDelta, rows[0].prominence_score - 30);
+  });
+
+  it('treats responses without a stored row as unmatched', () => {
+    const { diff } = rescoreRecords(
+      [sampleRecord(), sampleRecord({ response_id: 'r-2' })],
+      [storedRow({ response_id: 'other' })],
+    );
+    assert.equal(diff.total, 2);
+    assert.equal(diff.matched, 0);
+    assert.equal(diff.unmatched, 2);
+  });
+});
+
+describe('rescoreRecords with samples', () => {
+  it('rebuilds an aggregate row after each group of samples', () => {
+    const records = [
+      sampleRecord({ response_id: 'a1', sample: 1 }),
+      sampleRecord({ response_id: 'a2', sample: 2, content: 'No mention here.' }),
+      sampleRecord({ response_id: 'b1', sample: 1, search_term: 'Other?' }),
+      sampleRecord({ response_id: 'b2', sample: 2, search_term: 'Other?' }),
+    ];
+
+    const { rows, diff } = rescoreRecords(records, []);
+
+    assert.deepEqual(rows.map((r) => r.sample), [1, 2, 'aggregate', 1, 2, 'aggregate']);
+    assert.equal(rows[2].mention_rate, 0.5);
+    assert.equal(rows[5].search_term, 'Other?');
+    assert.equal(diff.total, 4, 'aggregates are not counted as re-scored responses');
+  });
+
+  it('rebuilds one aggregate per turn for sampled conversations', () => {
+    const turn = (sample, n, extra = {}) => sampleRecord({
+      response_id: `s${sample}t${n}`, sample, turn: n, turn_prompt: n === 1 ? undefined : 'Follow-up?', ...extra,
+    });
+    const records = [turn(1, 1), turn(1, 2), turn(2, 1), turn(2, 2, { content: 'No mention here.' })];
+
+    const { rows } = rescoreRecords(records, []);
+
+    assert.deepEqual(
+      rows.map((r) => [r.sample, r.turn]),
+      [[1, 1], [1, 2], [2, 1], [2, 2], ['aggregate', 1], ['aggregate', 2]],
+    );
+    assert.equal(rows[4].mention_rate, 1);
+    assert.equal(rows[5].mention_rate, 0.5);
+    assert.equal(rows[5].turn_prompt, 'Follow-up?');
+  });
+
+  it('keeps samples of different locations in separate groups', () => {
+    const records = [
+      sampleRecord({ response_id: 'u1', sample: 1, location: { id: 'us', country: 'US' } }),
+      sampleRecord({ response_id: 'u2', sample: 2, location: { id: 'us', country: 'US' } }),
+      sampleRecord({ response_id: 'd1', sample: 1, location: { id: 'de', country: 'DE' } }),
+      sampleRecord({ response_id: 'd2', sample: 2, location: { id: 'de', country: 'DE' } }),
+    ];
+
+    const { rows } = rescoreRecords(records, []);
+
+    assert.deepEqual(
+      rows.map((r) => [r.location, r.sample]),
+      [['us', 1], ['us', 2], ['us', 'aggregate'], ['de', 1], ['de', 2], ['de', 'aggregate']],
+    );
+  });
+
+  it('keeps the aggregate of a prompt left with one successful sample', () => {
+    const records = [sampleRecord({ response_id: 'a1', sample: 1, samples: 3 })];
+    assert.deepEqual(rescoreRecords(records, []).rows.map((r) => [r.sample, r.sample_count]), [[1, undefined], ['aggregate', 1]]);
+  });
+
+  it('falls back to the stored aggregate rows for records without a sample count', () => {
+    const records = [
+      sampleRecord({ response_id: 'a1', sample: 1 }),
+      sampleRecord({ response_id: 'b1', sample: 1, search_term: 'Other?' }),
+    ];
+    const stored = [
+      storedRow({ response_id: 'a1', date: '2026-02-09', source: 'Perplexity', query_id: 'titiler', search_term: 'What is titiler?', location: '', sample: '1' }),
+      storedRow({ response_id: '', date: '2026-02-09', source: 'Perplexity', query_id: 'titiler', search_term: 'What is titiler?', location: '', sample: 'aggregate' }),
+    ];
+    assert.deepEqual(rescoreRecords(records, stored).rows.map((r) => [r.search_term, r.sample]), [
+      ['What is titiler?', 1],
+      ['What is titiler?', 'aggregate'],
+      ['Other?', 1],
+    ]);
+  });
+
+  it('adds no aggregate when the run asked for one sample', () => {
+    const records = [sampleRecord({ response_id: 'a1', sample: 1, samples: 1 })];
+    assert.deepEqual(rescoreRecords(records, []).rows.map((r) => r.sample), [1]);
+  });
+
+  it('adds no aggregate for a single-sample conversation', () => {
+    const records = [
+      sampleRecord({ response_id: 'c1', turn: 1 }),
+      sampleRecord({ response_id: 'c2', turn: 2, turn_prompt: 'Follow-up?' }),
+    ];
+    assert.deepEqual(rescoreRecords(records, []).rows.map((r) => r.sample), [1, 1]);
+  });
+
+  it('adds no aggregate for single-sample records', () => {
+    const { rows } = rescoreRecords([sampleRecord(), sampleRecord({ response_id: 'r-2' })], []);
+    assert.deepEqual(rows.map((r) => r.sample), [1, 1]);
+  });
+});
+
+// ============================================================
+// formatDiff
+// ============================================================
+
+describe('formatDiff', () => {
+  it('prints totals, per-column counts and mean score delta', () => {
+    const lines = formatDiff({
+      total: 4,
+      matched: 2,
+      unmatched: 2,
+      rowsChanged: 1,
+      changed: { mentioned: 0, recommended: 1, prominence_score: 1 },
+      scoreDelta: -20,
+    });
+    const text = lines.join('\n');
+    assert.match(text, /Re-scored:\s+4/);
+    assert.match(text, /Rows changed:\s+1/);
+    assert.match(text, /recommended\s+1/);
+    assert.match(text, /Mean score Δ:\s+-10\.00/);
+  });
+});
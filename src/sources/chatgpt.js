@@ -8,6 +8,9 @@
  * @see https://platform.openai.com/docs/api-reference/responses
  */
 
+import { postJson } from './http-client.js';
+import { isReplaying, hasFixtures } from './fixtures.js';
+
 const API_ENDPOINT = 'https://api.openai.com/v1/responses';
 const MODEL = 'gpt-4o';
 const FETCH_TIMEOUT_MS = 60_000; // 60s — web search can be slow
@@ -20,66 +23,94 @@ const chatgpt = {
   name: 'ChatGPT',
   referrer: 'https://chatgpt.com',
   rateLimitMs: 1000,
+  model: MODEL,
   dataSource: 'web',
+  supportsLocation: true,
 
   /**
-   * Check if this source is enabled (API key configured).
+   * Check if this source is enabled (API key configured, or fixtures
+   * recorded when replaying).
    * @returns {boolean}
    */
   enabled() {
-    return !!process.env.OPENAI_API_KEY;
+    return isReplaying() ? hasFixtures('ChatGPT') : !!process.env.OPENAI_API_KEY;
   },
 
   /**
    * Query ChatGPT with a search term using web_search tool.
    *
    * @param {string} searchTerm - The search term to query
+   * @param {import('../queries.js').GenerationParams} [params] - System prompt, temperature, max tokens
+   * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+   * @param {import('../config.js').UserLocation} [location] - Approximate location of the asker
    * @returns {Promise<import('../analysis.js').NormalizedResult>}
    */
-  async query(searchTerm) {
+  async query(searchTerm, params = {}, history = [], location) {
     const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
+    if (!apiKey && !isReplaying()) {
       throw new Error('OPENAI_API_KEY not configured');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-
-    try {
-      const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          tools: [{ type: 'web_search' }],
-          input: searchTerm,
-        }),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const body = await response.text().catch(() => '');
-        throw new Error(`ChatGPT API error: HTTP ${response.status} ${body}`);
-      }
-
-      const data = await response.json();
-      return normalizeResponse(data);
-    } catch (error) {
-      clearTimeout(timeoutId);
-
-      if (error.name === 'AbortError') {
-        throw new Error(`ChatGPT API timeout after ${FETCH_TIMEOUT_MS}ms`);
-      }
-      throw error;
-    }
+    const { data, attempts } = await postJson(API_ENDPOINT, {
+      label: 'ChatGPT',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: buildRequestBody(searchTerm, params, history, location),
+      timeoutMs: FETCH_TIMEOUT_MS,
+      fixture: { model: MODEL, searchTerm, params, history, location },
+    });
+
+    return { ...normalizeResponse(data), attempts };
   },
 };
 
+/**
+ * Build the Responses API request body. A single prompt is sent as a plain
+ * `input` string; a conversation as a list of message input items ending
+ * with the new user message. The system prompt is sent as `instructions`;
+ * unset parameters are omitted so API defaults apply. A location is sent as
+ * the web search tool's approximate `user_location`.
+ *
+ * @param {string} searchTerm
+ * @param {import('../queries.js').GenerationParams} [params]
+ * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+ * @param {import('../config.js').UserLocation} [location] - Approximate location of the asker
+ * @returns {Object}
+ */
+export function buildRequestBody(searchTerm, { systemPrompt, temperature, maxTokens } = {}, history = [], location) {
+  return {
+    model: MODEL,
+    tools: [{
+      type: 'web_search',
+      ...(location && {
+        user_location: pickDefined({
+          type: 'approximate',
+          country: location.country,
+          region: location.region,
+          city: location.city,
+          timezone: location.timezone,
+        }),
+      }),
+    }],
+    input: history.length > 0
+      ? [...history, { role: 'user', content: searchTerm }].map(({ role, content }) => ({ type: 'message', role, content }))
+      : searchTerm,
+    ...(systemPrompt && { instructions: systemPrompt }),
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens !== undefined && { max_output_tokens: maxTokens }),
+  };
+}
+
+/**
+ * Drop undefined fields from an object.
+ * @param {Object} object
+ * @returns {Object}
+ */
+function pickDefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
 /**
  * Normalize an OpenAI Responses API response into the shared result format.
  *
@@ -136,6 +167,8 @@ export function normalizeResponse(data) {
       promptTokens: usage.input_tokens || 0,
       completionTokens: usage.output_tokens || 0,
       totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
+      // Each web_search_call output item is a billed tool call
+      searches: output.filter((item) => item.type === 'web_search_call').length,
     },
   };
 }
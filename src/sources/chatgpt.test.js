@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import chatgpt, { normalizeResponse } from './chatgpt.js';
+import chatgpt, { normalizeResponse, buildRequestBody } from './chatgpt.js';
 
 // ============================================================
 // normalizeResponse — unit tests
@@ -56,6 +56,7 @@ describe('chatgpt normalizeResponse', () => {
     assert.equal(result.usage.promptTokens, 50);
     assert.equal(result.usage.completionTokens, 200);
     assert.equal(result.usage.totalTokens, 250);
+    assert.equal(result.usage.searches, 1, 'one web_search_call item');
   });
 
   it('deduplicates citations', () => {
@@ -158,6 +159,57 @@ describe('chatgpt normalizeResponse', () => {
   });
 });
 
+// ============================================================
+// buildRequestBody — unit tests
+// ============================================================
+
+const BERLIN = {
+  id: 'de-berlin', country: 'DE', region: 'Berlin', city: 'Berlin',
+  timezone: 'Europe/Berlin', latitude: 52.52, longitude: 13.405,
+};
+
+const HISTORY = [
+  { role: 'user', content: 'Open source tools for raster tiles?' },
+  { role: 'assistant', content: 'titiler, TiTiler-PgSTAC and rio-tiler.' },
+];
+
+describe('chatgpt buildRequestBody', () => {
+  it('sends the bare search term with web search by default', () => {
+    const body = buildRequestBody('What is titiler?');
+    assert.deepEqual(body, {
+      model: 'gpt-4o',
+      tools: [{ type: 'web_search' }],
+      input: 'What is titiler?',
+    });
+  });
+
+  it('maps the system prompt to instructions and max tokens to max_output_tokens', () => {
+    const body = buildRequestBody('What is titiler?', { systemPrompt: 'You are a GIS analyst.', temperature: 0.2, maxTokens: 800 });
+    assert.equal(body.instructions, 'You are a GIS analyst.');
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_output_tokens, 800);
+    assert.equal(body.input, 'What is titiler?');
+  });
+
+  it('sends the location as the web search tool\'s approximate user_location', () => {
+    const body = buildRequestBody('Tile servers?', {}, [], BERLIN);
+    assert.deepEqual(body.tools, [{
+      type: 'web_search',
+      user_location: { type: 'approximate', country: 'DE', region: 'Berlin', city: 'Berlin', timezone: 'Europe/Berlin' },
+    }]);
+  });
+
+  it('sends a conversation as message input items', () => {
+    const body = buildRequestBody('Which would you recommend for COGs?', {}, HISTORY);
+    assert.deepEqual(body.input, [
+      { type: 'message', role: 'user', content: 'Open source tools for raster tiles?' },
+      { type: 'message', role: 'assistant', content: 'titiler, TiTiler-PgSTAC and rio-tiler.' },
+      { type: 'message', role: 'user', content: 'Which would you recommend for COGs?' },
+    ]);
+    assert.deepEqual(body.tools, [{ type: 'web_search' }]);
+  });
+});
+
 // ============================================================
 // chatgpt.enabled() — tests
 // ============================================================
@@ -202,4 +254,6 @@ describe('chatgpt source metadata', () => {
   it('has correct referrer', () => assert.equal(chatgpt.referrer, 'https://chatgpt.com'));
   it('has rate limit of 1 second', () => assert.equal(chatgpt.rateLimitMs, 1000));
   it('has web data source', () => assert.equal(chatgpt.dataSource, 'web'));
+  it('supports user locations', () => assert.equal(chatgpt.supportsLocation, true));
+  it('declares its model for pricing', () => assert.equal(chatgpt.model, 'gpt-4o'));
 });
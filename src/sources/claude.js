@@ -11,10 +11,13 @@
  * @see https://docs.anthropic.com/en/api/messages
  */
 
+import { postJson } from './http-client.js';
+import { isReplaying, hasFixtures } from './fixtures.js';
+
 const API_ENDPOINT = 'https://api.anthropic.com/v1/messages';
 const MODEL = 'claude-sonnet-4-5-20250929';
 const ANTHROPIC_VERSION = '2023-06-01';
-const MAX_TOKENS = 1024;
+const DEFAULT_MAX_TOKENS = 1024; // max_tokens is required by the Messages API
 const FETCH_TIMEOUT_MS = 30_000;
 
 /**
@@ -25,69 +28,73 @@ const claude = {
   name: 'Claude',
   referrer: 'https://claude.ai',
   rateLimitMs: 1000,
+  model: MODEL,
   dataSource: 'training', // No web search — training data only
+  // Sent when a query does not set them, so rows record what was applied
+  defaultParams: { maxTokens: DEFAULT_MAX_TOKENS },
 
   /**
-   * Check if this source is enabled (API key configured).
+   * Check if this source is enabled (API key configured, or fixtures
+   * recorded when replaying).
    * @returns {boolean}
    */
   enabled() {
-    return !!process.env.ANTHROPIC_API_KEY;
+    return isReplaying() ? hasFixtures('Claude') : !!process.env.ANTHROPIC_API_KEY;
   },
 
   /**
    * Query Claude with a search term.
    *
    * @param {string} searchTerm - The search term to query
+   * @param {import('../queries.js').GenerationParams} [params] - System prompt, temperature, max tokens
+   * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
    * @returns {Promise<import('../analysis.js').NormalizedResult>}
    */
-  async query(searchTerm) {
+  async query(searchTerm, params = {}, history = []) {
     const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
+    if (!apiKey && !isReplaying()) {
       throw new Error('ANTHROPIC_API_KEY not configured');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-
-    try {
-      const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'x-api-key': apiKey,
-          'anthropic-version': ANTHROPIC_VERSION,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          max_tokens: MAX_TOKENS,
-          messages: [
-            { role: 'user', content: searchTerm },
-          ],
-        }),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const body = await response.text().catch(() => '');
-        throw new Error(`Claude API error: HTTP ${response.status} ${body}`);
-      }
+    const { data, attempts } = await postJson(API_ENDPOINT, {
+      label: 'Claude',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: buildRequestBody(searchTerm, params, history),
+      timeoutMs: FETCH_TIMEOUT_MS,
+      fixture: { model: MODEL, searchTerm, params, history },
+    });
 
-      const data = await response.json();
-      return normalizeResponse(data);
-    } catch (error) {
-      clearTimeout(timeoutId);
-
-      if (error.name === 'AbortError') {
-        throw new Error(`Claude API timeout after ${FETCH_TIMEOUT_MS}ms`);
-      }
-      throw error;
-    }
+    return { ...normalizeResponse(data), attempts };
   },
 };
 
+/**
+ * Build the Messages API request body. The conversation history precedes
+ * the new user message in `messages`; the system prompt is sent as the
+ * top-level `system` field. `max_tokens` is required, so it falls back to
+ * DEFAULT_MAX_TOKENS when the query does not set one.
+ *
+ * @param {string} searchTerm
+ * @param {import('../queries.js').GenerationParams} [params]
+ * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+ * @returns {Object}
+ */
+export function buildRequestBody(searchTerm, { systemPrompt, temperature, maxTokens } = {}, history = []) {
+  return {
+    model: MODEL,
+    max_tokens: maxTokens ?? DEFAULT_MAX_TOKENS,
+    ...(systemPrompt && { system: systemPrompt }),
+    ...(temperature !== undefined && { temperature }),
+    messages: [
+      ...history,
+      { role: 'user', content: searchTerm },
+    ],
+  };
+}
+
 /**
  * Normalize an Anthropic Messages API response into the shared result format.
  *
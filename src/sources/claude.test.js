@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import claude, { normalizeResponse } from './claude.js';
+import claude, { normalizeResponse, buildRequestBody } from './claude.js';
 
 // ============================================================
 // normalizeResponse — unit tests
@@ -95,6 +95,39 @@ describe('claude normalizeResponse', () => {
   });
 });
 
+// ============================================================
+// buildRequestBody — unit tests
+// ============================================================
+
+const HISTORY = [
+  { role: 'user', content: 'Open source tools for raster tiles?' },
+  { role: 'assistant', content: 'titiler, TiTiler-PgSTAC and rio-tiler.' },
+];
+
+describe('claude buildRequestBody', () => {
+  it('falls back to 1024 max tokens, which the Messages API requires', () => {
+    const body = buildRequestBody('What is titiler?');
+    assert.deepEqual(body, {
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 1024,
+      messages: [{ role: 'user', content: 'What is titiler?' }],
+    });
+  });
+
+  it('sends the system prompt as the top-level system field and honours maxTokens', () => {
+    const body = buildRequestBody('What is titiler?', { systemPrompt: 'You are a GIS analyst.', temperature: 0.2, maxTokens: 800 });
+    assert.equal(body.system, 'You are a GIS analyst.');
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_tokens, 800);
+    assert.deepEqual(body.messages, [{ role: 'user', content: 'What is titiler?' }]);
+  });
+
+  it('sends the conversation history before the follow-up in messages', () => {
+    const body = buildRequestBody('Which would you recommend for COGs?', {}, HISTORY);
+    assert.deepEqual(body.messages, [...HISTORY, { role: 'user', content: 'Which would you recommend for COGs?' }]);
+  });
+});
+
 // ============================================================
 // claude.enabled() — tests
 // ============================================================
@@ -139,4 +172,8 @@ describe('claude source metadata', () => {
   it('has correct referrer', () => assert.equal(claude.referrer, 'https://claude.ai'));
   it('has rate limit of 1 second', () => assert.equal(claude.rateLimitMs, 1000));
   it('has training data source', () => assert.equal(claude.dataSource, 'training'));
+  it('does not take user locations', () => assert.ok(!claude.supportsLocation));
+  it('declares the max tokens it sends by default', () => {
+    assert.deepEqual(claude.defaultParams, { maxTokens: buildRequestBody('q').max_tokens });
+  });
 });
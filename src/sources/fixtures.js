@@ -0,0 +1,176 @@
+/**
+ * Record-and-Replay Fixtures for LLM Sources
+ *
+ * Lets full runs be exercised without network access or token spend.
+ *
+ *   GEO_FIXTURE_MODE=record  — every successful API response is saved as a fixture
+ *   GEO_FIXTURE_MODE=replay  — `source.query()` serves saved fixtures instead of calling the API
+ *
+ * Fixtures hold the raw (pre-normalization) response body, so replay goes
+ * through each source's own normalizer exactly like a live call. They are
+ * keyed by source, model, search term, generation parameters, user location
+ * and (for follow-up turns) the conversation history:
+ *
+ *   <GEO_FIXTURE_DIR>/<source>/<model>/<sha256(searchTerm [+ params] [+ history] [+ location])[0..16]>.json
+ *
+ * @module sources/fixtures
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures');
+const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * @typedef {Object} FixtureKey
+ * @property {string} source - Source name (e.g. "ChatGPT")
+ * @property {string} model - Model name sent to the API
+ * @property {string} searchTerm - The prompt sent to the model
+ * @property {import('../queries.js').GenerationParams} [params] - Generation parameters sent with it
+ * @property {import('../queries.js').ChatMessage[]} [history] - Earlier turns sent with it
+ * @property {import('../config.js').UserLocation} [location] - User location sent with it
+ */
+
+/**
+ * Current fixture mode, read from the environment at call time.
+ *
+ * @returns {'record'|'replay'|null} null when fixtures are off
+ * @throws {Error} If GEO_FIXTURE_MODE has an unknown value
+ */
+export function getFixtureMode() {
+  const mode = process.env.GEO_FIXTURE_MODE;
+  if (!mode) return null;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`GEO_FIXTURE_MODE must be one of ${FIXTURE_MODES.join(', ')} (got "${mode}")`);
+  }
+  return mode;
+}
+
+/**
+ * True when sources should serve fixtures instead of calling their API.
+ * @returns {boolean}
+ */
+export function isReplaying() {
+  return getFixtureMode() === 'replay';
+}
+
+/**
+ * Fixture directory, from GEO_FIXTURE_DIR or `fixtures/` at the repo root.
+ * @returns {string}
+ */
+export function getFixtureDir() {
+  return process.env.GEO_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+/**
+ * Make a name safe for use as a path segment.
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generation parameters in a fixed key order, without unset fields.
+ *
+ * @param {import('../queries.js').GenerationParams} [params]
+ * @returns {import('../queries.js').GenerationParams}
+ */
+function canonicalParams(params = {}) {
+  const canonical = {};
+  for (const name of ['systemPrompt', 'temperature', 'maxTokens']) {
+    if (params[name] !== undefined) canonical[name] = params[name];
+  }
+  return canonical;
+}
+
+/**
+ * Location fields sent to the API in a fixed key order, without unset fields.
+ * The id is only a label and is left out.
+ *
+ * @param {import('../config.js').UserLocation} location
+ * @returns {Object}
+ */
+function canonicalLocation(location) {
+  const canonical = {};
+  for (const name of ['country', 'region', 'city', 'timezone', 'latitude', 'longitude']) {
+    if (location[name] !== undefined) canonical[name] = location[name];
+  }
+  return canonical;
+}
+
+/**
+ * Path of the fixture file for a key. Single-turn prompts sent without
+ * generation parameters or a location hash the search term alone, so older
+ * fixtures stay valid.
+ *
+ * @param {FixtureKey} key
+ * @param {string} [dir=getFixtureDir()]
+ * @returns {string}
+ */
+export function fixturePath({ source, model, searchTerm, params, history = [], location }, dir = getFixtureDir()) {
+  const canonical = canonicalParams(params);
+  let input = searchTerm;
+  if (Object.keys(canonical).length > 0) input += `\n${JSON.stringify(canonical)}`;
+  if (history.length > 0) input += `\n${JSON.stringify(history)}`;
+  if (location) input += `\nlocation:${JSON.stringify(canonicalLocation(location))}`;
+  const hash = createHash('sha256').update(input).digest('hex').slice(0, 16);
+  return join(dir, slugify(source), slugify(model), `${hash}.json`);
+}
+
+/**
+ * Save a raw API response body as a fixture, overwriting any earlier one.
+ *
+ * @param {FixtureKey} key
+ * @param {Object} data - Raw response body
+ * @param {string} [dir=getFixtureDir()]
+ */
+export function writeFixture(key, data, dir = getFixtureDir()) {
+  const path = fixturePath(key, dir);
+  mkdirSync(dirname(path), { recursive: true });
+  const fixture = {
+    source: key.source,
+    model: key.model,
+    searchTerm: key.searchTerm,
+    params: canonicalParams(key.params),
+    history: key.history ?? [],
+    location: key.location ?? null,
+    recordedAt: new Date().toISOString(),
+    response: data,
+  };
+  writeFileSync(path, JSON.stringify(fixture, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Load the raw API response body saved for a key.
+ *
+ * @param {FixtureKey} key
+ * @param {string} [dir=getFixtureDir()]
+ * @returns {Object} Raw response body
+ * @throws {Error} If no fixture was recorded for the key
+ */
+export function readFixture(key, dir = getFixtureDir()) {
+  const path = fixturePath(key, dir);
+  if (!existsSync(path)) {
+    throw new Error(`No fixture recorded for ${key.source}/${key.model}: "${key.searchTerm}" (${path})`);
+  }
+  return JSON.parse(readFileSync(path, 'utf-8')).response;
+}
+
+/**
+ * Whether any fixtures were recorded for a source. Used by `enabled()`
+ * in replay mode, where API keys are not required.
+ *
+ * @param {string} source - Source name
+ * @param {string} [dir=getFixtureDir()]
+ * @returns {boolean}
+ */
+export function hasFixtures(source, dir = getFixtureDir()) {
+  const sourceDir = join(dir, slugify(source));
+  if (!existsSync(sourceDir)) return false;
+  return readdirSync(sourceDir, { recursive: true }).some((name) => String(name).endsWith('.json'));
+}
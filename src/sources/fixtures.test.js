@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  getFixtureMode,
+  fixturePath,
+  writeFixture,
+  readFixture,
+  hasFixtures,
+} from './fixtures.js';
+import { createOpenAICompatibleSource } from './openai-compatible.js';
+import claude from './claude.js';
+
+// Use a temp directory for fixture files
+const TEST_DIR = join(import.meta.dirname, '..', '..', '.test-tmp-fixtures');
+
+const KEY = { source: 'ChatGPT', model: 'gpt-4o', searchTerm: 'What is titiler?' };
+
+function cleanup() {
+  try { rmSync(TEST_DIR, { recursive: true }); } catch { /* ignore */ }
+}
+
+// Save and restore the env vars these tests touch
+const ENV_VARS = ['GEO_FIXTURE_MODE', 'GEO_FIXTURE_DIR', 'ANTHROPIC_API_KEY'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_VARS.map((name) => [name, process.env[name]]));
+  cleanup();
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value !== undefined) {
+      process.env[name] = value;
+    } else {
+      delete process.env[name];
+    }
+  }
+  cleanup();
+});
+
+// ============================================================
+// Fixture files
+// ============================================================
+
+describe('getFixtureMode', () => {
+  it('is null when unset', () => {
+    delete process.env.GEO_FIXTURE_MODE;
+    assert.equal(getFixtureMode(), null);
+  });
+
+  it('accepts record and replay', () => {
+    process.env.GEO_FIXTURE_MODE = 'record';
+    assert.equal(getFixtureMode(), 'record');
+    process.env.GEO_FIXTURE_MODE = 'replay';
+    assert.equal(getFixtureMode(), 'replay');
+  });
+
+  it('rejects unknown modes', () => {
+    process.env.GEO_FIXTURE_MODE = 'rewind';
+    assert.throws(() => getFixtureMode(), /must be one of record, replay/);
+  });
+});
+
+describe('fixture files', () => {
+  it('keys paths by source, model and search term', () => {
+    const path = fixturePath(KEY, TEST_DIR);
+    assert.ok(path.startsWith(join(TEST_DIR, 'chatgpt', 'gpt-4o')));
+    assert.notEqual(path, fixturePath({ ...KEY, searchTerm: 'Other?' }, TEST_DIR));
+    assert.notEqual(path, fixturePath({ ...KEY, model: 'gpt-4.1' }, TEST_DIR));
+  });
+
+  it('keys paths by generation parameters, ignoring their order and unset fields', () => {
+    const path = fixturePath(KEY, TEST_DIR);
+    assert.equal(fixturePath({ ...KEY, params: {} }, TEST_DIR), path);
+    assert.equal(fixturePath({ ...KEY, params: { temperature: undefined } }, TEST_DIR), path);
+
+    const withParams = fixturePath({ ...KEY, params: { temperature: 0, maxTokens: 500 } }, TEST_DIR);
+    assert.notEqual(withParams, path);
+    assert.equal(fixturePath({ ...KEY, params: { maxTokens: 500, temperature: 0 } }, TEST_DIR), withParams);
+  });
+
+  it('keys paths by user location', () => {
+    const path = fixturePath(KEY, TEST_DIR);
+    const us = fixturePath({ ...KEY, location: { id: 'us', country: 'US' } }, TEST_DIR);
+    assert.notEqual(us, path);
+    assert.notEqual(us, fixturePath({ ...KEY, location: { id: 'de', country: 'DE' } }, TEST_DIR));
+  });
+
+  it('keys paths by the location fields sent, not the location id', () => {
+    const berlin = { id: 'de', country: 'DE', city: 'Berlin', latitude: 52.52, longitude: 13.405 };
+    const path = fixturePath({ ...KEY, location: berlin }, TEST_DIR);
+    assert.notEqual(path, fixturePath({ ...KEY, location: { ...berlin, city: 'Munich', latitude: 48.14, longitude: 11.58 } }, TEST_DIR));
+    assert.equal(path, fixturePath({ ...KEY, location: { ...berlin, id: 'de-berlin' } }, TEST_DIR));
+  });
+
+  it('keys follow-up turns by their conversation history', () => {
+    const history = [{ role: 'user', content: 'Tile servers?' }, { role: 'assistant', content: 'titiler.' }];
+    const path = fixturePath(KEY, TEST_DIR);
+    assert.equal(fixturePath({ ...KEY, history: [] }, TEST_DIR), path);
+    assert.notEqual(fixturePath({ ...KEY, history }, TEST_DIR), path);
+    assert.notEqual(
+      fixturePath({ ...KEY, history }, TEST_DIR),
+      fixturePath({ ...KEY, history: [history[0], { role: 'assistant', content: 'rio-tiler.' }] }, TEST_DIR),
+    );
+  });
+
+  it('round-trips the raw response body', () => {
+    const body = { output: [{ type: 'message' }], usage: { input_tokens: 1 } };
+    writeFixture(KEY, body, TEST_DIR);
+    assert.deepEqual(readFixture(KEY, TEST_DIR), body);
+  });
+
+  it('throws a descriptive error for a missing fixture', () => {
+    assert.throws(() => readFixture(KEY, TEST_DIR), /No fixture recorded for ChatGPT\/gpt-4o: "What is titiler\?"/);
+  });
+
+  it('hasFixtures reports whether a source has any recordings', () => {
+    assert.equal(hasFixtures('ChatGPT', TEST_DIR), false);
+    writeFixture(KEY, {}, TEST_DIR);
+    assert.equal(hasFixtures('ChatGPT', TEST_DIR), true);
+    assert.equal(hasFixtures('Claude', TEST_DIR), false);
+  });
+});
+
+// ============================================================
+// Record and replay through a real source
+// ============================================================
+
+describe('record and replay', () => {
+  it('records a live response, then replays it without the server', async () => {
+    let requests = 0;
+    const server = createServer((req, res) => {
+      requests++;
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          choices: [{ message: { content: 'Development Seed built titiler.' } }],
+          usage: { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 },
+        }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const source = createOpenAICompatibleSource({
+      name: 'Stub',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      model: 'stub-model',
+    });
+    process.env.GEO_FIXTURE_DIR = TEST_DIR;
+
+    process.env.GEO_FIXTURE_MODE = 'record';
+    const live = await source.query('What is titiler?');
+    await new Promise((resolve) => server.close(resolve));
+    assert.equal(requests, 1);
+    assert.ok(existsSync(fixturePath({ source: 'Stub', model: 'stub-model', searchTerm: 'What is titiler?' }, TEST_DIR)));
+
+    process.env.GEO_FIXTURE_MODE = 'replay';
+    const replayed = await source.query('What is titiler?');
+
+    assert.equal(requests, 1, 'replay must not hit the network');
+    assert.deepEqual(replayed, live);
+  });
+
+  it('enables a source in replay mode only if it has fixtures, without an API key', async () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    process.env.GEO_FIXTURE_DIR = TEST_DIR;
+    process.env.GEO_FIXTURE_MODE = 'replay';
+    assert.equal(claude.enabled(), false);
+
+    writeFixture(
+      { source: 'Claude', model: 'claude-sonnet-4-5-20250929', searchTerm: 'Hello?' },
+      { content: [{ type: 'text', text: 'Hi from a fixture.' }], usage: { input_tokens: 1, output_tokens: 2 } },
+      TEST_DIR,
+    );
+
+    assert.equal(claude.enabled(), true);
+    const result = await claude.query('Hello?');
+    assert.equal(result.content, 'Hi from a fixture.');
+    assert.equal(result.usage.totalTokens, 3);
+  });
+
+  it('fails the prompt (without retrying) when no fixture matches', async () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    process.env.GEO_FIXTURE_DIR = TEST_DIR;
+    process.env.GEO_FIXTURE_MODE = 'replay';
+
+    await assert.rejects(() => claude.query('Never recorded?'), (error) => {
+      assert.match(error.message, /No fixture recorded for Claude/);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  });
+});
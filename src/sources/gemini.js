@@ -8,6 +8,9 @@
  * @see https://ai.google.dev/gemini-api/docs/grounding
  */
 
+import { postJson } from './http-client.js';
+import { isReplaying, hasFixtures } from './fixtures.js';
+
 const MODEL = 'gemini-2.0-flash';
 const FETCH_TIMEOUT_MS = 30_000;
 
@@ -28,64 +31,90 @@ const gemini = {
   name: 'Gemini',
   referrer: 'https://gemini.google.com',
   rateLimitMs: 1000,
+  model: MODEL,
   dataSource: 'web',
+  supportsLocation: true,
+  // Grounding only takes coordinates; other locations are not run
+  requiredLocationFields: ['latitude', 'longitude'],
 
   /**
-   * Check if this source is enabled (API key configured).
+   * Check if this source is enabled (API key configured, or fixtures
+   * recorded when replaying).
    * @returns {boolean}
    */
   enabled() {
-    return !!process.env.GOOGLE_AI_API_KEY;
+    return isReplaying() ? hasFixtures('Gemini') : !!process.env.GOOGLE_AI_API_KEY;
   },
 
   /**
    * Query Gemini with a search term using google_search grounding.
    *
    * @param {string} searchTerm - The search term to query
+   * @param {import('../queries.js').GenerationParams} [params] - System prompt, temperature, max tokens
+   * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+   * @param {import('../config.js').UserLocation} [location] - Approximate location of the asker
    * @returns {Promise<import('../analysis.js').NormalizedResult>}
    */
-  async query(searchTerm) {
+  async query(searchTerm, params = {}, history = [], location) {
     const apiKey = process.env.GOOGLE_AI_API_KEY;
-    if (!apiKey) {
+    if (!apiKey && !isReplaying()) {
       throw new Error('GOOGLE_AI_API_KEY not configured');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-
-    try {
-      const response = await fetch(buildEndpoint(apiKey), {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [
-            { parts: [{ text: searchTerm }] },
-          ],
-          tools: [{ google_search: {} }],
-        }),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const body = await response.text().catch(() => '');
-        throw new Error(`Gemini API error: HTTP ${response.status} ${body}`);
-      }
-
-      const data = await response.json();
-      return normalizeResponse(data);
-    } catch (error) {
-      clearTimeout(timeoutId);
-
-      if (error.name === 'AbortError') {
-        throw new Error(`Gemini API timeout after ${FETCH_TIMEOUT_MS}ms`);
-      }
-      throw error;
-    }
+    const { data, attempts } = await postJson(buildEndpoint(apiKey), {
+      label: 'Gemini',
+      body: buildRequestBody(searchTerm, params, history, location),
+      timeoutMs: FETCH_TIMEOUT_MS,
+      fixture: { model: MODEL, searchTerm, params, history, location },
+    });
+
+    return { ...normalizeResponse(data), attempts };
   },
 };
 
+/**
+ * Build the generateContent request body. The conversation history is sent
+ * as `contents` with Gemini's roles (`user`/`model`), ending with the new
+ * user turn. The system prompt is sent as `systemInstruction`, temperature
+ * and max tokens in `generationConfig`; unset parameters are omitted so API
+ * defaults apply. Grounding only takes a location as coordinates
+ * (`toolConfig.retrievalConfig.latLng`), so a location without
+ * latitude/longitude is not sent (the orchestrator does not run those,
+ * see `requiredLocationFields`).
+ *
+ * @param {string} searchTerm
+ * @param {import('../queries.js').GenerationParams} [params]
+ * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+ * @param {import('../config.js').UserLocation} [location] - Approximate location of the asker
+ * @returns {Object}
+ */
+export function buildRequestBody(searchTerm, { systemPrompt, temperature, maxTokens } = {}, history = [], location) {
+  const generationConfig = {
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens !== undefined && { maxOutputTokens: maxTokens }),
+  };
+
+  return {
+    ...(systemPrompt && { systemInstruction: { parts: [{ text: systemPrompt }] } }),
+    contents: [
+      ...history.map(({ role, content }) => ({
+        role: role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: content }],
+      })),
+      { ...(history.length > 0 && { role: 'user' }), parts: [{ text: searchTerm }] },
+    ],
+    tools: [{ google_search: {} }],
+    ...(location?.latitude !== undefined && {
+      toolConfig: {
+        retrievalConfig: {
+          latLng: { latitude: location.latitude, longitude: location.longitude },
+        },
+      },
+    }),
+    ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+  };
+}
+
 /**
  * Normalize a Gemini API response into the shared result format.
  *
@@ -127,6 +156,8 @@ export function normalizeResponse(data) {
       promptTokens: usageMeta.promptTokenCount || 0,
       completionTokens: usageMeta.candidatesTokenCount || 0,
       totalTokens: usageMeta.totalTokenCount || 0,
+      // Grounding is billed once per grounded prompt, however many queries it ran
+      searches: groundingMeta.webSearchQueries?.length > 0 ? 1 : 0,
     },
   };
 }
@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import gemini, { normalizeResponse } from './gemini.js';
+import gemini, { normalizeResponse, buildRequestBody } from './gemini.js';
 
 // ============================================================
 // normalizeResponse — unit tests
@@ -15,6 +15,7 @@ describe('gemini normalizeResponse', () => {
             parts: [{ text: 'Development Seed offers titiler for dynamic tile serving.' }],
           },
           groundingMetadata: {
+            webSearchQueries: ['titiler', 'titiler dynamic tiles'],
             groundingChunks: [
               { web: { uri: 'https://developmentseed.org/titiler', title: 'titiler' } },
               { web: { uri: 'https://stacspec.org', title: 'STAC' } },
@@ -45,6 +46,7 @@ describe('gemini normalizeResponse', () => {
     assert.equal(result.usage.promptTokens, 30);
     assert.equal(result.usage.completionTokens, 150);
     assert.equal(result.usage.totalTokens, 180);
+    assert.equal(result.usage.searches, 1, 'grounding is billed once per prompt');
   });
 
   it('handles response without grounding metadata', () => {
@@ -69,6 +71,7 @@ describe('gemini normalizeResponse', () => {
     assert.deepEqual(result.citations, []);
     assert.deepEqual(result.searchResults, []);
     assert.equal(result.usage.totalTokens, 30);
+    assert.equal(result.usage.searches, 0);
   });
 
   it('handles completely empty response', () => {
@@ -101,6 +104,54 @@ describe('gemini normalizeResponse', () => {
   });
 });
 
+// ============================================================
+// buildRequestBody — unit tests
+// ============================================================
+
+const BERLIN = {
+  id: 'de-berlin', country: 'DE', region: 'Berlin', city: 'Berlin',
+  timezone: 'Europe/Berlin', latitude: 52.52, longitude: 13.405,
+};
+
+const HISTORY = [
+  { role: 'user', content: 'Open source tools for raster tiles?' },
+  { role: 'assistant', content: 'titiler, TiTiler-PgSTAC and rio-tiler.' },
+];
+
+describe('gemini buildRequestBody', () => {
+  it('sends the bare search term with search grounding by default', () => {
+    const body = buildRequestBody('What is titiler?');
+    assert.deepEqual(body, {
+      contents: [{ parts: [{ text: 'What is titiler?' }] }],
+      tools: [{ google_search: {} }],
+    });
+  });
+
+  it('maps the system prompt to systemInstruction and the rest to generationConfig', () => {
+    const body = buildRequestBody('What is titiler?', { systemPrompt: 'You are a GIS analyst.', temperature: 0.2, maxTokens: 800 });
+    assert.deepEqual(body.systemInstruction, { parts: [{ text: 'You are a GIS analyst.' }] });
+    assert.deepEqual(body.generationConfig, { temperature: 0.2, maxOutputTokens: 800 });
+  });
+
+  it('sends location coordinates as toolConfig.retrievalConfig.latLng', () => {
+    const body = buildRequestBody('Tile servers?', {}, [], BERLIN);
+    assert.deepEqual(body.toolConfig, { retrievalConfig: { latLng: { latitude: 52.52, longitude: 13.405 } } });
+  });
+
+  it('sends no location when it has no coordinates', () => {
+    assert.equal(buildRequestBody('Tile servers?', {}, [], { id: 'us', country: 'US' }).toolConfig, undefined);
+  });
+
+  it('sends a conversation as contents with user and model roles', () => {
+    const body = buildRequestBody('Which would you recommend for COGs?', {}, HISTORY);
+    assert.deepEqual(body.contents, [
+      { role: 'user', parts: [{ text: 'Open source tools for raster tiles?' }] },
+      { role: 'model', parts: [{ text: 'titiler, TiTiler-PgSTAC and rio-tiler.' }] },
+      { role: 'user', parts: [{ text: 'Which would you recommend for COGs?' }] },
+    ]);
+  });
+});
+
 // ============================================================
 // gemini.enabled() — tests
 // ============================================================
@@ -145,4 +196,7 @@ describe('gemini source metadata', () => {
   it('has correct referrer', () => assert.equal(gemini.referrer, 'https://gemini.google.com'));
   it('has rate limit of 1 second', () => assert.equal(gemini.rateLimitMs, 1000));
   it('has web data source', () => assert.equal(gemini.dataSource, 'web'));
+  it('supports user locations', () => assert.equal(gemini.supportsLocation, true));
+  it('requires coordinates in a location', () => assert.deepEqual(gemini.requiredLocationFields, ['latitude', 'longitude']));
+  it('declares its model for pricing', () => assert.equal(gemini.model, 'gemini-2.0-flash'));
 });
@@ -0,0 +1,296 @@
+/**
+ * Shared HTTP Client for LLM Sources
+ *
+ * One request layer for every source: JSON POST with a per-attempt timeout,
+ * exponential backoff with full jitter, and server-directed waits taken from
+ * `Retry-After` and the vendor rate-limit headers (OpenAI/Groq
+ * `x-ratelimit-*`, Anthropic `anthropic-ratelimit-*`, Gemini `RetryInfo`).
+ *
+ * Errors are classified as retryable (429, 5xx, timeouts, network failures)
+ * or fatal (other 4xx). The number of attempts made is returned on success
+ * and attached to the error on failure, so the orchestrator can log and
+ * store it.
+ *
+ * Requests that carry a `fixture` key also take part in record-and-replay
+ * (see ./fixtures.js): replay serves the saved body without any network
+ * call, record saves each successful body.
+ *
+ * @module sources/http-client
+ */
+
+import { getFixtureMode, readFixture, writeFixture } from './fixtures.js';
+
+/** HTTP statuses worth retrying. 529 is Anthropic's "overloaded". */
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Default retry policy.
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60_000, // Longer server hints are clamped to this
+};
+
+/**
+ * Vendor rate-limit headers as [remaining, reset] pairs.
+ * OpenAI and Groq send durations ("6m0s"), Anthropic sends RFC 3339 timestamps.
+ */
+const RATE_LIMIT_HEADERS = [
+  ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+  ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens'],
+  ['anthropic-ratelimit-requests-remaining', 'anthropic-ratelimit-requests-reset'],
+  ['anthropic-ratelimit-tokens-remaining', 'anthropic-ratelimit-tokens-reset'],
+  ['anthropic-ratelimit-input-tokens-remaining', 'anthropic-ratelimit-input-tokens-reset'],
+  ['anthropic-ratelimit-output-tokens-remaining', 'anthropic-ratelimit-output-tokens-reset'],
+];
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Total attempts including the first
+ * @property {number} baseDelayMs - Backoff base; attempt n waits up to base × 2^(n-1)
+ * @property {number} maxDelayMs - Upper bound for any single wait, server hints included
+ */
+
+/**
+ * Error thrown by the shared client. `retryable` tells whether another
+ * attempt could succeed; `attempts` is how many were made in total.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {number} [details.status] - HTTP status (undefined for timeouts/network errors)
+   * @param {boolean} details.retryable
+   * @param {number} [details.attempts=1]
+   * @param {number|null} [details.retryAfterMs] - Server-directed wait, if any
+   */
+  constructor(message, { status, retryable, attempts = 1, retryAfterMs = null }) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryable = retryable;
+    this.attempts = attempts;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Delay execution for specified milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Go-style duration as sent by OpenAI and Groq ("1s", "6m0s", "20ms", "1h2m3.5s").
+ *
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null if unparseable
+ */
+function parseDuration(value) {
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const units = { h: 3_600_000, m: 60_000, s: 1000, ms: 1 };
+  let total = 0;
+  let consumed = '';
+  for (const match of value.matchAll(pattern)) {
+    total += parseFloat(match[1]) * units[match[2]];
+    consumed += match[0];
+  }
+  return consumed.length > 0 && consumed === value.trim() ? Math.round(total) : null;
+}
+
+/**
+ * Parse a reset value that is either a duration, a number of seconds,
+ * or an absolute timestamp.
+ *
+ * @param {string} value
+ * @param {number} now - Current time in ms since epoch
+ * @returns {number|null} Milliseconds to wait, or null if unparseable
+ */
+function parseResetValue(value, now) {
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+  const duration = parseDuration(trimmed);
+  if (duration !== null) return duration;
+  const timestamp = Date.parse(trimmed);
+  if (!Number.isNaN(timestamp)) {
+    return Math.max(timestamp - now, 0);
+  }
+  return null;
+}
+
+/**
+ * Work out how long the server asked us to wait before retrying.
+ *
+ * Precedence: `retry-after-ms`, `retry-after` (seconds or HTTP date), then the
+ * longest reset among exhausted vendor rate-limit buckets, then a Gemini
+ * `RetryInfo.retryDelay` in the error body.
+ *
+ * @param {Headers|Map<string,string>} headers - Response headers
+ * @param {string} [body=''] - Response body text
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Milliseconds to wait, or null if no hint was given
+ */
+export function parseRetryAfter(headers, body = '', now = Date.now()) {
+  const retryAfterMs = headers.get('retry-after-ms');
+  if (retryAfterMs && /^\d+(\.\d+)?$/.test(retryAfterMs.trim())) {
+    return Math.round(parseFloat(retryAfterMs));
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const ms = parseResetValue(retryAfter, now);
+    if (ms !== null) return ms;
+  }
+
+  // Vendor headers: only buckets that are exhausted (remaining = 0) explain a 429
+  let longest = null;
+  for (const [remainingHeader, resetHeader] of RATE_LIMIT_HEADERS) {
+    const reset = headers.get(resetHeader);
+    if (!reset || headers.get(remainingHeader) !== '0') continue;
+    const ms = parseResetValue(reset, now);
+    if (ms !== null && (longest === null || ms > longest)) {
+      longest = ms;
+    }
+  }
+  if (longest !== null) return longest;
+
+  // Gemini: {"error": {"details": [{"@type": "...RetryInfo", "retryDelay": "30s"}]}}
+  const retryDelay = body.match(/"retryDelay"\s*:\s*"([^"]+)"/);
+  if (retryDelay) {
+    return parseDuration(retryDelay[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Backoff delay for a given attempt, with full jitter.
+ *
+ * @param {number} attempt - 1-based attempt that just failed
+ * @param {RetryPolicy} policy
+ * @param {() => number} [random=Math.random]
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Is this HTTP status worth retrying?
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * Perform a single POST attempt. Throws an HttpError classified as
+ * retryable or fatal.
+ *
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+async function attemptPost(url, { label, headers, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new HttpError(`${label} API error: HTTP ${response.status} ${text}`, {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        retryAfterMs: parseRetryAfter(response.headers, text),
+      });
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    if (error.name === 'AbortError') {
+      throw new HttpError(`${label} API timeout after ${timeoutMs}ms`, { retryable: true });
+    }
+    if (error instanceof SyntaxError) {
+      throw new HttpError(`${label} API returned invalid JSON: ${error.message}`, { retryable: false });
+    }
+    // fetch() rejects with a TypeError on DNS/connection failures
+    throw new HttpError(`${label} API request failed: ${error.cause?.message || error.message}`, {
+      retryable: true,
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * POST a JSON body and parse the JSON response, retrying transient failures.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.label - Source name used in error messages
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Object} options.body - Request body (serialized as JSON)
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {Partial<RetryPolicy>} [options.retry] - Overrides for the default policy
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Injectable for tests
+ * @param {() => number} [options.random] - Injectable for tests
+ * @param {{model: string, searchTerm: string}} [options.fixture] - Fixture key (source is `label`)
+ * @returns {Promise<{data: Object, attempts: number}>}
+ * @throws {HttpError} With `attempts` set, once retries are exhausted or on a fatal error
+ */
+export async function postJson(url, options) {
+  const { retry, sleep = delay, random = Math.random, fixture, ...request } = options;
+  const policy = { ...DEFAULT_RETRY, ...retry };
+  const fixtureKey = fixture && { source: request.label, ...fixture };
+  const fixtureMode = fixtureKey ? getFixtureMode() : null;
+
+  if (fixtureMode === 'replay') {
+    try {
+      return { data: readFixture(fixtureKey), attempts: 1 };
+    } catch (error) {
+      throw new HttpError(error.message, { retryable: false });
+    }
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const data = await attemptPost(url, request);
+      if (fixtureMode === 'record') {
+        writeFixture(fixtureKey, data);
+      }
+      return { data, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+
+      if (!error.retryable || attempt >= policy.maxAttempts) {
+        throw error;
+      }
+
+      // A server hint longer than maxDelayMs is cut short; the retry may hit the limit again
+      const hinted = error.retryAfterMs;
+      const waitMs = hinted !== null
+        ? Math.min(hinted, policy.maxDelayMs)
+        : backoffDelay(attempt, policy, random);
+      console.warn(`    ${request.label}: attempt ${attempt}/${policy.maxAttempts} failed (${error.status ? `HTTP ${error.status}` : error.message}), retrying in ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+  }
+}
+
+// Export internals for testing
+export { DEFAULT_RETRY, parseDuration };
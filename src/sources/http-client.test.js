@@ -0,0 +1,264 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  postJson,
+  parseRetryAfter,
+  backoffDelay,
+  isRetryableStatus,
+  parseDuration,
+  HttpError,
+  DEFAULT_RETRY,
+} from './http-client.js';
+
+// ============================================================
+// Helpers: scripted stub server
+// ============================================================
+
+/**
+ * Start a stub server that replays `script` responses in order
+ * (the last entry repeats once the script runs out).
+ */
+async function startScriptedServer() {
+  const state = { script: [], calls: 0 };
+  const server = createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const step = state.script[Math.min(state.calls, state.script.length - 1)];
+      state.calls++;
+      res.writeHead(step.status, { 'Content-Type': 'application/json', ...step.headers });
+      res.end(typeof step.body === 'string' ? step.body : JSON.stringify(step.body ?? {}));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    state,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/** Headers-like lookup from a plain object. */
+function headers(values) {
+  return new Headers(values);
+}
+
+// ============================================================
+// parseRetryAfter — unit tests
+// ============================================================
+
+describe('parseRetryAfter', () => {
+  const NOW = Date.parse('2026-02-09T12:00:00Z');
+
+  it('reads Retry-After in seconds', () => {
+    assert.equal(parseRetryAfter(headers({ 'retry-after': '3' }), '', NOW), 3000);
+  });
+
+  it('reads Retry-After as an HTTP date', () => {
+    const value = new Date(NOW + 5000).toUTCString();
+    assert.equal(parseRetryAfter(headers({ 'retry-after': value }), '', NOW), 5000);
+  });
+
+  it('prefers retry-after-ms over retry-after', () => {
+    const h = headers({ 'retry-after-ms': '250', 'retry-after': '3' });
+    assert.equal(parseRetryAfter(h, '', NOW), 250);
+  });
+
+  it('uses the reset of exhausted OpenAI-style buckets', () => {
+    const h = headers({
+      'x-ratelimit-remaining-requests': '0',
+      'x-ratelimit-reset-requests': '1m2s',
+      'x-ratelimit-remaining-tokens': '5000',
+      'x-ratelimit-reset-tokens': '6m0s',
+    });
+    assert.equal(parseRetryAfter(h, '', NOW), 62_000);
+  });
+
+  it('uses Anthropic RFC 3339 reset timestamps', () => {
+    const h = headers({
+      'anthropic-ratelimit-requests-remaining': '0',
+      'anthropic-ratelimit-requests-reset': new Date(NOW + 8000).toISOString(),
+    });
+    assert.equal(parseRetryAfter(h, '', NOW), 8000);
+  });
+
+  it('reads Gemini RetryInfo from the error body', () => {
+    const body = JSON.stringify({
+      error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '17s' }] },
+    });
+    assert.equal(parseRetryAfter(headers({}), body, NOW), 17_000);
+  });
+
+  it('returns null when no hint is given', () => {
+    assert.equal(parseRetryAfter(headers({}), '', NOW), null);
+  });
+});
+
+// ============================================================
+// Small helpers — unit tests
+// ============================================================
+
+describe('parseDuration', () => {
+  it('parses compound Go-style durations', () => {
+    assert.equal(parseDuration('6m0s'), 360_000);
+    assert.equal(parseDuration('20ms'), 20);
+    assert.equal(parseDuration('1.5s'), 1500);
+  });
+
+  it('returns null for junk', () => {
+    assert.equal(parseDuration('soon'), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles the ceiling per attempt', () => {
+    const policy = { ...DEFAULT_RETRY, baseDelayMs: 100 };
+    assert.equal(backoffDelay(1, policy, () => 1), 100);
+    assert.equal(backoffDelay(3, policy, () => 1), 400);
+  });
+
+  it('caps at maxDelayMs and applies jitter', () => {
+    const policy = { maxAttempts: 10, baseDelayMs: 1000, maxDelayMs: 5000 };
+    assert.equal(backoffDelay(8, policy, () => 1), 5000);
+    assert.equal(backoffDelay(8, policy, () => 0.5), 2500);
+  });
+});
+
+describe('isRetryableStatus', () => {
+  it('retries rate limits and server errors', () => {
+    for (const status of [429, 500, 502, 503, 504, 529]) {
+      assert.equal(isRetryableStatus(status), true, `${status}`);
+    }
+  });
+
+  it('does not retry client errors', () => {
+    for (const status of [400, 401, 403, 404, 409, 422]) {
+      assert.equal(isRetryableStatus(status), false, `${status}`);
+    }
+  });
+});
+
+// ============================================================
+// postJson — against a scripted stub server
+// ============================================================
+
+describe('postJson', () => {
+  let server;
+  let sleeps;
+  const sleep = async (ms) => { sleeps.push(ms); };
+
+  before(async () => {
+    server = await startScriptedServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.state.calls = 0;
+    sleeps = [];
+  });
+
+  function post(retry = {}) {
+    return postJson(server.url, {
+      label: 'Stub',
+      body: { hello: 'world' },
+      timeoutMs: 5000,
+      retry,
+      sleep,
+      random: () => 1,
+    });
+  }
+
+  it('returns data and attempts = 1 on first success', async () => {
+    server.state.script = [{ status: 200, body: { ok: true } }];
+
+    const { data, attempts } = await post();
+
+    assert.deepEqual(data, { ok: true });
+    assert.equal(attempts, 1);
+    assert.deepEqual(sleeps, []);
+  });
+
+  it('retries 503 with exponential backoff until success', async () => {
+    server.state.script = [
+      { status: 503 },
+      { status: 503 },
+      { status: 200, body: { ok: true } },
+    ];
+
+    const { attempts } = await post({ baseDelayMs: 10 });
+
+    assert.equal(attempts, 3);
+    assert.deepEqual(sleeps, [10, 20]);
+  });
+
+  it('honors Retry-After on 429', async () => {
+    server.state.script = [
+      { status: 429, headers: { 'Retry-After': '2' } },
+      { status: 200, body: { ok: true } },
+    ];
+
+    const { attempts } = await post();
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(sleeps, [2000]);
+  });
+
+  it('fails fast on fatal errors without retrying', async () => {
+    server.state.script = [{ status: 401, body: 'bad key' }];
+
+    await assert.rejects(() => post(), (error) => {
+      assert.ok(error instanceof HttpError);
+      assert.equal(error.status, 401);
+      assert.equal(error.retryable, false);
+      assert.equal(error.attempts, 1);
+      assert.match(error.message, /Stub API error: HTTP 401 bad key/);
+      return true;
+    });
+    assert.equal(server.state.calls, 1);
+  });
+
+  it('gives up after maxAttempts and reports the attempt count', async () => {
+    server.state.script = [{ status: 500 }];
+
+    await assert.rejects(() => post({ maxAttempts: 3, baseDelayMs: 1 }), (error) => {
+      assert.equal(error.status, 500);
+      assert.equal(error.attempts, 3);
+      return true;
+    });
+    assert.equal(server.state.calls, 3);
+    assert.equal(sleeps.length, 2);
+  });
+
+  it('clamps a server wait longer than maxDelayMs and retries', async () => {
+    server.state.script = [
+      { status: 429, headers: { 'Retry-After': '3600' } },
+      { status: 200, body: { ok: true } },
+    ];
+
+    const { attempts } = await post();
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(sleeps, [60_000]);
+  });
+
+  it('treats network failures as retryable', async () => {
+    await assert.rejects(
+      () => postJson('http://127.0.0.1:1/', {
+        label: 'Nowhere',
+        body: {},
+        timeoutMs: 5000,
+        retry: { maxAttempts: 2, baseDelayMs: 1 },
+        sleep,
+      }),
+      (error) => {
+        assert.equal(error.retryable, true);
+        assert.equal(error.attempts, 2);
+        assert.match(error.message, /Nowhere API request failed/);
+        return true;
+      },
+    );
+  });
+});
@@ -11,9 +11,49 @@ import perplexity from './perplexity.js';
 import gemini from './gemini.js';
 import chatgpt from './chatgpt.js';
 import claude from './claude.js';
+import { createOpenAICompatibleSource } from './openai-compatible.js';
+
+/**
+ * Sources served through the generic OpenAI-compatible client.
+ * Each is enabled by setting its API key (or base URL, for local servers).
+ * Further endpoints declared in OPENAI_COMPATIBLE_SOURCES are read by
+ * loadConfig(), not here, so a malformed value is reported as a
+ * configuration error instead of failing every import.
+ */
+export const COMPATIBLE_SOURCES = [
+  createOpenAICompatibleSource({
+    name: 'Mistral',
+    referrer: 'https://chat.mistral.ai',
+    baseUrl: 'https://api.mistral.ai/v1',
+    model: 'mistral-large-latest',
+    apiKeyEnv: 'MISTRAL_API_KEY',
+  }),
+  createOpenAICompatibleSource({
+    name: 'DeepSeek',
+    referrer: 'https://chat.deepseek.com',
+    baseUrl: 'https://api.deepseek.com/v1',
+    model: 'deepseek-chat',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+  }),
+  createOpenAICompatibleSource({
+    name: 'Groq',
+    referrer: 'https://groq.com',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+    apiKeyEnv: 'GROQ_API_KEY',
+  }),
+  createOpenAICompatibleSource({
+    name: 'Ollama',
+    referrer: 'https://ollama.com',
+    baseUrlEnv: 'OLLAMA_BASE_URL', // e.g. http://localhost:11434/v1
+    model: 'llama3.1',
+    modelEnv: 'OLLAMA_MODEL',
+    rateLimitMs: 0, // Local server — no vendor rate limit
+  }),
+];
 
 /** All configured LLM sources, in preferred execution order. */
-export const ALL_SOURCES = [perplexity, gemini, chatgpt, claude];
+export const ALL_SOURCES = [perplexity, gemini, chatgpt, claude, ...COMPATIBLE_SOURCES];
 
 /**
  * Get sources that are currently enabled (API key configured).
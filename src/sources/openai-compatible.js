@@ -0,0 +1,229 @@
+/**
+ * OpenAI-Compatible LLM Source Factory
+ *
+ * Builds sources that speak the OpenAI `/v1/chat/completions` protocol
+ * against any base URL. Covers hosted vendors that mirror the OpenAI API
+ * (Mistral, DeepSeek, Groq, ...) as well as self-hosted servers such as
+ * Ollama or vLLM, without a dedicated module per vendor.
+ *
+ * @module sources/openai-compatible
+ * @see https://platform.openai.com/docs/api-reference/chat
+ */
+
+import { postJson } from './http-client.js';
+import { isReplaying, hasFixtures } from './fixtures.js';
+
+const DEFAULT_TIMEOUT_MS = 60_000; // 60s — self-hosted models can be slow
+
+/**
+ * @typedef {Object} CompatibleSourceOptions
+ * @property {string} name - Display name used in logs and the CSV `source` column
+ * @property {string} model - Model name sent in the request body
+ * @property {string} [baseUrl] - API base URL, e.g. "https://api.mistral.ai/v1"
+ * @property {string} [baseUrlEnv] - Env var that overrides `baseUrl` (required if `baseUrl` is omitted)
+ * @property {string} [modelEnv] - Env var that overrides `model`
+ * @property {string} [apiKeyEnv] - Env var holding the API key. Omit for servers without auth.
+ * @property {string} [referrer] - Public URL of the product (informational)
+ * @property {number} [rateLimitMs=1000] - Delay between prompts
+ * @property {import('../rate-limiter.js').RateLimit} [rateLimit] - Requests/tokens per minute (overrides rateLimitMs)
+ * @property {string} [dataSource='training'] - "web" if the endpoint grounds answers in search
+ * @property {number} [timeoutMs=60000] - Per-attempt timeout
+ * @property {Partial<import('./http-client.js').RetryPolicy>} [retry] - Retry policy overrides
+ */
+
+/**
+ * Build the chat completions endpoint from a base URL.
+ * Accepts base URLs with or without a trailing slash.
+ *
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function buildEndpoint(baseUrl) {
+  return `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+}
+
+/**
+ * Build the chat completions request body. The system prompt becomes a
+ * leading `system` message, followed by the conversation history and the
+ * new user message; unset parameters are omitted so the server's defaults
+ * apply.
+ *
+ * @param {string} model
+ * @param {string} searchTerm
+ * @param {import('../queries.js').GenerationParams} [params]
+ * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+ * @returns {Object}
+ */
+export function buildRequestBody(model, searchTerm, { systemPrompt, temperature, maxTokens } = {}, history = []) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push(...history, { role: 'user', content: searchTerm });
+
+  return {
+    model,
+    messages,
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+  };
+}
+
+/**
+ * Create a source for an OpenAI-compatible chat completions endpoint.
+ * The returned object follows the shared source interface for all LLM sources.
+ *
+ * Configuration is resolved from the environment at call time (like the
+ * built-in sources), so keys and base URLs can be set after import.
+ *
+ * @param {CompatibleSourceOptions} options
+ * @returns {Object} LLM source
+ */
+export function createOpenAICompatibleSource(options) {
+  const {
+    name,
+    model,
+    baseUrl,
+    baseUrlEnv,
+    modelEnv,
+    apiKeyEnv,
+    referrer = '',
+    rateLimitMs = 1000,
+    rateLimit,
+    dataSource = 'training',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retry,
+  } = options;
+
+  if (!name) {
+    throw new Error('OpenAI-compatible source requires a name');
+  }
+  if (!model && !modelEnv) {
+    throw new Error(`OpenAI-compatible source "${name}" requires a model or modelEnv`);
+  }
+  if (!baseUrl && !baseUrlEnv) {
+    throw new Error(`OpenAI-compatible source "${name}" requires a baseUrl or baseUrlEnv`);
+  }
+
+  const resolveBaseUrl = () => (baseUrlEnv && process.env[baseUrlEnv]) || baseUrl || '';
+  const resolveModel = () => (modelEnv && process.env[modelEnv]) || model;
+
+  return {
+    name,
+    referrer,
+    rateLimitMs,
+    ...(rateLimit && { rateLimit }),
+    dataSource,
+
+    /** Model sent in requests (read at call time, like the base URL). */
+    get model() {
+      return resolveModel();
+    },
+
+    /**
+     * Enabled when the base URL resolves and, if the endpoint needs auth,
+     * the API key env var is set. When replaying, enabled if fixtures exist.
+     * @returns {boolean}
+     */
+    enabled() {
+      if (isReplaying()) return hasFixtures(name);
+      if (!resolveBaseUrl()) return false;
+      return apiKeyEnv ? !!process.env[apiKeyEnv] : true;
+    },
+
+    /**
+     * Query the endpoint with a search term.
+     *
+     * @param {string} searchTerm - The search term to query
+     * @param {import('../queries.js').GenerationParams} [params] - System prompt, temperature, max tokens
+     * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+     * @returns {Promise<import('../analysis.js').NormalizedResult>}
+     */
+    async query(searchTerm, params = {}, history = []) {
+      const endpointBase = resolveBaseUrl();
+      if (!endpointBase && !isReplaying()) {
+        throw new Error(`${baseUrlEnv} not configured`);
+      }
+
+      const headers = {};
+      if (apiKeyEnv) {
+        const apiKey = process.env[apiKeyEnv];
+        if (!apiKey && !isReplaying()) {
+          throw new Error(`${apiKeyEnv} not configured`);
+        }
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const { data, attempts } = await postJson(buildEndpoint(endpointBase), {
+        label: name,
+        headers,
+        body: buildRequestBody(resolveModel(), searchTerm, params, history),
+        timeoutMs,
+        retry,
+        fixture: { model: resolveModel(), searchTerm, params, history },
+      });
+
+      return { ...normalizeResponse(data), attempts };
+    },
+  };
+}
+
+/**
+ * Normalize a chat completions response into the shared result format.
+ *
+ * Plain OpenAI-compatible servers return no citations. Some vendors add a
+ * top-level `citations` or `search_results` array (Perplexity-style); those
+ * are picked up when present. `total_tokens` is derived when a server omits it.
+ *
+ * @param {Object} data - Raw chat completions response
+ * @returns {import('../analysis.js').NormalizedResult}
+ */
+export function normalizeResponse(data) {
+  const content = data.choices?.[0]?.message?.content || '';
+  const citations = Array.isArray(data.citations) ? data.citations : [];
+
+  const rawSearchResults = Array.isArray(data.search_results) ? data.search_results : [];
+  const searchResults = rawSearchResults.map((r) => ({
+    title: r.title || '',
+    url: r.url || '',
+    snippet: r.snippet || '',
+  }));
+
+  const usage = data.usage || {};
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  return {
+    content,
+    citations,
+    searchResults,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+    },
+  };
+}
+
+/**
+ * Parse extra OpenAI-compatible source definitions from a JSON string,
+ * typically the `OPENAI_COMPATIBLE_SOURCES` env var. Each entry takes the
+ * same options as {@link createOpenAICompatibleSource}.
+ *
+ * @param {string|undefined} json - JSON array of CompatibleSourceOptions
+ * @returns {Object[]} LLM sources (empty if `json` is blank)
+ * @throws {Error} If the JSON is malformed or not an array
+ */
+export function parseCompatibleSources(json) {
+  if (!json || json.trim().length === 0) return [];
+
+  let definitions;
+  try {
+    definitions = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`OPENAI_COMPATIBLE_SOURCES is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(definitions)) {
+    throw new Error('OPENAI_COMPATIBLE_SOURCES must be a JSON array');
+  }
+
+  return definitions.map((definition) => createOpenAICompatibleSource(definition));
+}
@@ -0,0 +1,289 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  createOpenAICompatibleSource,
+  normalizeResponse,
+  parseCompatibleSources,
+} from './openai-compatible.js';
+
+// ============================================================
+// Helpers: local stub chat completions server
+// ============================================================
+
+/**
+ * Start a stub server on a random port. `handler` receives the parsed
+ * request and returns `{ status, body }`.
+ */
+async function startStubServer(handler) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null,
+      };
+      requests.push(request);
+      const { status = 200, body = {} } = handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const COMPLETION = {
+  choices: [
+    { message: { role: 'assistant', content: 'Development Seed maintains titiler.' } },
+  ],
+  usage: { prompt_tokens: 12, completion_tokens: 34, total_tokens: 46 },
+};
+
+// ============================================================
+// normalizeResponse — unit tests
+// ============================================================
+
+describe('openai-compatible normalizeResponse', () => {
+  it('normalizes a standard chat completions response', () => {
+    const result = normalizeResponse(COMPLETION);
+    assert.equal(result.content, 'Development Seed maintains titiler.');
+    assert.deepEqual(result.citations, []);
+    assert.deepEqual(result.searchResults, []);
+    assert.equal(result.usage.promptTokens, 12);
+    assert.equal(result.usage.completionTokens, 34);
+    assert.equal(result.usage.totalTokens, 46);
+  });
+
+  it('derives totalTokens when the server omits total_tokens', () => {
+    const result = normalizeResponse({
+      choices: [{ message: { content: 'Hi' } }],
+      usage: { prompt_tokens: 5, completion_tokens: 7 },
+    });
+    assert.equal(result.usage.totalTokens, 12);
+  });
+
+  it('picks up vendor citations and search_results when present', () => {
+    const result = normalizeResponse({
+      ...COMPLETION,
+      citations: ['https://developmentseed.org/titiler'],
+      search_results: [{ title: 'titiler', url: 'https://developmentseed.org/titiler' }],
+    });
+    assert.deepEqual(result.citations, ['https://developmentseed.org/titiler']);
+    assert.equal(result.searchResults[0].snippet, '');
+  });
+
+  it('handles completely empty response', () => {
+    const result = normalizeResponse({});
+    assert.equal(result.content, '');
+    assert.equal(result.usage.totalTokens, 0);
+  });
+});
+
+// ============================================================
+// createOpenAICompatibleSource — configuration tests
+// ============================================================
+
+describe('createOpenAICompatibleSource', () => {
+  const ENV_VARS = ['TEST_COMPAT_KEY', 'TEST_COMPAT_URL', 'TEST_COMPAT_MODEL'];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_VARS.map((name) => [name, process.env[name]]));
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value !== undefined) {
+        process.env[name] = value;
+      } else {
+        delete process.env[name];
+      }
+    }
+  });
+
+  it('applies defaults for metadata', () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: 'http://localhost/v1', model: 'm',
+    });
+    assert.equal(source.name, 'Stub');
+    assert.equal(source.rateLimitMs, 1000);
+    assert.equal(source.dataSource, 'training');
+  });
+
+  it('exposes the model, read from modelEnv at access time', () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: 'http://localhost/v1', model: 'm', modelEnv: 'TEST_COMPAT_MODEL',
+    });
+    delete process.env.TEST_COMPAT_MODEL;
+    assert.equal(source.model, 'm');
+    process.env.TEST_COMPAT_MODEL = 'override';
+    assert.equal(source.model, 'override');
+  });
+
+  it('throws when name, model or base URL is missing', () => {
+    assert.throws(() => createOpenAICompatibleSource({ baseUrl: 'x', model: 'm' }), /name/);
+    assert.throws(() => createOpenAICompatibleSource({ name: 'A', baseUrl: 'x' }), /model/);
+    assert.throws(() => createOpenAICompatibleSource({ name: 'A', model: 'm' }), /baseUrl/);
+  });
+
+  it('is enabled only when the API key env var is set', () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: 'http://localhost/v1', model: 'm', apiKeyEnv: 'TEST_COMPAT_KEY',
+    });
+    delete process.env.TEST_COMPAT_KEY;
+    assert.equal(source.enabled(), false);
+    process.env.TEST_COMPAT_KEY = 'secret';
+    assert.equal(source.enabled(), true);
+  });
+
+  it('is enabled by base URL env var when no API key is required', () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Local', baseUrlEnv: 'TEST_COMPAT_URL', model: 'm',
+    });
+    delete process.env.TEST_COMPAT_URL;
+    assert.equal(source.enabled(), false);
+    process.env.TEST_COMPAT_URL = 'http://localhost:11434/v1';
+    assert.equal(source.enabled(), true);
+  });
+
+  it('rejects query() when the API key is missing', async () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: 'http://localhost/v1', model: 'm', apiKeyEnv: 'TEST_COMPAT_KEY',
+    });
+    delete process.env.TEST_COMPAT_KEY;
+    await assert.rejects(() => source.query('hi'), /TEST_COMPAT_KEY not configured/);
+  });
+});
+
+// ============================================================
+// query() against a local stub server
+// ============================================================
+
+describe('openai-compatible query() via stub server', () => {
+  let stub;
+  let status;
+
+  before(async () => {
+    stub = await startStubServer(() => (
+      status === 200
+        ? { status, body: COMPLETION }
+        : { status, body: { error: { message: 'boom' } } }
+    ));
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    status = 200;
+    stub.requests.length = 0;
+    process.env.TEST_COMPAT_KEY = 'secret';
+  });
+
+  afterEach(() => {
+    delete process.env.TEST_COMPAT_KEY;
+    delete process.env.TEST_COMPAT_MODEL;
+  });
+
+  it('posts the search term to /chat/completions and normalizes the reply', async () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: stub.baseUrl + '/', model: 'stub-model', apiKeyEnv: 'TEST_COMPAT_KEY',
+    });
+
+    const result = await source.query('What is titiler?');
+
+    assert.equal(stub.requests.length, 1);
+    const [request] = stub.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.body.model, 'stub-model');
+    assert.deepEqual(request.body.messages, [{ role: 'user', content: 'What is titiler?' }]);
+    assert.equal(result.content, 'Development Seed maintains titiler.');
+    assert.equal(result.usage.totalTokens, 46);
+    assert.equal(result.attempts, 1);
+  });
+
+  it('sends generation parameters as a system message, temperature and max_tokens', async () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: stub.baseUrl, model: 'stub-model', apiKeyEnv: 'TEST_COMPAT_KEY',
+    });
+
+    await source.query('What is titiler?', { systemPrompt: 'You are a GIS analyst.', temperature: 0.2, maxTokens: 800 });
+
+    const { body } = stub.requests[0];
+    assert.deepEqual(body.messages, [
+      { role: 'system', content: 'You are a GIS analyst.' },
+      { role: 'user', content: 'What is titiler?' },
+    ]);
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_tokens, 800);
+  });
+
+  it('omits the Authorization header when no API key env var is configured', async () => {
+    const source = createOpenAICompatibleSource({
+      name: 'Local', baseUrl: stub.baseUrl, model: 'llama3.1',
+    });
+
+    await source.query('hello');
+
+    assert.equal(stub.requests[0].headers.authorization, undefined);
+  });
+
+  it('uses the model override env var when set', async () => {
+    process.env.TEST_COMPAT_MODEL = 'override-model';
+    const source = createOpenAICompatibleSource({
+      name: 'Local', baseUrl: stub.baseUrl, model: 'default-model', modelEnv: 'TEST_COMPAT_MODEL',
+    });
+
+    await source.query('hello');
+
+    assert.equal(stub.requests[0].body.model, 'override-model');
+  });
+
+  it('throws with status and source name on non-OK responses', async () => {
+    status = 500;
+    const source = createOpenAICompatibleSource({
+      name: 'Stub', baseUrl: stub.baseUrl, model: 'm', apiKeyEnv: 'TEST_COMPAT_KEY',
+      retry: { maxAttempts: 1 },
+    });
+
+    await assert.rejects(() => source.query('hi'), /Stub API error: HTTP 500/);
+  });
+});
+
+// ============================================================
+// parseCompatibleSources — unit tests
+// ============================================================
+
+describe('parseCompatibleSources', () => {
+  it('returns an empty list for blank input', () => {
+    assert.deepEqual(parseCompatibleSources(undefined), []);
+    assert.deepEqual(parseCompatibleSources('  '), []);
+  });
+
+  it('builds one source per JSON entry', () => {
+    const sources = parseCompatibleSources(JSON.stringify([
+      { name: 'vLLM', baseUrl: 'http://gpu-box:8000/v1', model: 'qwen2.5' },
+    ]));
+    assert.equal(sources.length, 1);
+    assert.equal(sources[0].name, 'vLLM');
+    assert.equal(typeof sources[0].query, 'function');
+  });
+
+  it('throws on malformed JSON or non-array values', () => {
+    assert.throws(() => parseCompatibleSources('{nope'), /not valid JSON/);
+    assert.throws(() => parseCompatibleSources('{}'), /must be a JSON array/);
+  });
+});
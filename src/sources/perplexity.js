@@ -8,6 +8,9 @@
  * @see https://docs.perplexity.ai/api-reference/chat-completions
  */
 
+import { postJson } from './http-client.js';
+import { isReplaying, hasFixtures } from './fixtures.js';
+
 const API_ENDPOINT = 'https://api.perplexity.ai/chat/completions';
 const MODEL = 'sonar';
 const FETCH_TIMEOUT_MS = 30_000; // 30s — LLM responses can be slow
@@ -20,68 +23,94 @@ const perplexity = {
   name: 'Perplexity',
   referrer: 'https://perplexity.ai',
   rateLimitMs: 1000,
+  model: MODEL,
   dataSource: 'web',
+  supportsLocation: true,
 
   /**
-   * Check if this source is enabled (API key configured).
+   * Check if this source is enabled (API key configured, or fixtures
+   * recorded when replaying).
    * Evaluated at call time for testability.
    * @returns {boolean}
    */
   enabled() {
-    return !!process.env.PERPLEXITY_API_KEY;
+    return isReplaying() ? hasFixtures('Perplexity') : !!process.env.PERPLEXITY_API_KEY;
   },
 
   /**
    * Query Perplexity Sonar with a search term.
    *
    * @param {string} searchTerm - The search term to query
+   * @param {import('../queries.js').GenerationParams} [params] - System prompt, temperature, max tokens
+   * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+   * @param {import('../config.js').UserLocation} [location] - Approximate location of the asker
    * @returns {Promise<import('../analysis.js').NormalizedResult>}
-   * @throws {Error} If the API call fails after timeout or returns non-OK status
+   * @throws {import('./http-client.js').HttpError} If the API call still fails after retries
    */
-  async query(searchTerm) {
+  async query(searchTerm, params = {}, history = [], location) {
     const apiKey = process.env.PERPLEXITY_API_KEY;
-    if (!apiKey) {
+    if (!apiKey && !isReplaying()) {
       throw new Error('PERPLEXITY_API_KEY not configured');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-
-    try {
-      const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages: [
-            { role: 'user', content: searchTerm },
-          ],
-        }),
-        signal: controller.signal,
-      });
+    const { data, attempts } = await postJson(API_ENDPOINT, {
+      label: 'Perplexity',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: buildRequestBody(searchTerm, params, history, location),
+      timeoutMs: FETCH_TIMEOUT_MS,
+      fixture: { model: MODEL, searchTerm, params, history, location },
+    });
 
-      clearTimeout(timeoutId);
+    return { ...normalizeResponse(data), attempts };
+  },
+};
 
-      if (!response.ok) {
-        const body = await response.text().catch(() => '');
-        throw new Error(`Perplexity API error: HTTP ${response.status} ${body}`);
-      }
+/**
+ * Build the chat completions request body. The system prompt becomes a
+ * leading `system` message, followed by the conversation history and the
+ * new user message; unset parameters are omitted so API defaults apply.
+ * A location is sent as `web_search_options.user_location`.
+ *
+ * @param {string} searchTerm
+ * @param {import('../queries.js').GenerationParams} [params]
+ * @param {import('../queries.js').ChatMessage[]} [history] - Earlier turns of the conversation
+ * @param {import('../config.js').UserLocation} [location] - Approximate location of the asker
+ * @returns {Object}
+ */
+export function buildRequestBody(searchTerm, { systemPrompt, temperature, maxTokens } = {}, history = [], location) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push(...history, { role: 'user', content: searchTerm });
 
-      const data = await response.json();
-      return normalizeResponse(data);
-    } catch (error) {
-      clearTimeout(timeoutId);
+  return {
+    model: MODEL,
+    messages,
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+    ...(location && {
+      web_search_options: {
+        user_location: pickDefined({
+          country: location.country,
+          region: location.region,
+          city: location.city,
+          latitude: location.latitude,
+          longitude: location.longitude,
+        }),
+      },
+    }),
+  };
+}
 
-      if (error.name === 'AbortError') {
-        throw new Error(`Perplexity API timeout after ${FETCH_TIMEOUT_MS}ms`);
-      }
-      throw error;
-    }
-  },
-};
+/**
+ * Drop undefined fields from an object.
+ * @param {Object} object
+ * @returns {Object}
+ */
+function pickDefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
 
 /**
  * Normalize a Perplexity API response into the shared result format.
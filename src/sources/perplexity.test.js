@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import perplexity, { normalizeResponse } from './perplexity.js';
+import perplexity, { normalizeResponse, buildRequestBody } from './perplexity.js';
 
 // ============================================================
 // normalizeResponse — unit tests
@@ -88,6 +88,62 @@ describe('normalizeResponse', () => {
   });
 });
 
+// ============================================================
+// buildRequestBody — unit tests
+// ============================================================
+
+const BERLIN = {
+  id: 'de-berlin', country: 'DE', region: 'Berlin', city: 'Berlin',
+  timezone: 'Europe/Berlin', latitude: 52.52, longitude: 13.405,
+};
+
+const HISTORY = [
+  { role: 'user', content: 'Open source tools for raster tiles?' },
+  { role: 'assistant', content: 'titiler, TiTiler-PgSTAC and rio-tiler.' },
+];
+
+describe('perplexity buildRequestBody', () => {
+  it('sends the bare search term as a user message by default', () => {
+    const body = buildRequestBody('What is titiler?');
+    assert.deepEqual(body, {
+      model: 'sonar',
+      messages: [{ role: 'user', content: 'What is titiler?' }],
+    });
+  });
+
+  it('adds a system message, temperature and max_tokens', () => {
+    const body = buildRequestBody('What is titiler?', { systemPrompt: 'You are a GIS analyst.', temperature: 0.2, maxTokens: 800 });
+    assert.deepEqual(body.messages, [
+      { role: 'system', content: 'You are a GIS analyst.' },
+      { role: 'user', content: 'What is titiler?' },
+    ]);
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_tokens, 800);
+  });
+
+  it('keeps a temperature of 0', () => {
+    assert.equal(buildRequestBody('hi', { temperature: 0 }).temperature, 0);
+  });
+
+  it('sends the location as web_search_options.user_location', () => {
+    const body = buildRequestBody('Tile servers?', {}, [], BERLIN);
+    assert.deepEqual(body.web_search_options, {
+      user_location: { country: 'DE', region: 'Berlin', city: 'Berlin', latitude: 52.52, longitude: 13.405 },
+    });
+    assert.equal(buildRequestBody('Tile servers?', {}, [], { id: 'us', country: 'US' })
+      .web_search_options.user_location.latitude, undefined);
+  });
+
+  it('sends the conversation history before the follow-up, after the system message', () => {
+    const body = buildRequestBody('Which would you recommend for COGs?', { systemPrompt: 'Be brief.' }, HISTORY);
+    assert.deepEqual(body.messages, [
+      { role: 'system', content: 'Be brief.' },
+      ...HISTORY,
+      { role: 'user', content: 'Which would you recommend for COGs?' },
+    ]);
+  });
+});
+
 // ============================================================
 // perplexity.enabled() — tests
 // ============================================================
@@ -143,4 +199,8 @@ describe('perplexity source metadata', () => {
   it('has web data source', () => {
     assert.equal(perplexity.dataSource, 'web');
   });
+
+  it('supports user locations', () => {
+    assert.equal(perplexity.supportsLocation, true);
+  });
 });